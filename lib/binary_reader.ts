@@ -0,0 +1,139 @@
+/*!
+ * lunr.BinaryReader
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.BinaryReader reads the numbers and strings written by a lunr.BinaryWriter, in
+   * the order they were written.
+   *
+   * @memberOf lunr
+   */
+  export class BinaryReader {
+    private bytes: Uint8Array
+    private view: DataView
+    private position: number
+
+    /**
+     * @param {(ArrayBuffer|ArrayBufferView)} buffer - The bytes to read, such as a Uint8Array or a Node.js Buffer.
+     */
+    constructor (buffer: ArrayBuffer | ArrayBufferView) {
+      this.bytes = ArrayBuffer.isView(buffer)
+        ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new Uint8Array(buffer)
+      this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+      this.position = 0
+    }
+
+    /**
+     * Reads a non-negative integer.
+     *
+     * @returns {number}
+     * @throws {RangeError} If the end of the bytes is reached.
+     */
+    uint () {
+      let value = 0,
+          scale = 1,
+          byte
+
+      do {
+        this.check(1)
+        byte = this.bytes[this.position++]
+        value += (byte & 0x7f) * scale
+        scale *= 0x80
+      } while (byte & 0x80)
+
+      return value
+    }
+
+    /**
+     * Reads an integer written by lunr.BinaryWriter#int.
+     *
+     * @returns {number}
+     * @throws {RangeError} If the end of the bytes is reached.
+     */
+    int () {
+      let value = this.uint()
+      return value % 2 ? -(value + 1) / 2 : value / 2
+    }
+
+    /**
+     * Reads a number with double precision.
+     *
+     * @returns {number}
+     * @throws {RangeError} If the end of the bytes is reached.
+     */
+    float64 () {
+      this.check(8)
+      let value = this.view.getFloat64(this.position, true)
+      this.position += 8
+      return value
+    }
+
+    /**
+     * Reads a string.
+     *
+     * @returns {string}
+     * @throws {RangeError} If the end of the bytes is reached.
+     */
+    string () {
+      let length = this.uint(),
+          end = this.position + length,
+          codes: number[] = [],
+          str = ""
+
+      this.check(length)
+
+      while (this.position < end) {
+        let byte = this.bytes[this.position++],
+            code
+
+        if (byte < 0x80) {
+          code = byte
+        } else if (byte < 0xe0) {
+          code = ((byte & 0x1f) << 6) | (this.bytes[this.position++] & 0x3f)
+        } else if (byte < 0xf0) {
+          code = ((byte & 0x0f) << 12) | ((this.bytes[this.position++] & 0x3f) << 6) | (this.bytes[this.position++] & 0x3f)
+        } else {
+          code = ((byte & 0x07) << 18) | ((this.bytes[this.position++] & 0x3f) << 12) |
+            ((this.bytes[this.position++] & 0x3f) << 6) | (this.bytes[this.position++] & 0x3f)
+        }
+
+        if (code >= 0x10000) {
+          code -= 0x10000
+          codes.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff))
+        } else {
+          codes.push(code)
+        }
+
+        // converts the codes in chunks, to stay within the limits on the number of arguments
+        if (codes.length >= 4096) {
+          str += String.fromCharCode.apply(null, codes)
+          codes = []
+        }
+      }
+
+      return str + String.fromCharCode.apply(null, codes)
+    }
+
+    /**
+     * Whether every byte has been read.
+     *
+     * @returns {boolean}
+     */
+    done () {
+      return this.position >= this.bytes.length
+    }
+
+    /**
+     * @private
+     */
+    private check (count: number) {
+      if (this.position + count > this.bytes.length) {
+        throw new RangeError("Unexpected end of binary data")
+      }
+    }
+  }
+}
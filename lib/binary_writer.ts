@@ -0,0 +1,138 @@
+/*!
+ * lunr.BinaryWriter
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.BinaryWriter writes numbers and strings into a growing buffer of bytes, it is
+   * used to serialize an index into the compact binary form read by lunr.BinaryReader.
+   *
+   * Unsigned integers are written as variable length integers, seven bits to a byte with
+   * the high bit set on every byte but the last, so that small integers take a single byte.
+   * Strings are written as their length in bytes followed by their UTF-8 encoding.
+   *
+   * @memberOf lunr
+   */
+  export class BinaryWriter {
+    private bytes: Uint8Array
+    private view: DataView
+    private length: number
+
+    constructor () {
+      this.bytes = new Uint8Array(1024)
+      this.view = new DataView(this.bytes.buffer)
+      this.length = 0
+    }
+
+    /**
+     * Writes a non-negative integer, up to Number.MAX_SAFE_INTEGER.
+     *
+     * @param {number} value - The integer to write.
+     */
+    uint (value: number) {
+      this.reserve(8)
+
+      while (value >= 0x80) {
+        this.bytes[this.length++] = (value % 0x80) | 0x80
+        value = Math.floor(value / 0x80)
+      }
+
+      this.bytes[this.length++] = value
+    }
+
+    /**
+     * Writes an integer, zigzag encoded so that integers close to zero take few bytes
+     * whatever their sign.
+     *
+     * @param {number} value - The integer to write.
+     */
+    int (value: number) {
+      this.uint(value < 0 ? -2 * value - 1 : 2 * value)
+    }
+
+    /**
+     * Writes a number with double precision, in eight bytes.
+     *
+     * @param {number} value - The number to write.
+     */
+    float64 (value: number) {
+      this.reserve(8)
+      this.view.setFloat64(this.length, value, true)
+      this.length += 8
+    }
+
+    /**
+     * Writes a string. Unpaired surrogates are encoded as if they were characters, so that
+     * any string can be read back unchanged.
+     *
+     * @param {string} value - The string to write.
+     */
+    string (value: string) {
+      let encoded: number[] = []
+
+      for (let i = 0; i < value.length; i++) {
+        let code = value.charCodeAt(i),
+            next = value.charCodeAt(i + 1)
+
+        if (code >= 0xd800 && code < 0xdc00 && next >= 0xdc00 && next < 0xe000) {
+          code = 0x10000 + (code - 0xd800) * 0x400 + (next - 0xdc00)
+          i += 1
+        }
+
+        if (code < 0x80) {
+          encoded.push(code)
+        } else if (code < 0x800) {
+          encoded.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+        } else if (code < 0x10000) {
+          encoded.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+        } else {
+          encoded.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+        }
+      }
+
+      this.uint(encoded.length)
+      this.reserve(encoded.length)
+      this.bytes.set(encoded, this.length)
+      this.length += encoded.length
+    }
+
+    /**
+     * Writes the bytes written to another lunr.BinaryWriter.
+     *
+     * @param {lunr.BinaryWriter} writer - The writer whose bytes are written.
+     */
+    append (writer: BinaryWriter) {
+      this.reserve(writer.length)
+      this.bytes.set(writer.bytes.subarray(0, writer.length), this.length)
+      this.length += writer.length
+    }
+
+    /**
+     * The bytes written so far.
+     *
+     * @returns {ArrayBuffer}
+     */
+    toArrayBuffer () {
+      return (this.bytes.buffer as ArrayBuffer).slice(0, this.length)
+    }
+
+    /**
+     * Grows the buffer, when needed, so that it has room for a number of bytes.
+     *
+     * @private
+     */
+    private reserve (count: number) {
+      if (this.length + count <= this.bytes.length) {
+        return
+      }
+
+      let bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count))
+      bytes.set(this.bytes.subarray(0, this.length))
+
+      this.bytes = bytes
+      this.view = new DataView(bytes.buffer)
+    }
+  }
+}
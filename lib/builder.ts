@@ -32,6 +32,21 @@ namespace lunr {
      */
     fieldLengths: Record<string, number> = {}
 
+    /**
+     * Keeps the values of stored fields, by document ref and field name.
+     */
+    documentStore: Record<string, Record<string, any>> = Object.create(null)
+
+    /**
+     * Keeps a column of the values of each sortable field, by field name and document ref.
+     */
+    docValues: Record<string, Record<string, Builder.SortValue>> = Object.create(null)
+
+    /**
+     * Keeps the values of each string facet field, as they are given in the documents, by field name and document ref.
+     */
+    facetValues: Record<string, Record<string, string[]>> = Object.create(null)
+
     /**
      * Function for splitting strings into tokens for indexing.
      */
@@ -86,11 +101,28 @@ namespace lunr {
      */
     private _k1 = 1.2
 
-    // fields used for tests
-    private averageFieldLength?: Record<string, number>
-    private fieldVectors?: Record<string, lunr.Vector>
-    private tokenSet?: lunr.TokenSet
-    private numberMap?: lunr.NumberMap
+    /**
+     * The scoring model that weighs the terms of documents, BM25 by default.
+     */
+    private _scoringModel: lunr.ScoringModel = lunr.ScoringModel.bm25
+
+    /**
+     * Whether the built index keeps this builder so that it can be updated.
+     */
+    private _mutable = false
+
+    /**
+     * The total length of each field and the number of documents with the field, from which the
+     * average field lengths are calculated.
+     */
+    private fieldLengthTotals: Record<string, { length: number, documents: number }> = Object.create(null)
+
+    // fields used for tests and when updating a built lunr.Index
+    /* @internal */ averageFieldLength?: Record<string, number>
+    /* @internal */ fieldVectors?: Record<string, lunr.Vector>
+    /* @internal */ tokenSet?: lunr.TokenSet
+    /* @internal */ numberMap?: lunr.NumberMap
+    /* @internal */ geoMap?: lunr.GeoMap
 
     constructor () {
     }
@@ -123,11 +155,48 @@ namespace lunr {
      * importance when ranking search results. Use a field boost to specify that matches within
      * one field are more important than other fields.
      *
+     * Fields can also be marked as facets, the number of matching documents for each value of a
+     * facet field can then be counted when searching, see lunr.Index~QueryOptions. The values of
+     * string facet fields are counted as they are given in the documents, not as they are indexed.
+     *
+     * The value of a stored field, as returned by the extractor if there is one, is kept in
+     * the index and returned with each search result as part of `result.doc`.
+     *
+     * The value of a keyword field, or each element of an array value, is indexed as a single term
+     * without being split by the tokenizer or processed by the pipeline, e.g. tags or SKUs such as
+     * `node-js` and `C++`. Keywords are only normalized by trimming whitespace and converting them
+     * to lower case, they are matched exactly, without the search pipeline.
+     *
+     * The values of boolean fields can be booleans or the strings `true` and `false`, in any
+     * case. They are indexed as dedicated terms that cannot collide with the terms of text, and
+     * match documents as a filter without contributing to the score of a result.
+     *
+     * The values of date fields can be Date objects, ISO-8601 strings or numbers of milliseconds
+     * since the epoch. They are indexed as milliseconds since the epoch so that they can be
+     * searched with comparators and ranges in the same way as number fields.
+     *
+     * The values of geo fields are points, either objects with `lat` and `lon` properties in
+     * degrees or strings of the form `"lat,lon"`. They are indexed by their geohash and matched
+     * with the geo distance and bounding box clauses of a lunr.Query, see lunr.Query#geoDistance.
+     *
+     * Search results can be sorted by the value of a sortable field instead of by score, the
+     * values are kept in a column per field so that sorting does not have to scan the inverted
+     * index. Values of number fields are compared as numbers, all other values as strings.
+     *
+     * The `b` and `k1` parameters of the scoring model can be set for a field, overriding those
+     * set with lunr.Builder#b and lunr.Builder#k1, e.g. to normalize the length of a short title
+     * field less than that of a long body field.
+     *
      * @param {string} fieldName - The name of a field to index in all documents.
      * @param {object} attributes - Optional attributes associated with this field.
      * @param {number} [attributes.boost=1] - Boost applied to all terms within this field.
      * @param {lunr.Builder~fieldExtractor} [attributes.extractor] - Function to extract a field from a document.
-     * @param {"string" | "number"} [attributes.type="string"] - The type of field.
+     * @param {"string" | "number" | "date" | "keyword" | "boolean" | "geo"} [attributes.type="string"] - The type of field.
+     * @param {boolean} [attributes.facet=false] - Whether facet counts can be requested for this field.
+     * @param {boolean} [attributes.store=false] - Whether the value of this field is stored in the index.
+     * @param {boolean} [attributes.sortable=false] - Whether search results can be sorted by this field.
+     * @param {number} [attributes.b] - The field length normalization parameter of this field, see lunr.Builder#b.
+     * @param {number} [attributes.k1] - The term frequency saturation parameter of this field, see lunr.Builder#k1.
      * @throws {RangeError} fieldName cannot contain unsupported characters '/'
      */
     field (fieldName: string, attributes: Builder.FieldAttributes<T> = {}) {
@@ -136,6 +205,14 @@ namespace lunr {
       }
 
       this._fields[fieldName] = attributes
+
+      if (attributes.sortable) {
+        this.docValues[fieldName] = Object.create(null)
+      }
+
+      if (attributes.facet && (attributes.type || "string") == "string") {
+        this.facetValues[fieldName] = Object.create(null)
+      }
     }
 
     /**
@@ -144,15 +221,20 @@ namespace lunr {
      * and a value of 1 will fully normalise field lengths. The default is 0.75. Values of b
      * will be clamped to the range 0 - 1.
      *
+     * When a field name is given the parameter is only set for that field, overriding the value
+     * for all fields.
+     *
      * @param {number} number - The value to set for this tuning parameter.
+     * @param {string} [fieldName] - The field to set the parameter for.
+     * @throws {Error} If the field has not been added to the builder.
      */
-    b (number: number) {
-      if (number < 0) {
-        this._b = 0
-      } else if (number > 1) {
-        this._b = 1
+    b (number: number, fieldName?: string) {
+      let b = Builder.clampB(number)
+
+      if (fieldName !== undefined) {
+        this.setFieldParameter(fieldName, "b", b)
       } else {
-        this._b = number
+        this._b = b
       }
     }
 
@@ -161,10 +243,75 @@ namespace lunr {
      * frequency saturation. The default value is 1.2. Setting this to a higher value will give
      * slower saturation levels, a lower value will result in quicker saturation.
      *
+     * When a field name is given the parameter is only set for that field, overriding the value
+     * for all fields. BM25F saturates the combined frequency of a term in all fields, so it
+     * only uses the value for all fields.
+     *
      * @param {number} number - The value to set for this tuning parameter.
+     * @param {string} [fieldName] - The field to set the parameter for.
+     * @throws {Error} If the field has not been added to the builder.
      */
-    k1 (number: number) {
-      this._k1 = number
+    k1 (number: number, fieldName?: string) {
+      if (fieldName !== undefined) {
+        this.setFieldParameter(fieldName, "k1", number)
+      } else {
+        this._k1 = number
+      }
+    }
+
+    /**
+     * Sets a scoring parameter of a field, replacing the attributes of the field rather than
+     * changing the attributes passed to lunr.Builder#field.
+     *
+     * @private
+     */
+    private setFieldParameter (fieldName: string, parameter: "b" | "k1", value: number) {
+      if (!(fieldName in this._fields)) {
+        throw new Error("Field '" + fieldName + "' has not been added to the builder")
+      }
+
+      let attributes: Builder.FieldAttributes<T> = { ...this._fields[fieldName] }
+
+      attributes[parameter] = value
+      this._fields[fieldName] = attributes
+    }
+
+    /**
+     * Sets the model that documents are scored with, see lunr.ScoringModel. The built in
+     * models are `bm25`, the default, `bm25+`, `tfidf` and `bm25f`. The name of the model is
+     * recorded in serialized indexes, so that loaded indexes score documents in the same way.
+     *
+     * @param {(lunr.ScoringModel|string)} model - The model, or the name of a registered model.
+     * @throws {Error} If no model is registered with the given name.
+     * @example
+     * var idx = lunr(function () {
+     *   this.scoringModel("bm25f")
+     *   this.field("title", { boost: 2 })
+     *   this.field("body")
+     * })
+     */
+    scoringModel (model: lunr.ScoringModel | string) {
+      this._scoringModel = typeof model == "string" ? lunr.ScoringModel.load(model) : model
+    }
+
+    /**
+     * Makes the built index mutable, so that documents can be added to, updated in and removed
+     * from it with lunr.Index#add, lunr.Index#update and lunr.Index#remove, its scoring parameters
+     * changed with lunr.Index#tune, and it can be merged with lunr.Index.merge. A mutable index
+     * keeps the term frequencies and field lengths of every document, so it takes more memory,
+     * they are also used to explain the weights of terms with lunr.Index#explain.
+     *
+     * @param {boolean} [mutable=true] - Whether the built index is mutable.
+     * @example
+     * var idx = lunr(function () {
+     *   this.mutable()
+     *   this.field("title")
+     * })
+     *
+     * idx.add({ id: "z", title: "green plant" })
+     */
+    mutable (mutable = true) {
+      this._mutable = mutable
     }
 
     /**
@@ -185,16 +332,9 @@ namespace lunr {
      * @param {number} [attributes.boost=1] - Boost applied to all terms within this document.
      */
     add (doc: T, attributes: Builder.DocumentAttributes = {}) {
-      let docRef = (doc as any)[this._ref],
+      let docRef = this.documentRef(doc),
           fields = Object.keys(this._fields)
 
-      if (typeof docRef !== 'string' && typeof docRef !== 'symbol') {
-        docRef = `${docRef}`
-      }
-      if (typeof docRef !== 'string') {
-        throw new Error(`Property '${this._ref}' is invalid or missing.`)
-      }
-
       this._documents[docRef] = attributes
       this.documentCount += 1
 
@@ -202,17 +342,38 @@ namespace lunr {
         let extractor = this._fields[fieldName].extractor,
             type = this._fields[fieldName].type || "string",
             field = extractor ? extractor(doc) : (doc as any)[fieldName],
-            tokens = this.tokenizer(field, {
-              fields: [fieldName],
-              type
-            }),
-            terms = this.pipeline.run(tokens),
+            metadata = { fields: [fieldName], type },
+            terms = this.fieldTerms(field, type, metadata),
             fieldRef = new lunr.FieldRef (docRef, fieldName),
             fieldTerms = Object.create(null)
 
         this.fieldTermFrequencies["" + fieldRef] = fieldTerms
         this.fieldLengths["" + fieldRef] = 0
 
+        if (this._fields[fieldName].store) {
+          if (this.documentStore[docRef] === undefined) {
+            this.documentStore[docRef] = Object.create(null)
+          }
+
+          this.documentStore[docRef][fieldName] = field
+        }
+
+        if (this._fields[fieldName].sortable) {
+          let sortValue = Builder.sortValue(field, type)
+
+          if (sortValue !== undefined) {
+            this.docValues[fieldName][docRef] = sortValue
+          }
+        }
+
+        if (this.facetValues[fieldName] !== undefined) {
+          let facetValues = Builder.facetValues(field)
+
+          if (facetValues.length > 0) {
+            this.facetValues[fieldName][docRef] = facetValues
+          }
+        }
+
         // store the length of this field for this document
         this.fieldLengths["" + fieldRef] += terms.length
 
@@ -259,6 +420,161 @@ namespace lunr {
       }
     }
 
+    /**
+     * Adds documents to the index asynchronously, returning control to the event loop after
+     * every chunk of documents so that a page stays responsive while a large number of
+     * documents is indexed. The documents can be given as an array or any other iterable, or
+     * as an async iterable, such as a stream of documents that are still being fetched.
+     *
+     * @example
+     * var builder = new lunr.Builder
+     *
+     * builder.pipeline.add(lunr.trimmer, lunr.stopWordFilter, lunr.stemmer)
+     * builder.searchPipeline.add(lunr.stemmer)
+     * builder.ref('id')
+     * builder.field('title')
+     *
+     * builder.addAll(documents)
+     *   .then(function () { return builder.buildAsync() })
+     *   .then(function (idx) { ... })
+     *
+     * @param {Iterable<object>|AsyncIterable<object>} documents - The documents to add to the index.
+     * @param {lunr.Builder~AsyncOptions} [options] - The size of the chunks.
+     * @returns {Promise} Resolves once every document has been added, rejects with a RangeError if
+     * yieldEvery is not a positive integer.
+     */
+    async addAll (documents: Iterable<T> | AsyncIterable<T>, options: Builder.AsyncOptions = {}) {
+      let yieldEvery = Builder.chunkSize(options),
+          count = 0
+
+      const add = (doc: T) => {
+        this.add(doc)
+        count += 1
+
+        return count % yieldEvery == 0 ? Builder.yieldToEventLoop() : undefined
+      }
+
+      /*
+      * The documents are not read with for await, which requires
+      * Symbol.asyncIterator even for arrays once compiled to ES5, so
+      * that arrays and iterables can be added where it is missing.
+      */
+      if (Array.isArray(documents)) {
+        for (let i = 0; i < documents.length; i++) {
+          await add(documents[i])
+        }
+      } else if (typeof Symbol.asyncIterator == "symbol" && typeof (documents as any)[Symbol.asyncIterator] == "function") {
+        let iterator = (documents as AsyncIterable<T>)[Symbol.asyncIterator]()
+
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+          await add(result.value)
+        }
+      } else {
+        let iterator = (documents as Iterable<T>)[Symbol.iterator]()
+
+        for (let result = iterator.next(); !result.done; result = iterator.next()) {
+          await add(result.value)
+        }
+      }
+    }
+
+    /**
+     * Removes a previously added document from the index.
+     *
+     * All postings for the document are removed from the inverted index, terms that
+     * no longer appear in any document are removed entirely.
+     *
+     * @param {string} docRef - The reference of the document to remove.
+     * @returns {boolean} true if the document was found and removed.
+     */
+    remove (docRef: string) {
+      if (!this.hasDocument(docRef)) {
+        return false
+      }
+
+      let fields = Object.keys(this._fields)
+
+      for (const fieldName of fields) {
+        let fieldRef = new lunr.FieldRef (docRef, fieldName),
+            fieldTerms = this.fieldTermFrequencies["" + fieldRef]
+
+        if (fieldTerms === undefined) continue
+
+        for (const term of Object.keys(fieldTerms)) {
+          let posting = this.invertedIndex[term]
+
+          if (posting === undefined) continue
+
+          if (posting[fieldName] !== undefined) {
+            delete posting[fieldName][docRef]
+          }
+
+          // remove the term entirely once no document references it
+          let referenced = false
+          for (const k of fields) {
+            if (posting[k] !== undefined && Object.keys(posting[k]).length > 0) {
+              referenced = true
+              break
+            }
+          }
+
+          if (!referenced) {
+            delete this.invertedIndex[term]
+          }
+        }
+
+        delete this.fieldTermFrequencies["" + fieldRef]
+        delete this.fieldLengths["" + fieldRef]
+      }
+
+      delete this._documents[docRef]
+      delete this.documentStore[docRef]
+
+      for (const fieldName of Object.keys(this.docValues)) {
+        delete this.docValues[fieldName][docRef]
+      }
+
+      for (const fieldName of Object.keys(this.facetValues)) {
+        delete this.facetValues[fieldName][docRef]
+      }
+
+      this.documentCount -= 1
+
+      return true
+    }
+
+    /**
+     * Returns the reference of a document, as read from the document ref field.
+     *
+     * @private
+     * @param {object} doc - The document to get the reference for.
+     * @throws {Error} The document does not have a valid ref property.
+     */
+    /* @internal */
+    documentRef (doc: T): string {
+      let docRef = (doc as any)[this._ref]
+
+      if (typeof docRef !== 'string' && typeof docRef !== 'symbol') {
+        docRef = `${docRef}`
+      }
+      if (typeof docRef !== 'string') {
+        throw new Error(`Property '${this._ref}' is invalid or missing.`)
+      }
+
+      return docRef
+    }
+
+    /**
+     * Whether a document with the given reference has been added to the index.
+     *
+     * @private
+     * @param {string} docRef - The document reference to check for.
+     */
+    /* @internal */
+    hasDocument (docRef: string) {
+      return docRef in this._documents
+    }
+
     /**
      * Calculates the average document length for this index
      *
@@ -269,6 +585,8 @@ namespace lunr {
           accumulator: Record<string, number> = {},
           documentsWithField: Record<string, number> = {}
 
+      this.fieldLengthTotals = Object.create(null)
+
       for (const fieldRefName of fieldRefs) {
         let fieldRef = lunr.FieldRef.fromString(fieldRefName),
             field = fieldRef.fieldName
@@ -283,12 +601,81 @@ namespace lunr {
       let fields = Object.keys(this._fields)
 
       for (const fieldName of fields) {
+        if (documentsWithField[fieldName]) {
+          this.fieldLengthTotals[fieldName] = { length: accumulator[fieldName], documents: documentsWithField[fieldName] }
+        }
+
         accumulator[fieldName] = accumulator[fieldName] / documentsWithField[fieldName]
       }
 
       return accumulator
     }
 
+    /**
+     * Adds the lengths of the fields of a document to, or subtracts them from, the totals of
+     * each field, updating the average field lengths without going through every document.
+     *
+     * @private
+     * @param {string} docRef - The ref of the document.
+     * @param {number} sign - 1 when the document is added, -1 when it is removed.
+     */
+    private countFieldLengths (docRef: string, sign: 1 | -1) {
+      for (const fieldName of Object.keys(this._fields)) {
+        let length = this.fieldLengths["" + new lunr.FieldRef (docRef, fieldName)]
+
+        if (length === undefined) {
+          continue
+        }
+
+        let totals = this.fieldLengthTotals[fieldName] || (this.fieldLengthTotals[fieldName] = { length: 0, documents: 0 })
+
+        totals.length += sign * length
+        totals.documents += sign
+        this.averageFieldLength![fieldName] = totals.length / totals.documents
+      }
+    }
+
+    /**
+     * The terms of all the fields of a document.
+     *
+     * @private
+     */
+    private documentTerms (docRef: string) {
+      let terms: Record<string, true> = Object.create(null)
+
+      for (const fieldName of Object.keys(this._fields)) {
+        let fieldTerms = this.fieldTermFrequencies["" + new lunr.FieldRef (docRef, fieldName)] || {}
+
+        for (const term of Object.keys(fieldTerms)) {
+          terms[term] = true
+        }
+      }
+
+      return Object.keys(terms)
+    }
+
+    /**
+     * The `b` parameter of a field, or of the builder when the field does not set it.
+     *
+     * @private
+     */
+    private fieldB (fieldName: string) {
+      let b = this._fields[fieldName].b
+
+      return b !== undefined ? Builder.clampB(b) : this._b
+    }
+
+    /**
+     * The `k1` parameter of a field, or of the builder when the field does not set it.
+     *
+     * @private
+     */
+    private fieldK1 (fieldName: string) {
+      let k1 = this._fields[fieldName].k1
+
+      return k1 !== undefined ? k1 : this._k1
+    }
+
     /**
      * Builds a vector space model of every document using lunr.Vector
      *
@@ -296,39 +683,65 @@ namespace lunr {
      */
     private createFieldVectors (averageFieldLength: Record<string, number>) {
       let fieldVectors: Record<string, lunr.Vector> = {},
-          fieldRefs = Object.keys(this.fieldTermFrequencies),
           termIdfCache = Object.create(null)
 
-      for (const fieldRefName of fieldRefs) {
-        let fieldRef = lunr.FieldRef.fromString(fieldRefName),
-            fieldName = fieldRef.fieldName,
-            fieldLength = this.fieldLengths["" + fieldRef],
-            fieldVector = new lunr.Vector,
-            termFrequencies = this.fieldTermFrequencies["" + fieldRef],
-            terms = Object.keys(termFrequencies),
-            termsLength = terms.length
-
-
-        let fieldBoost = this._fields[fieldName].boost || 1,
-            docBoost = this._documents[fieldRef.docRef].boost || 1
-
-        for (let j = 0; j < termsLength; j++) {
-          let term = terms[j],
-              tf = termFrequencies[term],
-              termIndex = this.invertedIndex[term]._index,
-              idf, score, scoreWithPrecision
-
-          if (termIdfCache[term] === undefined) {
-            idf = lunr.idf(this.invertedIndex[term], this.documentCount)
-            termIdfCache[term] = idf
-          } else {
-            idf = termIdfCache[term]
-          }
+      for (const docRef of Object.keys(this._documents)) {
+        this.createDocumentVectors(docRef, averageFieldLength, termIdfCache, fieldVectors)
+      }
+
+      return fieldVectors
+    }
+
+    /**
+     * Builds the vectors of the fields of a single document, weighing their terms with the
+     * scoring model.
+     *
+     * @private
+     * @param {string} docRef - The ref of the document.
+     * @param {object<string, number>} averageFieldLength - The average length of each field.
+     * @param {object<string, number>} termIdfCache - The idf of the terms already scored, by term.
+     * @param {object<string, lunr.Vector>} fieldVectors - The field vectors to add the vectors of the document to.
+     */
+    private createDocumentVectors (docRef: string, averageFieldLength: Record<string, number>, termIdfCache: Record<string, number>, fieldVectors: Record<string, lunr.Vector>) {
+      let document: lunr.ScoringModel.Document = {
+        ref: docRef,
+        boost: this._documents[docRef].boost || 1,
+        k1: this._k1,
+        fields: Object.create(null)
+      }
+
+      for (const fieldName of Object.keys(this._fields)) {
+        let fieldRef = new lunr.FieldRef (docRef, fieldName)
+
+        // fields added after the document have no terms for it
+        if (this.fieldTermFrequencies["" + fieldRef] === undefined) {
+          continue
+        }
+
+        document.fields[fieldName] = {
+          termFrequencies: this.fieldTermFrequencies["" + fieldRef],
+          length: this.fieldLengths["" + fieldRef],
+          averageLength: averageFieldLength[fieldName],
+          boost: this._fields[fieldName].boost || 1,
+          b: this.fieldB(fieldName),
+          k1: this.fieldK1(fieldName)
+        }
+      }
+
+      let weights = this._scoringModel.weigh(document, term => {
+        if (termIdfCache[term] === undefined) {
+          termIdfCache[term] = lunr.idf(this.invertedIndex[term], this.documentCount)
+        }
 
-          score = idf * ((this._k1 + 1) * tf) / (this._k1 * (1 - this._b + this._b * (fieldLength / averageFieldLength[fieldName])) + tf)
-          score *= fieldBoost
-          score *= docBoost
-          scoreWithPrecision = Math.round(score * 1000) / 1000
+        return termIdfCache[term]
+      })
+
+      for (const fieldName of Object.keys(document.fields)) {
+        let fieldVector = new lunr.Vector,
+            fieldWeights = weights[fieldName] || {}
+
+        for (const term of Object.keys(document.fields[fieldName].termFrequencies)) {
+          let scoreWithPrecision = Math.round((fieldWeights[term] || 0) * 1000) / 1000
           // Converts 1.23456789 to 1.234.
           // Reducing the precision so that the vectors take up less
           // space when serialised. Doing it now so that they behave
@@ -336,13 +749,67 @@ namespace lunr {
           // the fastest approach to reducing a number's precision in
           // JavaScript.
 
-          fieldVector.insert(termIndex, scoreWithPrecision)
+          fieldVector.insert(this.invertedIndex[term]._index, scoreWithPrecision)
         }
 
-        fieldVectors["" + fieldRef] = fieldVector
+        fieldVectors["" + new lunr.FieldRef (docRef, fieldName)] = fieldVector
       }
+    }
 
-      return fieldVectors
+    /**
+     * Finds the values that the weight of a term in a document field was calculated from
+     * when the field vectors were last built, for use by lunr.Index#explain.
+     *
+     * @private
+     * @param {string} term - A term in the inverted index.
+     * @param {lunr.FieldRef} fieldRef - The document field the term was found in.
+     * @returns {object|undefined} The weight factors, or undefined if the term is not in the document field.
+     */
+    /* @internal */
+    weightFactors (term: string, fieldRef: lunr.FieldRef) {
+      let termFrequencies = this.fieldTermFrequencies[fieldRef.toString()],
+          posting = this.invertedIndex[term]
+
+      if (!termFrequencies || !(term in termFrequencies) || !posting || !this.averageFieldLength) {
+        return undefined
+      }
+
+      return {
+        idf: lunr.idf(posting, this.documentCount),
+        tf: termFrequencies[term],
+        fieldLength: this.fieldLengths[fieldRef.toString()],
+        averageFieldLength: this.averageFieldLength[fieldRef.fieldName],
+        b: this.fieldB(fieldRef.fieldName),
+        k1: this.fieldK1(fieldRef.fieldName),
+        fieldBoost: this._fields[fieldRef.fieldName].boost || 1,
+        documentBoost: this._documents[fieldRef.docRef].boost || 1
+      }
+    }
+
+    /**
+     * Converts the value of a field into the terms it is indexed by. Only the values of
+     * string and number fields are split by the tokenizer and run through the pipeline,
+     * the values of the other types of field are indexed as they are.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {"string" | "number" | "date" | "keyword" | "boolean" | "geo"} type - The type of the field.
+     * @param {object} metadata - The metadata to add to every token.
+     * @returns {lunr.Token[]}
+     */
+    private fieldTerms (value: any, type: Builder.FieldType, metadata: Record<string, any>) {
+      switch (type) {
+        case "keyword":
+          return Builder.keywordTokens(value, metadata)
+        case "boolean":
+          return Builder.booleanTokens(value, metadata)
+        case "geo":
+          return Builder.geoTokens(value, metadata)
+        case "date":
+          return Builder.dateTokens(value, metadata)
+        default:
+          return this.pipeline.run(this.tokenizer(value, metadata))
+      }
     }
 
     /**
@@ -363,6 +830,13 @@ namespace lunr {
       return lunr.NumberMap.fromInvertedIndex(this.invertedIndex)
     }
 
+    /**
+     * @private
+     */
+    private createGeoMap () {
+      return lunr.GeoMap.fromInvertedIndex(this.invertedIndex)
+    }
+
     /**
      * Builds the index, creating an instance of lunr.Index.
      *
@@ -372,22 +846,301 @@ namespace lunr {
      * @returns {lunr.Index}
      */
     build () {
-      this.averageFieldLength = this.calculateAverageFieldLengths()
-      this.fieldVectors = this.createFieldVectors(this.averageFieldLength)
-      this.tokenSet = this.createTokenSet()
+      this.refresh()
+
+      return this.createIndex()
+    }
+
+    /**
+     * Builds the index asynchronously, the same as lunr.Builder#build except that control is
+     * returned to the event loop after every chunk of documents scored and of terms added to the
+     * token set, so that a page stays responsive while a large index is built.
+     *
+     * Documents should not be added to the builder while the index is being built.
+     *
+     * @param {lunr.Builder~AsyncOptions} [options] - The size of the chunks.
+     * @returns {Promise<lunr.Index>} Resolves with the built index, rejects with a RangeError if yieldEvery
+     * is not a positive integer.
+     */
+    async buildAsync (options: Builder.AsyncOptions = {}) {
+      let yieldEvery = Builder.chunkSize(options),
+          fieldVectors: Record<string, lunr.Vector> = {},
+          docRefs = Object.keys(this._documents),
+          termIdfCache = Object.create(null),
+          averageFieldLength = this.calculateAverageFieldLengths()
+
+      for (let i = 0; i < docRefs.length; i++) {
+        if (i > 0 && i % yieldEvery == 0) {
+          await Builder.yieldToEventLoop()
+        }
+
+        this.createDocumentVectors(docRefs[i], averageFieldLength, termIdfCache, fieldVectors)
+      }
+
+      let terms = Object.keys(this.invertedIndex).sort(),
+          tokenSetBuilder = new lunr.TokenSet.Builder
+
+      for (let i = 0; i < terms.length; i++) {
+        if (i % yieldEvery == 0) {
+          await Builder.yieldToEventLoop()
+        }
+
+        tokenSetBuilder.insert(terms[i])
+      }
+
+      tokenSetBuilder.finish()
+
+      this.averageFieldLength = averageFieldLength
+      this.fieldVectors = fieldVectors
+      this.tokenSet = tokenSetBuilder.root
       this.numberMap = this.createNumberMap()
+      this.geoMap = this.createGeoMap()
+
+      return this.createIndex()
+    }
 
+    /**
+     * Creates an instance of lunr.Index from the documents and scoring data of the builder.
+     *
+     * @private
+     */
+    private createIndex () {
       return new lunr.Index({
         invertedIndex: this.invertedIndex,
-        fieldVectors: this.fieldVectors,
-        tokenSet: this.tokenSet,
-        numberMap: this.numberMap,
+        fieldVectors: this.fieldVectors!,
+        tokenSet: this.tokenSet!,
+        numberMap: this.numberMap!,
+        geoMap: this.geoMap!,
         fields: Object.keys(this._fields),
         fieldTypes: Object.keys(this._fields).map(fieldName => this._fields[fieldName].type || "string"),
-        pipeline: this.searchPipeline
+        facetFields: Object.keys(this._fields).filter(fieldName => this._fields[fieldName].facet),
+        documentStore: this.documentStore,
+        docValues: this.docValues,
+        facetValues: this.facetValues,
+        pipeline: this.searchPipeline,
+        indexingPipeline: this.pipeline,
+        scoringModel: this._scoringModel,
+        builder: this._mutable ? this : undefined
       })
     }
 
+    /**
+     * Adds a document to the built index. The average field lengths are updated from the
+     * lengths of the fields of the document, and every document is weighed again, since the
+     * inverse document frequency of every term depends on the number of documents. Only the
+     * terms the document introduced are inserted into the token set, number map and geo map.
+     *
+     * @private
+     * @param {object} doc - The document to add.
+     * @param {object} attributes - Optional attributes associated with this document.
+     */
+    /* @internal */
+    addToIndex (doc: T, attributes: Builder.DocumentAttributes) {
+      let docRef = this.documentRef(doc),
+          termIndex = this.termIndex
+
+      this.add(doc, attributes)
+      this.countFieldLengths(docRef, 1)
+      this.weighDocuments()
+
+      for (const term of this.documentTerms(docRef)) {
+        if (this.invertedIndex[term]._index >= termIndex) {
+          this.tokenSet!.insert(term)
+          this.mapTerm(term, true)
+        }
+      }
+    }
+
+    /**
+     * Removes a document from the built index, together with the vectors of its fields, and
+     * weighs the remaining documents again. Only the terms that no other document contains are
+     * removed from the token set, number map and geo map.
+     *
+     * @private
+     * @param {string} docRef - The ref of the document to remove.
+     * @returns {boolean} true if the document was found and removed.
+     */
+    /* @internal */
+    removeFromIndex (docRef: string) {
+      if (!this.hasDocument(docRef)) {
+        return false
+      }
+
+      let terms = this.documentTerms(docRef)
+
+      this.countFieldLengths(docRef, -1)
+
+      for (const fieldName of Object.keys(this._fields)) {
+        delete this.fieldVectors!["" + new lunr.FieldRef (docRef, fieldName)]
+      }
+
+      this.remove(docRef)
+      this.weighDocuments()
+
+      for (const term of terms) {
+        if (!(term in this.invertedIndex)) {
+          this.tokenSet!.remove(term)
+          this.mapTerm(term, false)
+        }
+      }
+
+      return true
+    }
+
+    /**
+     * Weighs the vectors of every document again with the current average field lengths and
+     * inverse document frequencies, replacing them in the field vectors of the built index.
+     *
+     * @private
+     */
+    private weighDocuments () {
+      let termIdfCache = Object.create(null)
+
+      for (const docRef of Object.keys(this._documents)) {
+        this.createDocumentVectors(docRef, this.averageFieldLength!, termIdfCache, this.fieldVectors!)
+      }
+    }
+
+    /**
+     * Inserts a term that is a number or a point into, or removes it from, the number map or
+     * geo map.
+     *
+     * @private
+     */
+    private mapTerm (term: string, insert: boolean) {
+      let number = lunr.utils.parseNumber(term),
+          point = lunr.GeoMap.point(term)
+
+      if (!isNaN(number) && insert) {
+        this.numberMap!.insert(number, term)
+      } else if (!isNaN(number)) {
+        this.numberMap!.remove(number, term)
+      }
+
+      if (point !== undefined && insert) {
+        this.geoMap!.insert(point, term)
+      } else if (point !== undefined) {
+        this.geoMap!.remove(point, term)
+      }
+    }
+
+    /**
+     * Recalculates the average field lengths and field vectors from the documents
+     * currently in the index. The token set, number map and geo map only depend on the terms
+     * in the inverted index, so they are only recreated when those terms changed.
+     *
+     * @private
+     * @param {boolean} [termsChanged=true] - Whether terms were added to or removed from the inverted index.
+     */
+    /* @internal */
+    refresh (termsChanged = true) {
+      this.averageFieldLength = this.calculateAverageFieldLengths()
+      this.fieldVectors = this.createFieldVectors(this.averageFieldLength)
+
+      if (termsChanged || !this.tokenSet || !this.numberMap || !this.geoMap) {
+        this.tokenSet = this.createTokenSet()
+        this.numberMap = this.createNumberMap()
+        this.geoMap = this.createGeoMap()
+      }
+    }
+
+    /**
+     * Creates a builder containing the documents of several builders, as used by
+     * lunr.Index.merge. The configuration is taken from the first builder, the terms of every
+     * builder are given new term indexes as they are added to the merged inverted index.
+     *
+     * @private
+     * @param {lunr.Builder[]} builders - The builders to merge, which must index the same fields.
+     * @returns {lunr.Builder}
+     * @throws {Error} If a document ref appears in more than one of the builders.
+     */
+    /* @internal */
+    static merge<T> (builders: Builder<T>[]) {
+      let first = builders[0],
+          merged = new Builder<T>(),
+          fields = Object.keys(first._fields)
+
+      merged._ref = first._ref
+      merged._fields = first._fields
+      merged._mutable = true
+      merged._b = first._b
+      merged._k1 = first._k1
+      merged._scoringModel = first._scoringModel
+      merged.tokenizer = first.tokenizer
+      merged.pipeline = first.pipeline
+      merged.searchPipeline = first.searchPipeline
+      merged.metadataWhitelist = first.metadataWhitelist.slice()
+
+      for (const fieldName of Object.keys(first.docValues)) {
+        merged.docValues[fieldName] = Object.create(null)
+      }
+
+      for (const fieldName of Object.keys(first.facetValues)) {
+        merged.facetValues[fieldName] = Object.create(null)
+      }
+
+      for (const builder of builders) {
+        for (const docRef of Object.keys(builder._documents)) {
+          if (merged.hasDocument(docRef)) {
+            throw new Error("Document '" + docRef + "' exists in more than one of the merged indexes")
+          }
+
+          merged._documents[docRef] = builder._documents[docRef]
+          merged.documentCount += 1
+
+          if (builder.documentStore[docRef] !== undefined) {
+            merged.documentStore[docRef] = builder.documentStore[docRef]
+          }
+
+          for (const fieldName of Object.keys(merged.docValues)) {
+            let values = builder.docValues[fieldName]
+
+            if (values !== undefined && values[docRef] !== undefined) {
+              merged.docValues[fieldName][docRef] = values[docRef]
+            }
+          }
+
+          for (const fieldName of Object.keys(merged.facetValues)) {
+            let values = builder.facetValues[fieldName]
+
+            if (values !== undefined && values[docRef] !== undefined) {
+              merged.facetValues[fieldName][docRef] = values[docRef]
+            }
+          }
+        }
+
+        for (const fieldRef of Object.keys(builder.fieldTermFrequencies)) {
+          merged.fieldTermFrequencies[fieldRef] = builder.fieldTermFrequencies[fieldRef]
+          merged.fieldLengths[fieldRef] = builder.fieldLengths[fieldRef]
+        }
+
+        for (const term of Object.keys(builder.invertedIndex)) {
+          let posting = builder.invertedIndex[term],
+              mergedPosting = merged.invertedIndex[term]
+
+          if (mergedPosting === undefined) {
+            mergedPosting = Object.create(null)
+            mergedPosting["_index"] = merged.termIndex
+            merged.termIndex += 1
+
+            for (const fieldName of fields) {
+              mergedPosting[fieldName] = Object.create(null)
+            }
+
+            merged.invertedIndex[term] = mergedPosting
+          }
+
+          for (const fieldName of fields) {
+            for (const docRef of Object.keys(posting[fieldName])) {
+              mergedPosting[fieldName][docRef] = posting[fieldName][docRef]
+            }
+          }
+        }
+      }
+
+      return merged
+    }
+
     /**
      * Applies a plugin to the index builder.
      *
@@ -423,13 +1176,269 @@ namespace lunr {
       boost?: number
       extractor?: fieldExtractor<T>
       type?: FieldType
+      facet?: boolean
+      store?: boolean
+      sortable?: boolean
+      b?: number
+      k1?: number
     }
 
     export interface DocumentAttributes {
       boost?: number
     }
 
-    export type FieldType = "string" | "number"
+    export type FieldType = "string" | "number" | "date" | "keyword" | "boolean" | "geo"
+
+    export type SortValue = string | number
+
+    /**
+     * Options for building an index asynchronously.
+     *
+     * @typedef {object} lunr.Builder~AsyncOptions
+     * @property {number} [yieldEvery=1000] - The number of documents, field vectors or terms processed
+     * before control is returned to the event loop.
+     */
+    export interface AsyncOptions {
+      yieldEvery?: number
+    }
+
+    /**
+     * Clamps a value of the `b` parameter to the range 0 - 1.
+     *
+     * @private
+     */
+    /* @internal */
+    export const clampB = function (b: number) {
+      if (b < 0) {
+        return 0
+      } else if (b > 1) {
+        return 1
+      } else {
+        return b
+      }
+    }
+
+    /**
+     * Reads the chunk size from the options of an asynchronous build.
+     *
+     * @private
+     * @param {lunr.Builder~AsyncOptions} options - The options of the build.
+     * @returns {number}
+     * @throws {RangeError} If yieldEvery is not a positive integer.
+     */
+    /* @internal */
+    export const chunkSize = function (options: AsyncOptions) {
+      let yieldEvery = options.yieldEvery !== undefined ? options.yieldEvery : 1000
+
+      if (!(yieldEvery > 0 && yieldEvery === Math.floor(yieldEvery))) {
+        throw new RangeError("Option 'yieldEvery' must be a positive integer")
+      }
+
+      return yieldEvery
+    }
+
+    /**
+     * Returns a promise that resolves once the event loop has handled any pending events.
+     *
+     * @private
+     * @returns {Promise}
+     */
+    /* @internal */
+    export const yieldToEventLoop = function () {
+      return new Promise<void>(resolve => setTimeout(resolve, 0))
+    }
+
+    /**
+     * Normalizes a keyword, the same normalization is applied to keywords when indexing and
+     * when searching.
+     *
+     * @private
+     * @param {*} keyword - The keyword to normalize.
+     * @returns {string}
+     */
+    /* @internal */
+    export const normalizeKeyword = function (keyword: any): string {
+      return lunr.utils.asString(keyword).trim().toLowerCase()
+    }
+
+    /**
+     * Converts the value of a keyword field into its tokens, one for the value or for each
+     * element of an array value. Empty keywords are left out.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {object} metadata - The metadata to add to every token.
+     * @returns {lunr.Token[]}
+     */
+    /* @internal */
+    export const keywordTokens = function (value: any, metadata: Record<string, any>) {
+      let tokens: lunr.Token[] = []
+
+      for (const keyword of Array.isArray(value) ? value : [value]) {
+        let str = normalizeKeyword(keyword)
+
+        if (str.length > 0) {
+          tokens.push(new lunr.Token (str, lunr.utils.clone(metadata)))
+        }
+      }
+
+      return tokens
+    }
+
+    /**
+     * Converts a boolean value into the term it is indexed by. The terms start with a null
+     * character, which the tokenizer never produces, so that they cannot collide with text.
+     *
+     * @private
+     * @param {*} value - A boolean, or the string `true` or `false` in any case.
+     * @returns {?string} The term, or undefined if the value is not a boolean.
+     */
+    /* @internal */
+    export const booleanTerm = function (value: any) {
+      let str = lunr.utils.asString(value).trim().toLowerCase()
+
+      return str == "true" || str == "false" ? "\u0000" + str : undefined
+    }
+
+    /**
+     * Converts the term of a boolean field back into the value it stands for.
+     *
+     * @private
+     * @param {string} term - A term of a boolean field.
+     * @returns {?boolean} The value, or undefined if the term is not a boolean term.
+     */
+    /* @internal */
+    export const booleanValue = function (term: string) {
+      return term == "\u0000true" ? true : term == "\u0000false" ? false : undefined
+    }
+
+    /**
+     * Converts the value of a boolean field into its tokens, one for the value or for each
+     * element of an array value. Values that are not booleans are left out.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {object} metadata - The metadata to add to every token.
+     * @returns {lunr.Token[]}
+     */
+    /* @internal */
+    export const booleanTokens = function (value: any, metadata: Record<string, any>) {
+      let tokens: lunr.Token[] = []
+
+      for (const element of Array.isArray(value) ? value : [value]) {
+        let term = booleanTerm(element)
+
+        if (term !== undefined) {
+          tokens.push(new lunr.Token (term, lunr.utils.clone(metadata)))
+        }
+      }
+
+      return tokens
+    }
+
+    /**
+     * Converts the value of a geo field into its tokens, one for the point or for each point
+     * of an array value. Values that are not points are left out.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {object} metadata - The metadata to add to every token.
+     * @returns {lunr.Token[]}
+     */
+    /* @internal */
+    export const geoTokens = function (value: any, metadata: Record<string, any>) {
+      let tokens: lunr.Token[] = []
+
+      for (const element of Array.isArray(value) ? value : [value]) {
+        let point = lunr.GeoMap.parsePoint(element)
+
+        if (point !== undefined) {
+          tokens.push(new lunr.Token (lunr.GeoMap.term(point), lunr.utils.clone(metadata)))
+        }
+      }
+
+      return tokens
+    }
+
+    /**
+     * Converts the value of a date field into its tokens, the times of its dates in
+     * milliseconds since the epoch. Values that are not dates are left out. The tokens are
+     * not split by the tokenizer, which would drop the sign of dates before 1970.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {object} metadata - The metadata to add to every token.
+     * @returns {lunr.Token[]}
+     */
+    /* @internal */
+    export const dateTokens = function (value: any, metadata: Record<string, any>) {
+      let tokens: lunr.Token[] = []
+
+      for (const date of Array.isArray(value) ? value : [value]) {
+        let time = lunr.utils.toEpochTime(date)
+
+        if (time !== undefined) {
+          tokens.push(new lunr.Token (time.toString(), lunr.utils.clone(metadata)))
+        }
+      }
+
+      return tokens
+    }
+
+    /**
+     * Converts the value of a string facet field into the distinct values it is counted by,
+     * each element of an array is a value, leading and trailing whitespace is removed.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @returns {string[]}
+     */
+    /* @internal */
+    export const facetValues = function (value: any): string[] {
+      let values: string[] = []
+
+      for (const element of Array.isArray(value) ? value : [value]) {
+        let str = element === null || element === undefined ? "" : String(element).trim()
+
+        if (str && values.indexOf(str) == -1) {
+          values.push(str)
+        }
+      }
+
+      return values
+    }
+
+    /**
+     * Converts the value of a field into the value it is sorted by. Only the first value
+     * of an array is used, values of number and date fields that are not numbers or dates
+     * are left out, dates are sorted by their time.
+     *
+     * @private
+     * @param {*} value - The value of the field, as returned by the extractor if there is one.
+     * @param {"string" | "number" | "date" | "keyword" | "boolean" | "geo"} type - The type of the field.
+     * @returns {?(string|number)}
+     */
+    /* @internal */
+    export const sortValue = function (value: any, type: FieldType): SortValue | undefined {
+      if (Array.isArray(value)) {
+        value = value[0]
+      }
+
+      if (value === null || value === undefined) {
+        return undefined
+      }
+
+      if (type == "date") {
+        return lunr.utils.toEpochTime(value)
+      }
+
+      if (type == "number") {
+        let number = typeof value === "number" ? value : lunr.utils.parseNumber(lunr.utils.asString(value))
+        return isNaN(number) ? undefined : number
+      }
+
+      return lunr.utils.asString(value)
+    }
   }
 }
 
@@ -0,0 +1,435 @@
+/*!
+ * lunr.GeoMap
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.GeoMap finds the terms of the points of geo fields that lie within a distance
+   * of a point or within a bounding box.
+   *
+   * The points of geo fields are indexed as terms made from their geohash, see
+   * lunr.GeoMap.term, so that points that are close to each other share a prefix. The
+   * entries of the map are kept in geohash order, an area is matched by looking up the
+   * entries of each geohash cell covering the area, and then checking the exact location
+   * of each point found.
+   *
+   * @memberOf lunr
+   */
+  export class GeoMap {
+    entries: GeoMap.Entry[]
+
+    constructor (entries: GeoMap.Entry[]) {
+      this.entries = entries
+    }
+
+    /**
+     * Finds the tokens of the points within a distance of a point.
+     *
+     * @param {lunr.GeoMap~Point} point - The point to measure the distance from.
+     * @param {number} distance - The distance, in kilometres.
+     * @returns {lunr.TokenSet}
+     */
+    matchDistance (point: GeoMap.Point, distance: number) {
+      return this.collectTokens(GeoMap.boundingBox(point, distance), entry => GeoMap.distance(point, entry.point) <= distance)
+    }
+
+    /**
+     * Finds the tokens of the points within a bounding box, edges included.
+     *
+     * @param {lunr.GeoMap~BoundingBox} box - The bounding box, its left edge is east of its right edge when it crosses the antimeridian.
+     * @returns {lunr.TokenSet}
+     */
+    matchBoundingBox (box: GeoMap.BoundingBox) {
+      return this.collectTokens(box, entry => GeoMap.contains(box, entry.point))
+    }
+
+    /**
+     * Adds the token of a point to the map, in place.
+     *
+     * @param {lunr.GeoMap~Point} point - The point.
+     * @param {string} token - The token the point is indexed by.
+     */
+    insert (point: GeoMap.Point, token: string) {
+      let hash = GeoMap.geohash(point, GeoMap.precision),
+          index = lunr.utils.binarySearchKey(this.entries, hash, GeoMap.selectHash, lunr.utils.compare)
+
+      this.entries.splice(index < 0 ? ~index : index, 0, { hash, point, token })
+    }
+
+    /**
+     * Removes the token of a point from the map, in place.
+     *
+     * @param {lunr.GeoMap~Point} point - The point.
+     * @param {string} token - The token the point is indexed by.
+     */
+    remove (point: GeoMap.Point, token: string) {
+      let hash = GeoMap.geohash(point, GeoMap.precision),
+          index = lunr.utils.binarySearchKey(this.entries, hash, GeoMap.selectHash, lunr.utils.compare)
+
+      if (index < 0) {
+        return
+      }
+
+      // several points can share a geohash, the entries with the same hash are next to each other
+      while (index > 0 && this.entries[index - 1].hash == hash) {
+        index--
+      }
+
+      for (; index < this.entries.length && this.entries[index].hash == hash; index++) {
+        if (this.entries[index].token == token) {
+          this.entries.splice(index, 1)
+          return
+        }
+      }
+    }
+
+    private collectTokens (box: GeoMap.BoundingBox, accept: (entry: GeoMap.Entry) => boolean) {
+      let result: string[] = []
+
+      for (const cell of GeoMap.coveringCells(box)) {
+        let index = lunr.utils.binarySearchKey(this.entries, cell, GeoMap.selectHash, lunr.utils.compare)
+
+        for (index = index < 0 ? ~index : index; index < this.entries.length; index++) {
+          let entry = this.entries[index]
+
+          if (entry.hash.slice(0, cell.length) != cell) {
+            break
+          }
+
+          if (accept(entry)) {
+            result.push(entry.token)
+          }
+        }
+      }
+
+      return lunr.TokenSet.fromArray(result.sort())
+    }
+
+    private static selectHash (entry: GeoMap.Entry) {
+      return entry.hash
+    }
+
+    static fromInvertedIndex (invertedIndex: lunr.Index.InvertedIndex) {
+      const geoBuilder = new GeoMap.Builder()
+      for (const term of Object.keys(invertedIndex)) {
+        const point = GeoMap.point(term)
+        if (point !== undefined) {
+          geoBuilder.add(point, term)
+        }
+      }
+      return geoBuilder.build()
+    }
+  }
+
+  export namespace GeoMap {
+    /**
+     * A location on the earth.
+     *
+     * @typedef {object} lunr.GeoMap~Point
+     * @property {number} lat - The latitude, in degrees from -90 to 90.
+     * @property {number} lon - The longitude, in degrees from -180 to 180.
+     */
+    export interface Point {
+      lat: number
+      lon: number
+    }
+
+    /**
+     * An area bounded by two latitudes and two longitudes.
+     *
+     * @typedef {object} lunr.GeoMap~BoundingBox
+     * @property {number} top - The northern latitude.
+     * @property {number} left - The western longitude.
+     * @property {number} bottom - The southern latitude.
+     * @property {number} right - The eastern longitude.
+     */
+    export interface BoundingBox {
+      top: number
+      left: number
+      bottom: number
+      right: number
+    }
+
+    export interface Entry {
+      hash: string
+      point: Point
+      token: string
+    }
+
+    /** The mean radius of the earth, in kilometres. */
+    export const earthRadius = 6371.0088
+
+    /** The number of characters of the geohash that points are indexed by, about 4cm across. */
+    export const precision = 12
+
+    // the most geohash cells looked up to match an area
+    const maxCells = 16
+
+    // geo terms start with a character that the tokenizer never produces
+    const termPrefix = "\u0001"
+
+    const alphabet = "0123456789bcdefghjkmnpqrstuvwxyz" // eslint-disable-line spellcheck/spell-checker
+
+    /**
+     * Converts a value into a point. Points can be given as objects with `lat` and `lon`
+     * properties or as strings of the form `"lat,lon"`.
+     *
+     * @param {*} value - The value to convert.
+     * @returns {?lunr.GeoMap~Point} The point, or undefined if the value is not a valid point.
+     */
+    export const parsePoint = function (value: any): Point | undefined {
+      let lat: number, lon: number
+
+      if (typeof value == "string") {
+        let parts = value.split(",")
+
+        if (parts.length != 2) {
+          return undefined
+        }
+
+        lat = lunr.utils.parseNumber(parts[0])
+        lon = lunr.utils.parseNumber(parts[1])
+      } else if (value !== null && typeof value == "object") {
+        lat = value.lat
+        lon = value.lon
+      } else {
+        return undefined
+      }
+
+      if (typeof lat != "number" || typeof lon != "number" || !(lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180)) {
+        return undefined
+      }
+
+      return { lat, lon }
+    }
+
+    /**
+     * The term that a point is indexed by.
+     *
+     * @param {lunr.GeoMap~Point} point - The point.
+     * @returns {string}
+     */
+    export const term = function (point: Point) {
+      return termPrefix + geohash(point, precision)
+    }
+
+    /**
+     * The point that a term stands for, at the centre of the cell of its geohash.
+     *
+     * @param {string} term - A term of the index.
+     * @returns {?lunr.GeoMap~Point} The point, or undefined if the term is not the term of a point.
+     */
+    export const point = function (term: string) {
+      let hash = term.slice(termPrefix.length)
+
+      if (term.charAt(0) != termPrefix || hash.length != precision || !isGeohash(hash)) {
+        return undefined
+      }
+
+      return decodeGeohash(hash)
+    }
+
+    /**
+     * Computes the great-circle distance between two points.
+     *
+     * @param {lunr.GeoMap~Point} a - A point.
+     * @param {lunr.GeoMap~Point} b - Another point.
+     * @returns {number} The distance, in kilometres.
+     */
+    export const distance = function (a: Point, b: Point) {
+      let dLat = toRadians(b.lat - a.lat),
+          dLon = toRadians(b.lon - a.lon),
+          h = Math.pow(Math.sin(dLat / 2), 2) +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.pow(Math.sin(dLon / 2), 2)
+
+      return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(h)))
+    }
+
+    /**
+     * Computes the smallest bounding box that contains every point within a distance of a point.
+     *
+     * @param {lunr.GeoMap~Point} point - The centre of the area.
+     * @param {number} distance - The distance, in kilometres.
+     * @returns {lunr.GeoMap~BoundingBox}
+     */
+    export const boundingBox = function (point: Point, distance: number): BoundingBox {
+      let angle = distance / earthRadius,
+          top = point.lat + toDegrees(angle),
+          bottom = point.lat - toDegrees(angle)
+
+      // an area that includes a pole includes every longitude near it
+      if (top >= 90 || bottom <= -90 || Math.sin(angle) >= Math.cos(toRadians(point.lat))) {
+        return { top: Math.min(top, 90), left: -180, bottom: Math.max(bottom, -90), right: 180 }
+      }
+
+      let dLon = toDegrees(Math.asin(Math.sin(angle) / Math.cos(toRadians(point.lat)))),
+          left = point.lon - dLon,
+          right = point.lon + dLon
+
+      return {
+        top,
+        left: left < -180 ? left + 360 : left,
+        bottom,
+        right: right > 180 ? right - 360 : right
+      }
+    }
+
+    /**
+     * Whether a bounding box contains a point.
+     *
+     * @param {lunr.GeoMap~BoundingBox} box - The bounding box.
+     * @param {lunr.GeoMap~Point} point - The point.
+     * @returns {boolean}
+     */
+    export const contains = function (box: BoundingBox, point: Point) {
+      if (point.lat < box.bottom || point.lat > box.top) {
+        return false
+      }
+
+      return box.left <= box.right
+        ? point.lon >= box.left && point.lon <= box.right
+        : point.lon >= box.left || point.lon <= box.right
+    }
+
+    /**
+     * Encodes a point as a geohash.
+     *
+     * @param {lunr.GeoMap~Point} point - The point.
+     * @param {number} length - The number of characters of the geohash.
+     * @returns {string}
+     */
+    export const geohash = function (point: Point, length: number) {
+      let bits = cellBits(length)
+
+      return encodeCell(
+        cellIndex(point.lat + 90, 180, bits.lat),
+        cellIndex(point.lon + 180, 360, bits.lon),
+        length
+      )
+    }
+
+    /**
+     * Finds the geohash cells that together cover a bounding box, using the longest geohashes
+     * for which few enough cells are needed.
+     *
+     * @private
+     * @param {lunr.GeoMap~BoundingBox} box - The bounding box.
+     * @returns {string[]}
+     */
+    /* @internal */
+    export const coveringCells = function (box: BoundingBox): string[] {
+      // a box that crosses the antimeridian is covered in two parts
+      if (box.left > box.right) {
+        return coveringCells({ top: box.top, left: box.left, bottom: box.bottom, right: 180 })
+          .concat(coveringCells({ top: box.top, left: -180, bottom: box.bottom, right: box.right }))
+      }
+
+      let length = precision,
+          ranges = cellRanges(box, length)
+
+      while (length > 1 && (ranges.rows[1] - ranges.rows[0] + 1) * (ranges.columns[1] - ranges.columns[0] + 1) > maxCells) {
+        length -= 1
+        ranges = cellRanges(box, length)
+      }
+
+      let cells: string[] = []
+
+      for (let row = ranges.rows[0]; row <= ranges.rows[1]; row++) {
+        for (let column = ranges.columns[0]; column <= ranges.columns[1]; column++) {
+          cells.push(encodeCell(row, column, length))
+        }
+      }
+
+      return cells
+    }
+
+    const toRadians = function (degrees: number) {
+      return degrees * Math.PI / 180
+    }
+
+    const toDegrees = function (radians: number) {
+      return radians * 180 / Math.PI
+    }
+
+    const isGeohash = function (str: string) {
+      for (let i = 0; i < str.length; i++) {
+        if (alphabet.indexOf(str.charAt(i)) == -1) {
+          return false
+        }
+      }
+
+      return true
+    }
+
+    // the bits of a geohash alternate between longitude and latitude, starting with longitude
+    const cellBits = function (length: number) {
+      return { lat: Math.floor(length * 5 / 2), lon: Math.ceil(length * 5 / 2) }
+    }
+
+    // the index of the cell containing an offset within an extent split into 2^bits cells
+    const cellIndex = function (offset: number, extent: number, bits: number) {
+      let cells = Math.pow(2, bits)
+      return Math.max(0, Math.min(cells - 1, Math.floor(offset / extent * cells)))
+    }
+
+    // the first and last rows and columns of the cells of a geohash length covering a bounding box
+    const cellRanges = function (box: BoundingBox, length: number) {
+      let bits = cellBits(length)
+
+      return {
+        rows: [cellIndex(box.bottom + 90, 180, bits.lat), cellIndex(box.top + 90, 180, bits.lat)],
+        columns: [cellIndex(box.left + 180, 360, bits.lon), cellIndex(box.right + 180, 360, bits.lon)]
+      }
+    }
+
+    const encodeCell = function (row: number, column: number, length: number) {
+      let bits = cellBits(length),
+          hash = "",
+          char = 0
+
+      for (let i = 0; i < length * 5; i++) {
+        let bit
+
+        if (i % 2 == 0) {
+          bits.lon -= 1
+          bit = Math.floor(column / Math.pow(2, bits.lon)) % 2
+        } else {
+          bits.lat -= 1
+          bit = Math.floor(row / Math.pow(2, bits.lat)) % 2
+        }
+
+        char = char * 2 + bit
+
+        if (i % 5 == 4) {
+          hash += alphabet.charAt(char)
+          char = 0
+        }
+      }
+
+      return hash
+    }
+
+    const decodeGeohash = function (hash: string): Point {
+      let bits = cellBits(hash.length),
+          row = 0,
+          column = 0
+
+      for (let i = 0; i < hash.length * 5; i++) {
+        let bit = Math.floor(alphabet.indexOf(hash.charAt(Math.floor(i / 5))) / Math.pow(2, 4 - i % 5)) % 2
+
+        if (i % 2 == 0) {
+          column = column * 2 + bit
+        } else {
+          row = row * 2 + bit
+        }
+      }
+
+      return {
+        lat: (row + 0.5) / Math.pow(2, bits.lat) * 180 - 90,
+        lon: (column + 0.5) / Math.pow(2, bits.lon) * 360 - 180
+      }
+    }
+  }
+}
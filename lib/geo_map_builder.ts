@@ -0,0 +1,23 @@
+// @ts-ignore
+namespace lunr.GeoMap {
+  export class Builder {
+    private entries: Entry[]
+
+    constructor () {
+      this.entries = []
+    }
+
+    add (point: Point, token: string) {
+      this.entries.push({ hash: GeoMap.geohash(point, GeoMap.precision), point, token })
+    }
+
+    build () {
+      return new GeoMap(this.entries
+        .sort(GeoMap.Builder.compareEntries))
+    }
+
+    private static compareEntries (a: Entry, b: Entry) {
+      return lunr.utils.compare(a.hash, b.hash)
+    }
+  }
+}
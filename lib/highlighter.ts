@@ -0,0 +1,274 @@
+/*!
+ * lunr.Highlighter
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.Highlighter marks up the terms of a search result within the text of a field,
+   * either in the whole text or in a snippet of the text that contains the most matches.
+   *
+   * The matching terms are found using the `position` metadata of the result, so the index
+   * must have been built with `position` in the {@link lunr.Builder#metadataWhitelist}. The
+   * positions refer to the text that was indexed for the field, when the field is stored in
+   * the index that text is used by default, otherwise the text has to be passed in.
+   *
+   * Overlapping and adjacent matches are merged into a single marked up range. The text
+   * outside of the mark up is escaped, by default for use as HTML.
+   *
+   * @memberOf lunr
+   * @example <caption>showing a snippet of the body of each result</caption>
+   * var highlighter = new lunr.Highlighter({ snippetLength: 100 })
+   *
+   * idx.search("plant").map(function (result) {
+   *   return highlighter.snippet(result, "body")
+   * })
+   */
+  export class Highlighter {
+    /** The mark up inserted before each match. */
+    before: string
+    /** The mark up inserted after each match. */
+    after: string
+    /** The maximum length of a snippet, in characters of the original text. */
+    snippetLength: number
+    /** Added where a snippet has been cut from the text. */
+    ellipsis: string
+    /** Escapes the text of a field. */
+    escape: (text: string) => string
+
+    /**
+     * @param {lunr.Highlighter~Options} [options] - Options for the mark up and snippets.
+     */
+    constructor (options: Highlighter.Options = {}) {
+      this.before = options.before !== undefined ? options.before : "<mark>"
+      this.after = options.after !== undefined ? options.after : "</mark>"
+      this.snippetLength = options.snippetLength !== undefined ? options.snippetLength : 150
+      this.ellipsis = options.ellipsis !== undefined ? options.ellipsis : "..."
+      this.escape = options.escape || Highlighter.escapeHtml
+    }
+
+    /**
+     * Finds the ranges of the text of a field that matched the query of a result.
+     *
+     * @param {lunr.Index~Result} result - A search result.
+     * @param {string} field - The name of the field.
+     * @returns {lunr.Highlighter~Range[]} The merged ranges, in order.
+     */
+    ranges (result: lunr.Index.Result, field: string) {
+      let metadata = result.matchData.metadata,
+          ranges: Highlighter.Range[] = []
+
+      for (const term of Object.keys(metadata)) {
+        let fieldMetadata = metadata[term][field]
+
+        if (fieldMetadata === undefined || fieldMetadata["position"] === undefined) {
+          continue
+        }
+
+        for (const position of fieldMetadata["position"] as unknown as [number, number][]) {
+          // terms that are not split from a text, such as keywords, have no position
+          if (position !== undefined) {
+            ranges.push({ start: position[0], end: position[0] + position[1] })
+          }
+        }
+      }
+
+      return Highlighter.mergeRanges(ranges)
+    }
+
+    /**
+     * Marks up every match of a result within the whole text of a field.
+     *
+     * @param {lunr.Index~Result} result - A search result.
+     * @param {string} field - The name of the field.
+     * @param {string} [text] - The text of the field, defaults to the stored value of the field.
+     * @returns {string}
+     * @throws {Error} If no text is passed and the field is not stored.
+     */
+    highlight (result: lunr.Index.Result, field: string, text?: string) {
+      let source = this.fieldText(result, field, text)
+
+      return this.markUp(source, this.ranges(result, field), 0, source.length)
+    }
+
+    /**
+     * Marks up the matches of a result within the snippet of a field that contains the most
+     * matches. The snippet is at most lunr.Highlighter#snippetLength characters long, unless a
+     * single match is longer, and does not cut words in half where it can be avoided.
+     *
+     * @param {lunr.Index~Result} result - A search result.
+     * @param {string} field - The name of the field.
+     * @param {string} [text] - The text of the field, defaults to the stored value of the field.
+     * @returns {string}
+     * @throws {Error} If no text is passed and the field is not stored.
+     */
+    snippet (result: lunr.Index.Result, field: string, text?: string) {
+      let source = this.fieldText(result, field, text),
+          ranges = this.ranges(result, field),
+          length = this.snippetLength,
+          first = 0,
+          last = -1
+
+      if (source.length <= length) {
+        return this.markUp(source, ranges, 0, source.length)
+      }
+
+      /*
+      * The snippet covers the longest run of matches that fits within
+      * the snippet length, found by extending a window from each match.
+      */
+      for (let i = 0, j = 0; i < ranges.length; i++) {
+        if (j < i) {
+          j = i
+        }
+
+        while (j + 1 < ranges.length && ranges[j + 1].end - ranges[i].start <= length) {
+          j += 1
+        }
+
+        if (j - i > last - first) {
+          first = i
+          last = j
+        }
+      }
+
+      let matchStart = last < 0 ? 0 : ranges[first].start,
+          matchEnd = last < 0 ? 0 : ranges[last].end,
+          snippetLength = Math.max(length, matchEnd - matchStart),
+          start = Math.max(0, matchStart - Math.floor((snippetLength - (matchEnd - matchStart)) / 2)),
+          end = Math.min(source.length, start + snippetLength)
+
+      start = Math.max(0, end - snippetLength)
+
+      // move the edges of the snippet to the nearest whitespace within it
+      while (start > 0 && start < matchStart && !Highlighter.isWhitespace(source, start - 1)) {
+        start += 1
+      }
+
+      while (end < source.length && end > matchEnd && !Highlighter.isWhitespace(source, end)) {
+        end -= 1
+      }
+
+      return (start > 0 ? this.ellipsis : "") +
+        this.markUp(source, ranges, start, end).trim() +
+        (end < source.length ? this.ellipsis : "")
+    }
+
+    /**
+     * @private
+     */
+    private fieldText (result: lunr.Index.Result, field: string, text?: string) {
+      if (text !== undefined) {
+        return text
+      }
+
+      if (result.doc === undefined || result.doc[field] === undefined) {
+        throw new Error("Field '" + field + "' is not stored in the index, the text of the field has to be passed")
+      }
+
+      return lunr.utils.asString(result.doc[field])
+    }
+
+    /**
+     * Escapes the text between start and end, inserting the mark up around each range.
+     *
+     * @private
+     */
+    private markUp (text: string, ranges: Highlighter.Range[], start: number, end: number) {
+      let output = "",
+          pos = start
+
+      for (const range of ranges) {
+        let rangeStart = Math.max(range.start, start),
+            rangeEnd = Math.min(range.end, end)
+
+        if (rangeStart >= rangeEnd || rangeStart < pos) {
+          continue
+        }
+
+        output += this.escape(text.slice(pos, rangeStart)) +
+          this.before + this.escape(text.slice(rangeStart, rangeEnd)) + this.after
+
+        pos = rangeEnd
+      }
+
+      return output + this.escape(text.slice(pos, end))
+    }
+  }
+
+  export namespace Highlighter {
+    /**
+     * Options for the mark up and snippets of a lunr.Highlighter.
+     *
+     * @typedef {object} lunr.Highlighter~Options
+     * @property {string} [before="<mark>"] - The mark up inserted before each match.
+     * @property {string} [after="</mark>"] - The mark up inserted after each match.
+     * @property {number} [snippetLength=150] - The maximum length of a snippet.
+     * @property {string} [ellipsis="..."] - Added where a snippet has been cut from the text.
+     * @property {function(string): string} [escape=lunr.Highlighter.escapeHtml] - Escapes the text of a field.
+     */
+    export interface Options {
+      before?: string
+      after?: string
+      snippetLength?: number
+      ellipsis?: string
+      escape?: (text: string) => string
+    }
+
+    /**
+     * A range of a text, from start up to, but excluding, end.
+     *
+     * @typedef {object} lunr.Highlighter~Range
+     * @property {number} start - The offset of the first character of the range.
+     * @property {number} end - The offset after the last character of the range.
+     */
+    export interface Range {
+      start: number
+      end: number
+    }
+
+    /**
+     * Sorts ranges and merges the ranges that overlap or are adjacent.
+     *
+     * @param {lunr.Highlighter~Range[]} ranges - The ranges to merge.
+     * @returns {lunr.Highlighter~Range[]}
+     */
+    export const mergeRanges = function (ranges: Range[]) {
+      let sorted = ranges.slice().sort((a, b) => a.start - b.start || a.end - b.end),
+          merged: Range[] = []
+
+      for (const range of sorted) {
+        let previous = merged[merged.length - 1]
+
+        if (previous !== undefined && range.start <= previous.end) {
+          previous.end = Math.max(previous.end, range.end)
+        } else {
+          merged.push({ start: range.start, end: range.end })
+        }
+      }
+
+      return merged
+    }
+
+    /**
+     * Escapes the characters of a text that have a special meaning in HTML.
+     *
+     * @param {string} text - The text to escape.
+     * @returns {string}
+     */
+    export const escapeHtml = function (text: string) {
+      return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;")
+    }
+
+    /* @internal */
+    export const isWhitespace = function (text: string, index: number) {
+      return /\s/.test(text.charAt(index))
+    }
+  }
+}
@@ -5,10 +5,26 @@ namespace lunr {
    * a posting. This is shared between the builder and the index
    *
    * @private
-   * @param {object} posting - The posting for a given term
+   * @param {object|number} posting - The posting for a given term, or the number of documents containing the term.
    * @param {number} documentCount - The total number of documents.
    */
-  export const idf = function (posting: Index.InvertedIndex.Posting, documentCount: number) {
+  export const idf = function (posting: Index.InvertedIndex.Posting | number, documentCount: number) {
+    let documentsWithTerm = typeof posting == "number" ? posting : lunr.documentsWithTerm(posting)
+
+    let x = (documentCount - documentsWithTerm + 0.5) / (documentsWithTerm + 0.5)
+
+    return Math.log(1 + Math.abs(x))
+  }
+
+  /**
+   * Counts the documents containing the term of a posting, a document is counted once
+   * for each of its fields containing the term.
+   *
+   * @private
+   * @param {object} posting - The posting for a given term
+   */
+  /* @internal */
+  export const documentsWithTerm = function (posting: Index.InvertedIndex.Posting) {
     let documentsWithTerm = 0
 
     for (let fieldName in posting) {
@@ -16,8 +32,6 @@ namespace lunr {
       documentsWithTerm += Object.keys(posting[fieldName]).length
     }
 
-    let x = (documentCount - documentsWithTerm + 0.5) / (documentsWithTerm + 0.5)
-
-    return Math.log(1 + Math.abs(x))
+    return documentsWithTerm
   }
-}
\ No newline at end of file
+}
@@ -20,6 +20,7 @@ namespace lunr {
    * @property {string} ref - The reference of the document this result represents.
    * @property {number} score - A number between 0 and 1 representing how similar this document is to the query.
    * @property {lunr.MatchData} matchData - Contains metadata about this match including which term(s) caused the match.
+   * @property {object} [doc] - The values of the stored fields of the document, if any fields are stored.
    */
 
   /**
@@ -42,6 +43,12 @@ namespace lunr {
    * hello in the title field will match this query. Using a field not present in the index will lead
    * to an error being thrown.
    *
+   * The value of a keyword field is matched as a whole, e.g. `tags:node-js` or `tags:"new york"`, without
+   * being split into terms or processed by the search pipeline.
+   *
+   * Boolean fields are matched with `true` or `false`, e.g. `+published:true`, they filter the results
+   * without contributing to the score. Unless a term names a boolean field it does not match boolean fields.
+   *
    * Modifiers can also be added to terms, lunr supports edit distance and boost modifiers on terms. A term
    * boost will make documents matching that term score higher, e.g. `foo^5`. Edit distance is also supported
    * to provide fuzzy matching, e.g. 'hello~2' will match documents with hello with an edit distance of 2.
@@ -53,6 +60,27 @@ namespace lunr {
    * optionally contain 'bar'. Conversely a leading '-' sets the terms presence to prohibited, i.e. it must not
    * appear in a document, e.g. `-foo bar` is a search for documents that do not contain 'foo' but may contain 'bar'.
    *
+   * Terms surrounded by double quotes form a phrase, e.g. `"quick brown fox"`, which only matches documents
+   * where those terms appear next to each other, in the same order, within a single field. Phrases can be
+   * restricted to a field, boosted and given a presence modifier in the same way as terms. A slop allows
+   * the phrase terms to be further apart, e.g. `"search engine"~3` also matches documents where the terms
+   * are up to three positions away from their place in the phrase, closer matches score higher. Phrases
+   * are matched by the positions of their terms, which requires an index built with `index` in the builder's
+   * metadataWhitelist, in other indexes a phrase matches the documents that contain all of its terms.
+   *
+   * Clauses can be grouped with parentheses and combined with the boolean operators `AND`, `OR` and `NOT`,
+   * which must be written in upper case. `AND` requires the clauses on both sides, `NOT` prohibits the clause
+   * that follows it, and `OR`, like a space between clauses, leaves the clauses on both sides optional. `AND`
+   * binds tighter than `OR`, e.g. `a OR b AND c` matches documents containing 'a' or both 'b' and 'c'. Groups
+   * support presence modifiers and boosts in the same way as terms, e.g. `-(foo bar)` or `(foo bar)^10`.
+   *
+   * Number and date fields can be compared with `<`, `<=`, `>` and `>=`, e.g. `wordCount:>10`, or matched
+   * against a range, e.g. `wordCount:10..20`, which includes its start and excludes its end, either end can be
+   * left open with `*`. Dates are ISO-8601 dates or dates relative to now, e.g. `published:>=2024-01-01` or
+   * `published:>now-30d`. A date covers the whole of its least significant part, so `published:2024-01..2024-06`
+   * matches dates from the start of January up to the end of June and `published:>2024-01` dates after January.
+   * A date on its own matches the whole of its period, e.g. `published:2024-06` matches any date in June 2024.
+   *
    * To escape special characters the backslash character '\' can be used, this allows searches to include
    * characters that would normally be considered modifiers, e.g. `foo\~2` will search for a term "foo~2" instead
    * of attempting to apply a boost of 2 to the search term "foo".
@@ -70,6 +98,14 @@ namespace lunr {
    * hello~2
    * @example <caption>terms with presence modifiers</caption>
    * -foo +bar baz
+   * @example <caption>phrase scoped to a field</caption>
+   * title:"quick brown fox"
+   * @example <caption>phrase with a slop of 3</caption>
+   * "search engine"~3
+   * @example <caption>grouped clauses with boolean operators</caption>
+   * (title:lunr OR title:elastic) AND NOT draft
+   * @example <caption>dates within the last 30 days</caption>
+   * published:>now-30d
    */
 
   /**
@@ -87,9 +123,37 @@ namespace lunr {
     fieldVectors: Record<string, lunr.Vector>
     tokenSet: lunr.TokenSet
     numberMap: lunr.NumberMap
+    geoMap: lunr.GeoMap
     fields: string[]
     fieldTypes: lunr.Builder.FieldType[]
+    facetFields: string[]
+    documentStore: Record<string, Record<string, any>>
+    docValues: Record<string, Record<string, lunr.Builder.SortValue>>
+    facetValues: Record<string, Record<string, string[]>>
     pipeline: lunr.Pipeline
+    indexingPipeline: lunr.Pipeline
+    scoringModel: lunr.ScoringModel
+
+    /**
+     * The builder that created this index, used to update the index in place. Only mutable
+     * indexes keep their builder, see lunr.Builder#mutable.
+     */
+    private _builder?: lunr.Builder<any>
+
+    /**
+     * The terms that appear in each facet field, found when facets are first counted.
+     */
+    private _facetTerms: Record<string, string[]> = Object.create(null)
+
+    /**
+     * The number of times the documents or scoring parameters of this index have been changed
+     * by lunr.Index#add, lunr.Index#update, lunr.Index#remove and lunr.Index#tune, used by
+     * lunr.MultiIndex to find out whether its copies of the index are current.
+     *
+     * @private
+     */
+    /* @internal */
+    version = 0
 
     /**
      * @param {object} attrs - The attributes of the built search index.
@@ -97,18 +161,262 @@ namespace lunr {
      * @param {object<string, lunr.Vector>} attrs.fieldVectors - Field vectors
      * @param {lunr.TokenSet} attrs.tokenSet - An set of all corpus tokens.
      * @param {lunr.NumberMap} attrs.numberMap
+     * @param {lunr.GeoMap} attrs.geoMap
      * @param {string[]} attrs.fields - The names of indexed document fields.
-     * @param {Array<"string" | "number">} attrs.fieldTypes
+     * @param {Array<"string" | "number" | "date" | "keyword" | "boolean" | "geo">} attrs.fieldTypes
+     * @param {string[]} [attrs.facetFields] - The names of fields that facets can be counted for.
+     * @param {object<string, object>} [attrs.documentStore] - The stored fields of documents, by document ref.
+     * @param {object<string, object>} [attrs.docValues] - The values of sortable fields, by field name and document ref.
+     * @param {object<string, object>} [attrs.facetValues] - The values of string facet fields, by field name and document ref.
      * @param {lunr.Pipeline} attrs.pipeline - The pipeline to use for search terms.
+     * @param {lunr.Pipeline} [attrs.indexingPipeline] - The pipeline the terms of the documents were processed by.
+     * @param {lunr.ScoringModel} [attrs.scoringModel=lunr.ScoringModel.bm25] - The model the field vectors were weighed with.
+     * @param {lunr.Builder} [attrs.builder] - The builder that created this index, when it is mutable.
     */
     constructor (attrs: Index.IndexAttributes) {
       this.invertedIndex = attrs.invertedIndex
       this.fieldVectors = attrs.fieldVectors
       this.tokenSet = attrs.tokenSet
       this.numberMap = attrs.numberMap
+      this.geoMap = attrs.geoMap
       this.fields = attrs.fields
       this.fieldTypes = attrs.fieldTypes
+      this.facetFields = attrs.facetFields || []
+      this.documentStore = attrs.documentStore || Object.create(null)
+      this.docValues = attrs.docValues || Object.create(null)
+      this.facetValues = attrs.facetValues || Object.create(null)
       this.pipeline = attrs.pipeline
+      this.indexingPipeline = attrs.indexingPipeline || new lunr.Pipeline
+      this.scoringModel = attrs.scoringModel || lunr.ScoringModel.bm25
+      this._builder = attrs.builder
+    }
+
+    /**
+     * Adds a document to an already built index.
+     *
+     * The document is processed in exactly the same way as by lunr.Builder#add, using the
+     * fields, pipeline and tokenizer of the builder that created this index. Every document
+     * is weighed again with the average field lengths and inverse document frequencies that
+     * include the added document, so that scores match those of a rebuilt index, and only the
+     * terms it introduced are inserted into the token set, number map and geo map.
+     *
+     * Only mutable indexes can be updated, see lunr.Builder#mutable. Indexes loaded with
+     * lunr.Index.load do not contain the term frequencies required to score documents.
+     *
+     * @param {object} doc - The document to add to the index.
+     * @param {object} [attributes] - Optional attributes associated with this document.
+     * @param {number} [attributes.boost=1] - Boost applied to all terms within this document.
+     * @throws {Error} If the index cannot be updated, or a document with the same ref already exists.
+     */
+    add (doc: object, attributes: lunr.Builder.DocumentAttributes = {}) {
+      let builder = this.builderForUpdate(),
+          docRef = builder.documentRef(doc)
+
+      if (builder.hasDocument(docRef)) {
+        throw new Error("Document '" + docRef + "' already exists in the index, use update instead")
+      }
+
+      builder.addToIndex(doc, attributes)
+      this._facetTerms = Object.create(null)
+      this.version += 1
+    }
+
+    /**
+     * Replaces a document in an already built index.
+     *
+     * The document currently stored under `ref` is removed and the passed document is added
+     * in its place. The document is added even if no document with `ref` exists.
+     *
+     * @param {string} ref - The reference of the document to replace.
+     * @param {object} doc - The new version of the document.
+     * @param {object} [attributes] - Optional attributes associated with this document.
+     * @param {number} [attributes.boost=1] - Boost applied to all terms within this document.
+     * @throws {Error} If the index cannot be updated.
+     * @see lunr.Index#add
+     */
+    update (ref: string, doc: object, attributes: lunr.Builder.DocumentAttributes = {}) {
+      let builder = this.builderForUpdate(),
+          docRef = builder.documentRef(doc)
+
+      if (docRef != ref && builder.hasDocument(docRef)) {
+        throw new Error("Document '" + docRef + "' already exists in the index")
+      }
+
+      builder.removeFromIndex(ref)
+      builder.addToIndex(doc, attributes)
+      this._facetTerms = Object.create(null)
+      this.version += 1
+    }
+
+    /**
+     * Removes a document from an already built index.
+     *
+     * @param {string} ref - The reference of the document to remove.
+     * @returns {boolean} true if the document existed and was removed.
+     * @throws {Error} If the index cannot be updated.
+     * @see lunr.Index#add
+     */
+    remove (ref: string) {
+      if (!this.builderForUpdate().removeFromIndex(ref)) {
+        return false
+      }
+
+      this._facetTerms = Object.create(null)
+      this.version += 1
+      return true
+    }
+
+    /**
+     * Changes the scoring parameters of an already built index, see lunr.Builder#b and
+     * lunr.Builder#k1. The field vectors are recalculated from the stored term frequencies,
+     * so parameters can be tried out without adding the documents again.
+     *
+     * @param {lunr.Index~TuningParameters} parameters - The parameters to change.
+     * @throws {Error} If the index cannot be updated, or a field is not a field of the index.
+     * @throws {RangeError} If a parameter is not a finite number.
+     * @example
+     * idx.tune({ b: 0.75, fields: { title: { b: 0.3, k1: 1.0 } } })
+     */
+    tune (parameters: Index.TuningParameters) {
+      let builder = this.builderForUpdate(),
+          fields = parameters.fields || {}
+
+      /*
+      * Every field and value is checked before any is applied, so that
+      * invalid parameters leave the index as it was.
+      */
+      Index.checkTuningParameter(parameters, "b")
+      Index.checkTuningParameter(parameters, "k1")
+
+      for (const fieldName of Object.keys(fields)) {
+        if (this.fields.indexOf(fieldName) == -1) {
+          throw new Error("Field '" + fieldName + "' has not been added to the index")
+        }
+
+        Index.checkTuningParameter(fields[fieldName], "b", fieldName)
+        Index.checkTuningParameter(fields[fieldName], "k1", fieldName)
+      }
+
+      if (parameters.b !== undefined) {
+        builder.b(parameters.b)
+      }
+
+      if (parameters.k1 !== undefined) {
+        builder.k1(parameters.k1)
+      }
+
+      for (const fieldName of Object.keys(fields)) {
+        if (fields[fieldName].b !== undefined) {
+          builder.b(fields[fieldName].b!, fieldName)
+        }
+
+        if (fields[fieldName].k1 !== undefined) {
+          builder.k1(fields[fieldName].k1!, fieldName)
+        }
+      }
+
+      this.refresh(false)
+    }
+
+    /**
+     * @private
+     */
+    private static checkTuningParameter (parameters: { b?: number, k1?: number }, parameter: "b" | "k1", fieldName?: string) {
+      let value = parameters[parameter]
+
+      if (value !== undefined && (typeof value != "number" || !isFinite(value))) {
+        let name = fieldName !== undefined ? "Parameter '" + parameter + "' of field '" + fieldName + "'" : "Parameter '" + parameter + "'"
+        throw new RangeError(name + " must be a finite number")
+      }
+    }
+
+    /**
+     * Merges several built indexes into a single index, for example indexes of the sections
+     * of a site that were built separately.
+     *
+     * The inverted indexes are combined and every term is given a new term index. The number
+     * of documents and the average field lengths of the merged index differ from those of
+     * each index, so the field vectors are recalculated from the stored term frequencies, and
+     * the token set, number map and geo map are created for the combined terms. The merged
+     * index uses the configuration of the first index and can itself be updated.
+     *
+     * Only mutable indexes can be merged, see lunr.Builder#mutable. Indexes loaded with
+     * lunr.Index.load do not contain the term frequencies required to recalculate document scores.
+     *
+     * @param {...lunr.Index} indexes - The indexes to merge, they are not changed.
+     * @returns {lunr.Index}
+     * @throws {Error} If an index cannot be merged, the indexes have different fields, field types,
+     * pipelines or scoring models, or a document ref appears in more than one index.
+     */
+    static merge (...indexes: Index[]) {
+      if (indexes.length == 0) {
+        throw new Error("At least one index is required to merge")
+      }
+
+      let first = indexes[0],
+          builders = indexes.map(index => {
+            if (!index._builder) {
+              throw new Error("Index cannot be merged, only mutable indexes can be merged, see lunr.Builder#mutable")
+            }
+
+            if (!Index.sameItems(index.fields, first.fields)) {
+              throw new Error("Indexes with different fields cannot be merged")
+            }
+
+            if (!Index.sameItems(index.fieldTypes, first.fieldTypes)) {
+              throw new Error("Indexes with different field types cannot be merged")
+            }
+
+            if (!Index.sameItems(index.pipeline._stack, first.pipeline._stack) ||
+                !Index.sameItems(index.indexingPipeline._stack, first.indexingPipeline._stack)) {
+              throw new Error("Indexes with different pipelines cannot be merged")
+            }
+
+            if (index.scoringModel !== first.scoringModel) {
+              throw new Error("Indexes with different scoring models cannot be merged")
+            }
+
+            return index._builder
+          })
+
+      return lunr.Builder.merge(builders).build()
+    }
+
+    /**
+     * @private
+     */
+    private static sameItems<T> (a: T[], b: T[]) {
+      return a.length == b.length && a.every((item, i) => item === b[i])
+    }
+
+    /**
+     * @private
+     */
+    private builderForUpdate () {
+      if (!this._builder) {
+        throw new Error("Index cannot be updated, only mutable indexes support updates, see lunr.Builder#mutable")
+      }
+
+      return this._builder
+    }
+
+    /**
+     * Recalculates the scoring data of this index after the documents or scoring
+     * parameters of the builder changed.
+     *
+     * @private
+     * @param {boolean} termsChanged - Whether terms were added to or removed from the inverted index.
+     */
+    private refresh (termsChanged: boolean) {
+      let builder = this._builder!
+
+      builder.refresh(termsChanged)
+      this.fieldVectors = builder.fieldVectors!
+      this.tokenSet = builder.tokenSet!
+      this.numberMap = builder.numberMap!
+      this.geoMap = builder.geoMap!
+      this._facetTerms = Object.create(null)
+      this.version += 1
     }
 
     /**
@@ -116,19 +424,21 @@ namespace lunr {
      *
      * Results will be returned sorted by their score, the most relevant results
      * will be returned first.  For details on how the score is calculated, please see
-     * the {@link https://lunrjs.com/guides/searching.html#scoring|guide}.
+     * the {@link https://lunrjs.com/guides/searching.html#scoring|guide}. Results can
+     * instead be sorted by the values of sortable fields using the sort option.
      *
      * For more programmatic querying use lunr.Index#query.
      *
      * @param {lunr.Index~QueryString} queryString - A string containing a lunr query.
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
      * @throws {lunr.QueryParseError} If the passed query string cannot be parsed.
-     * @returns {lunr.Index.Result[]}
+     * @returns {lunr.Index~Results}
      */
-    search (queryString: Index.QueryString) {
+    search (queryString: Index.QueryString, options: Index.QueryOptions = {}) {
       return this.query(query => {
         let parser = new lunr.QueryParser(queryString, query)
         parser.parse()
-      })
+      }, options)
     }
 
     /**
@@ -145,330 +455,1842 @@ namespace lunr {
      * customized.
      *
      * @param {lunr.Index~queryBuilder} fn - A function that is used to build the query.
-     * @returns {lunr.Index~Result[]}
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
+     * @returns {lunr.Index~Results}
+     * @throws {Error} If facets are requested for a field that is not a facet field.
+     * @throws {Error} If results are sorted by a field that is not a sortable field.
+     * @throws {Error} If a field boost is given for a field that is not in the index.
+     * @throws {RangeError} If the limit or offset is not a non-negative integer.
+     * @throws {Error} If the field combination is neither 'sum' nor 'max'.
+     * @throws {RangeError} If a field boost is not a non-negative number.
+     * @throws {RangeError} If the tie breaker is not a number between 0 and 1.
+     * @throws {RangeError} If the minimum score is not a number, or the minimum relative score is not a number between 0 and 1.
+     */
+    query (fn: Index.queryBuilder, options: Index.QueryOptions = {}) {
+      Index.checkPageOptions(options)
+      Index.checkScoreOptions(options)
+
+      let results = this.execute(fn, this.scoringOptions(options)).results,
+          topScore = results.reduce((max, result) => Math.max(max, result.score), 0),
+          minScore = Index.minScore(options, topScore)
+
+      /*
+      * Results scoring below the minimum score are dropped before facets
+      * are counted and the results are paged, the scores of the remaining
+      * results are then normalized by the top score.
+      */
+      if (minScore !== undefined) {
+        results = results.filter(result => result.score >= minScore!)
+      }
+
+      if (options.normalizeScores && topScore > 0) {
+        for (const result of results) {
+          result.score /= topScore
+        }
+      }
+
+      /*
+      * Facets are counted over all of the matching documents.
+      */
+      if (options.facets) {
+        results.facets = this.countFacets(results.map(result => result.ref), options.facets)
+      }
+
+      /*
+      * Sort the results objects by the requested fields, or by score, highest first.
+      * When a limit is given only the results up to the end of the requested page
+      * are selected, using a bounded heap rather than sorting every result.
+      */
+      let compare = this.resultComparator(options.sort || []),
+          offset = options.offset || 0,
+          page: Index.Results
+
+      if (options.limit !== undefined) {
+        page = lunr.utils.selectFirst(results, offset + options.limit, compare).slice(offset)
+      } else {
+        page = offset > 0 ? results.sort(compare).slice(offset) : results.sort(compare)
+      }
+
+      page.total = results.length
+
+      if (results.facets) {
+        page.facets = results.facets
+      }
+
+      return page
+    }
+
+    /**
+     * Explains the score of a document for a query, breaking it down into the contribution
+     * of each clause of the query, of each term that a clause was expanded to, and of each
+     * field the term was found in.
+     *
+     * The contribution of a term in a field is its weight in the field vector of the document,
+     * multiplied by the boost of the clause and any boost the query gives the field, and divided by the norm of the query vector of
+     * the field, which for the built in scoring models is its magnitude, normalizing the cosine
+     * similarity. The weight is explained by the term frequency, inverse document frequency,
+     * field length, `b` and `k1` parameters and field and document boosts it was calculated from. Only mutable indexes keep these,
+     * see lunr.Builder#mutable, for other indexes only the inverse document frequency of the term is explained.
+     *
+     * @param {(lunr.Index~QueryString|lunr.Index~queryBuilder)} query - A string containing a lunr query, or
+     * a function that is used to build the query, see lunr.Index#query.
+     * @param {string} ref - The ref of the document to explain.
+     * @param {lunr.Index~QueryOptions} [options] - Options of the query, only the field boosts and the combination of
+     * the fields affect the score.
+     * @returns {lunr.Index~Explanation|undefined} The explanation, or undefined if the document does not match the query.
+     * @throws {lunr.QueryParseError} If the passed query string cannot be parsed.
+     * @example
+     * idx.explain("plant^10 study", "b").clauses.map(function (clause) {
+     *   return clause.term + ": " + clause.score
+     * })
+     */
+    explain (query: Index.QueryString | Index.queryBuilder, ref: string, options: Index.QueryOptions = {}): Index.Explanation | undefined {
+      let fn: Index.queryBuilder = typeof query == "function" ? query : q => new lunr.QueryParser(query as Index.QueryString, q).parse(),
+          explanation: Index.ExplanationState = { nodes: [], clauses: [], clauseNodes: [], terms: [], distances: [], fieldScores: Object.create(null) },
+          scoring = this.scoringOptions(options),
+          fieldBoosts = scoring.fieldBoosts,
+          execution = this.execute(fn, scoring, explanation),
+          state = execution.state,
+          result = execution.results.filter(result => result.ref == ref)[0],
+          documentCount: number | undefined,
+          bestField: string | undefined,
+          bestScore = -Infinity
+
+      if (result === undefined) {
+        return undefined
+      }
+
+      /*
+      * When fields are combined by their maximum, the fields other than
+      * the best field of the document contribute with the weight of the
+      * tie breaker.
+      */
+      for (const field of this.fields) {
+        let fieldScore = explanation.fieldScores[new lunr.FieldRef(ref, field).toString()]
+
+        if (fieldScore > bestScore) {
+          bestField = field
+          bestScore = fieldScore
+        }
+      }
+
+      for (const field of this.fields) {
+        let fieldRef = new lunr.FieldRef(ref, field),
+            fieldVector = this.fieldVectors[fieldRef.toString()],
+            queryNorm = this.scoringModel.queryNorm(state.queryVectors[field]),
+            proximity = state.proximityWeights[fieldRef.toString()] || 1,
+            optionFieldBoost = fieldBoosts[field] !== undefined ? fieldBoosts[field] : 1,
+            tieBreaker = scoring.tieBreaker !== undefined && field != bestField ? scoring.tieBreaker : undefined,
+            combinationWeight = tieBreaker !== undefined ? tieBreaker : 1
+
+        if (!(fieldRef.toString() in state.matchingFields)) {
+          continue
+        }
+
+        for (const entry of explanation.terms) {
+          let posting = this.invertedIndex[entry.term],
+              position = fieldVector ? fieldVector.positionForIndex(posting._index) : -1,
+              weight = position >= 0 && fieldVector.elements[position] == posting._index ? fieldVector.elements[position + 1] : 0
+
+          if (entry.field != field || !weight) {
+            continue
+          }
+
+          let node = explanation.clauseNodes[explanation.clauses.indexOf(entry.clause)],
+              queryFieldBoost = entry.fieldBoost * optionFieldBoost,
+              score = entry.boost * queryFieldBoost * weight * proximity * combinationWeight / queryNorm,
+              termExplanation = node.terms!.filter(t => t.term == entry.term)[0],
+              fieldExplanation: Index.FieldExplanation | undefined
+
+          if (termExplanation === undefined) {
+            termExplanation = { term: entry.term, score: 0, fields: [] }
+            node.terms!.push(termExplanation)
+          }
+
+          fieldExplanation = termExplanation.fields.filter(f => f.field == field)[0]
+
+          /*
+          * A clause can expand to the same term more than once, e.g. from
+          * several pipeline terms, the boosts of the term are then added
+          * together as they are in the query vector.
+          */
+          if (fieldExplanation !== undefined) {
+            fieldExplanation.boost += entry.boost
+            fieldExplanation.score += score
+          } else {
+            let factors = this._builder && this._builder.weightFactors(entry.term, fieldRef)
+
+            if (!factors && documentCount === undefined) {
+              documentCount = Index.documentCount(this.fieldVectors)
+            }
+
+            fieldExplanation = {
+              field: field,
+              score: score,
+              boost: entry.boost,
+              weight: weight,
+              queryNorm: queryNorm,
+              idf: factors ? factors.idf : lunr.idf(posting, documentCount!)
+            }
+
+            if (proximity != 1) {
+              fieldExplanation.proximity = proximity
+            }
+
+            if (queryFieldBoost != 1) {
+              fieldExplanation.queryFieldBoost = queryFieldBoost
+            }
+
+            if (tieBreaker !== undefined) {
+              fieldExplanation.tieBreaker = tieBreaker
+            }
+
+            if (factors) {
+              fieldExplanation.tf = factors.tf
+              fieldExplanation.fieldLength = factors.fieldLength
+              fieldExplanation.averageFieldLength = factors.averageFieldLength
+              fieldExplanation.b = factors.b
+              fieldExplanation.k1 = factors.k1
+              fieldExplanation.fieldBoost = factors.fieldBoost
+              fieldExplanation.documentBoost = factors.documentBoost
+            }
+
+            termExplanation.fields.push(fieldExplanation)
+          }
+
+          termExplanation.score += score
+          node.score += score
+        }
+
+        for (const entry of explanation.distances) {
+          if (entry.fieldRef != fieldRef.toString()) {
+            continue
+          }
+
+          let node = explanation.clauseNodes[explanation.clauses.indexOf(entry.clause)],
+              score = entry.score * optionFieldBoost * combinationWeight
+
+          node.distances = node.distances || []
+          node.distances.push({ field: field, score: score })
+          node.score += score
+        }
+      }
+
+      Index.addGroupScores(explanation.nodes)
+
+      return { ref: ref, score: result.score, scoringModel: this.scoringModel.name, clauses: explanation.nodes }
+    }
+
+    /**
+     * Creates the explanation of each clause of a query before it is matched, as matching
+     * replaces the term of a clause with the terms it is processed into.
+     *
+     * @private
+     * @param {lunr.Query~Clause[]} clauses - The clauses of a query or group.
+     * @param {lunr.Index~ExplanationState} explanation - Records the clauses and their explanations.
+     * @returns {lunr.Index~ClauseExplanation[]}
+     */
+    /* @internal */
+    static clauseExplanations (clauses: lunr.Query.Clause[], explanation: Index.ExplanationState): Index.ClauseExplanation[] {
+      return clauses.map(clause => {
+        let node: Index.ClauseExplanation = {
+          fields: clause.fields!,
+          boost: clause.boost!,
+          presence: clause.presence!,
+          score: 0
+        }
+
+        if (clause.term instanceof lunr.Query) {
+          node.clauses = Index.clauseExplanations(clause.term.clauses, explanation)
+        } else {
+          node.term = Index.describeClause(clause)
+          node.terms = []
+        }
+
+        explanation.clauses.push(clause)
+        explanation.clauseNodes.push(node)
+
+        return node
+      })
+    }
+
+    /**
+     * Describes the term of a clause that is not a group in lunr query syntax, or as JSON for
+     * geo clauses, which have no syntax.
+     *
+     * @private
+     */
+    private static describeClause (clause: lunr.Query.Clause) {
+      let term = clause.term as Exclude<lunr.Query.Term, lunr.Query>
+
+      if (typeof term == "string") {
+        return clause.editDistance ? term + "~" + clause.editDistance : term
+      } else if ("terms" in term) {
+        return "\"" + term.terms.join(" ") + "\"" + (clause.slop ? "~" + clause.slop : "")
+      } else if ("comparator" in term) {
+        return term.comparator + term.comparand
+      } else if ("start" in term) {
+        return term.start + ".." + term.end
+      } else {
+        return JSON.stringify(term)
+      }
+    }
+
+    /**
+     * Sets the score of each group to the sum of the scores of its clauses.
+     *
+     * @private
+     * @returns {number} The sum of the scores of the clauses.
+     */
+    private static addGroupScores (nodes: Index.ClauseExplanation[]): number {
+      return nodes.reduce((sum, node) => {
+        if (node.clauses) {
+          node.score = Index.addGroupScores(node.clauses)
+        }
+
+        return sum + node.score
+      }, 0)
+    }
+
+    /**
+     * Counts the documents of an index from the refs of its field vectors.
+     *
+     * @private
+     */
+    private static documentCount (fieldVectors: Record<string, lunr.Vector>) {
+      let docRefs: Record<string, true> = Object.create(null)
+
+      for (const fieldRef of Object.keys(fieldVectors)) {
+        docRefs[lunr.FieldRef.fromString(fieldRef).docRef] = true
+      }
+
+      return Object.keys(docRefs).length
+    }
+
+    /**
+     * Matches the clauses of a query against the index and scores the matching documents,
+     * the results are neither sorted nor paged.
+     *
+     * @private
+     * @param {lunr.Index~queryBuilder} fn - A function that is used to build the query.
+     * @param {lunr.Index~ScoringOptions} scoring - The options of the query that affect the scores.
+     * @param {lunr.Index~ExplanationState} [explanation] - Records the contributions to the scores, for lunr.Index#explain.
+     * @returns {lunr.Index~Results}
      */
-    query (fn: Index.queryBuilder) {
+    private execute (fn: Index.queryBuilder, scoring: Index.ScoringOptions, explanation?: Index.ExplanationState) {
       // for each query clause
       // * process terms
       // * expand terms from token set
       // * find matching documents and metadata
       // * get document vectors
       // * score documents
+      //
+      // the clauses of groups are processed in the same way, the documents
+      // matching each clause are then used to evaluate the groups.
+
+      let query = new lunr.Query(this.fields, this.fieldTypes, this.numberMap, this.geoMap),
+          state: Index.QueryState = {
+            matchingFields: Object.create(null),
+            queryVectors: Object.create(null),
+            boostedQueryVectors: Object.create(null),
+            termFieldCache: Object.create(null),
+            phraseTermFieldCache: Object.create(null),
+            proximityWeights: Object.create(null),
+            distanceScores: Object.create(null)
+          }
+
+      /*
+      * To support field level boosts a query vector is created per
+      * field. An empty vector is eagerly created to support negated
+      * queries.
+      */
+      for (const field of this.fields) {
+        state.queryVectors[field] = new lunr.Vector
+      }
+
+      fn.call(query, query)
+
+      if (explanation) {
+        explanation.nodes = Index.clauseExplanations(query.clauses, explanation)
+        state.explanation = explanation
+      }
+
+      let groupMatches = this.matchClauses(query.clauses, state, true, 1),
+          matchingFields = state.matchingFields,
+          matchingFieldRefs = Object.keys(matchingFields),
+          documentMatches: Record<string, boolean> = Object.create(null),
+          results: Index.Results = [],
+          matches: Record<string, Index.Result> = Object.create(null),
+          maxScores: Record<string, number> = Object.create(null),
+          queryNorms: Record<string, number> = Object.create(null)
+
+      /*
+      * The score of a document field is normalized by the norm of the
+      * query vector of the field, as given by the scoring model.
+      */
+      for (const field of this.fields) {
+        queryNorms[field] = this.scoringModel.queryNorm(state.queryVectors[field])
+      }
+
+      /*
+      * If the query is negated (contains only prohibited terms), or
+      * contains a negated group that is not itself prohibited, documents
+      * can match without containing any of the query terms, so we need
+      * to get _all_ fieldRefs currently existing in the index. This is
+      * only done when we know that the query contains such a group to
+      * avoid any cost of getting all fieldRefs unnecessarily.
+      *
+      * Additionally, blank MatchData must be created to correctly
+      * populate the results.
+      */
+      if (query.isNegated() || this.containsNegatedGroup(query.clauses)) {
+        matchingFieldRefs = Object.keys(this.fieldVectors)
+
+        for (const matchingFieldRef of matchingFieldRefs) {
+          if (matchingFields[matchingFieldRef] === undefined) {
+            matchingFields[matchingFieldRef] = new lunr.MatchData
+          }
+        }
+      }
+
+      for (const matchingFieldRef of matchingFieldRefs) {
+        /*
+        * Currently we have document fields that match the query, but we
+        * need to return documents. The matchData and scores are combined
+        * from multiple fields belonging to the same document.
+        *
+        * Scores are calculated by field, using the query vectors created
+        * above, weighted by the boost of the field given with the options
+        * of the query, and combined into a final document score using
+        * addition. When fields are combined by their maximum the best score
+        * of each document is also kept, and the scores are combined once
+        * all fields have been scored.
+        */
+        let fieldRef = lunr.FieldRef.fromString(matchingFieldRef),
+            docRef = fieldRef.docRef
+
+        /*
+        * A document only matches if it satisfies the required and
+        * prohibited clauses of the query and of every group within it.
+        */
+        if (documentMatches[docRef] === undefined) {
+          documentMatches[docRef] = this.groupContains(groupMatches, docRef)
+        }
+
+        if (!documentMatches[docRef]) {
+          continue
+        }
+
+        let fieldVector = this.fieldVectors[fieldRef.toString()],
+            queryVector = state.boostedQueryVectors[fieldRef.fieldName] || state.queryVectors[fieldRef.fieldName],
+            score = queryVector.dot(fieldVector) / queryNorms[fieldRef.fieldName] || 0,
+            docMatch
+
+        if (fieldRef.toString() in state.proximityWeights) {
+          score *= state.proximityWeights[fieldRef.toString()]
+        }
+
+        if (fieldRef.toString() in state.distanceScores) {
+          score += state.distanceScores[fieldRef.toString()]
+        }
+
+        if (scoring.fieldBoosts[fieldRef.fieldName] !== undefined) {
+          score *= scoring.fieldBoosts[fieldRef.fieldName]
+        }
+
+        if (explanation) {
+          explanation.fieldScores[fieldRef.toString()] = score
+        }
+
+        if (!(maxScores[docRef] >= score)) {
+          maxScores[docRef] = score
+        }
+
+        if ((docMatch = matches[docRef]) !== undefined) {
+          docMatch.score += score
+          docMatch.matchData.combine(matchingFields[fieldRef.toString()])
+        } else {
+          let match: Index.Result = {
+            ref: docRef,
+            score: score,
+            matchData: matchingFields[fieldRef.toString()]
+          }
+
+          if (this.documentStore[docRef] !== undefined) {
+            match.doc = this.documentStore[docRef]
+          }
+
+          matches[docRef] = match
+          results.push(match)
+        }
+      }
+
+      /*
+      * Combining fields by their maximum scores a document by its best
+      * field, so a strong match in a single field is not outscored by
+      * weak matches in many fields. The other fields are added in with
+      * the weight of the tie breaker.
+      */
+      if (scoring.tieBreaker !== undefined) {
+        for (const result of results) {
+          result.score = maxScores[result.ref] + scoring.tieBreaker * (result.score - maxScores[result.ref])
+        }
+      }
+
+      return { results, state }
+    }
+
+    /**
+     * Creates a function that compares results by the values of sortable fields, in the
+     * order the fields are given, using the score as a final tiebreaker. Documents without
+     * a value for a field are sorted after all documents with a value, whatever the order.
+     *
+     * @private
+     * @param {lunr.Index~SortOptions[]} sort - The fields to sort by, results are sorted by score alone without any.
+     * @returns {function(lunr.Index~Result, lunr.Index~Result): number}
+     * @throws {Error} If a field is not a sortable field.
+     */
+    private resultComparator (sort: Index.SortOptions[]) {
+      let columns = sort.map(option => {
+        if (this.docValues[option.field] === undefined) {
+          throw new Error("Field '" + option.field + "' is not a sortable field, results can only be sorted by fields added with the sortable attribute")
+        }
+
+        if (option.order !== undefined && option.order != "asc" && option.order != "desc") {
+          throw new Error("Sort order '" + option.order + "' is invalid, expected 'asc' or 'desc'")
+        }
+
+        return this.docValues[option.field]
+      })
+
+      return Index.sortComparator(sort, (result: Index.Result, i) => columns[i][result.ref])
+    }
+
+    /**
+     * Checks that the limit and offset of the options of a query are non-negative integers.
+     *
+     * @private
+     * @param {lunr.Index~QueryOptions} options - The options of a query.
+     * @throws {RangeError} If the limit or offset is not a non-negative integer.
+     */
+    /* @internal */
+    static checkPageOptions (options: Index.QueryOptions) {
+      let pageOptions: ("limit" | "offset")[] = ["limit", "offset"]
+
+      for (const option of pageOptions) {
+        let value = options[option]
+
+        if (value !== undefined && !(value >= 0 && value === Math.floor(value))) {
+          throw new RangeError("Option '" + option + "' must be a non-negative integer")
+        }
+      }
+    }
+
+    /**
+     * Checks the options of a query that affect the scores of documents, copying the field
+     * boosts into an object without a prototype.
+     *
+     * @private
+     * @param {lunr.Index~QueryOptions} options - The options of a query.
+     * @returns {lunr.Index~ScoringOptions}
+     * @throws {Error} If a boost is given for a field that is not in the index.
+     * @throws {Error} If the field combination is neither 'sum' nor 'max'.
+     * @throws {RangeError} If a boost is not a non-negative number.
+     * @throws {RangeError} If the tie breaker is not a number between 0 and 1.
+     */
+    private scoringOptions (options: Index.QueryOptions): Index.ScoringOptions {
+      let fieldBoosts: Record<string, number> = Object.create(null),
+          combineFields = options.combineFields || "sum",
+          tieBreaker = options.tieBreaker !== undefined ? options.tieBreaker : 0
+
+      for (const field of Object.keys(options.fieldBoosts || {})) {
+        let boost = options.fieldBoosts![field]
+
+        if (this.fields.indexOf(field) == -1) {
+          throw new Error("Cannot boost field '" + field + "', it is not a field of the index")
+        }
+
+        if (typeof boost != "number" || !(isFinite(boost) && boost >= 0)) {
+          throw new RangeError("Boost of field '" + field + "' must be a finite non-negative number")
+        }
+
+        fieldBoosts[field] = boost
+      }
+
+      if (combineFields != "sum" && combineFields != "max") {
+        throw new Error("Field combination '" + combineFields + "' is invalid, expected 'sum' or 'max'")
+      }
+
+      if (typeof tieBreaker != "number" || !(tieBreaker >= 0 && tieBreaker <= 1)) {
+        throw new RangeError("Option 'tieBreaker' must be a number between 0 and 1")
+      }
+
+      return { fieldBoosts, tieBreaker: combineFields == "max" ? tieBreaker : undefined }
+    }
+
+    /**
+     * Checks that the minimum scores of the options of a query are numbers, the minimum
+     * relative score being between 0 and 1.
+     *
+     * @private
+     * @param {lunr.Index~QueryOptions} options - The options of a query.
+     * @throws {RangeError} If the minimum score is not a number, or the minimum relative score is not a number between 0 and 1.
+     */
+    /* @internal */
+    static checkScoreOptions (options: Index.QueryOptions) {
+      if (options.minScore !== undefined && (typeof options.minScore != "number" || isNaN(options.minScore))) {
+        throw new RangeError("Option 'minScore' must be a number")
+      }
+
+      let minRelativeScore = options.minRelativeScore
+
+      if (minRelativeScore !== undefined && (typeof minRelativeScore != "number" || !(minRelativeScore >= 0 && minRelativeScore <= 1))) {
+        throw new RangeError("Option 'minRelativeScore' must be a number between 0 and 1")
+      }
+    }
+
+    /**
+     * The score that results must have to be returned, the greater of the minimum score and
+     * the minimum relative score times the top score, if either is given.
+     *
+     * @private
+     * @param {lunr.Index~QueryOptions} options - The options of a query.
+     * @param {number} [topScore] - The score of the best result, the minimum relative score is ignored without it.
+     * @returns {number|undefined}
+     */
+    /* @internal */
+    static minScore (options: Index.QueryOptions, topScore?: number) {
+      let minScore = options.minScore
+
+      if (options.minRelativeScore !== undefined && topScore !== undefined) {
+        let relativeScore = options.minRelativeScore * topScore
+        minScore = minScore !== undefined ? Math.max(minScore, relativeScore) : relativeScore
+      }
+
+      return minScore
+    }
+
+    /**
+     * Creates a function that compares results by their values for the sort fields, using the
+     * score as a final tiebreaker. Results without a value are sorted after results with a value.
+     *
+     * @private
+     * @param {lunr.Index~SortOptions[]} sort - The fields to sort by.
+     * @param {function(lunr.Index~Result, number): *} sortValue - Gets the value of a result for the sort field at an index.
+     * @returns {function(lunr.Index~Result, lunr.Index~Result): number}
+     */
+    /* @internal */
+    static sortComparator<R extends Index.Result> (sort: Index.SortOptions[], sortValue: (result: R, i: number) => lunr.Builder.SortValue | undefined) {
+      return (a: R, b: R) => {
+        for (let i = 0; i < sort.length; i++) {
+          let aValue = sortValue(a, i),
+              bValue = sortValue(b, i)
+
+          if (aValue === bValue) {
+            continue
+          }
+
+          if (aValue === undefined) {
+            return 1
+          }
+
+          if (bValue === undefined) {
+            return -1
+          }
+
+          let order = lunr.utils.compare(aValue, bValue)
+          return sort[i].order == "desc" ? -order : order
+        }
+
+        return b.score - a.score
+      }
+    }
+
+    /**
+     * Counts the matching documents for each value of the requested facet fields. String fields
+     * are counted by the values given in the documents, the other types of field by their terms.
+     *
+     * Number and date fields can instead be counted in buckets, each bucket is a range of
+     * numbers that is matched using the lunr.NumberMap of the index.
+     *
+     * @private
+     * @param {string[]} docRefs - The refs of the matching documents.
+     * @param {boolean|string[]|object} facets - The requested facets.
+     * @returns {object<string, lunr.Index~FacetCounts>}
+     * @throws {Error} If a requested field is not a facet field.
+     */
+    private countFacets (docRefs: string[], facets: true | string[] | Record<string, Index.FacetOptions>) {
+      let documents: Record<string, true> = Object.create(null),
+          facetOptions: Record<string, Index.FacetOptions> = Object.create(null),
+          facetCounts: Record<string, Index.FacetCounts> = Object.create(null)
+
+      for (const docRef of docRefs) {
+        documents[docRef] = true
+      }
+
+      if (facets === true) {
+        this.facetFields.forEach(field => { facetOptions[field] = {} })
+      } else if (Array.isArray(facets)) {
+        facets.forEach(field => { facetOptions[field] = {} })
+      } else {
+        Object.keys(facets).forEach(field => { facetOptions[field] = facets[field] })
+      }
+
+      for (const field of Object.keys(facetOptions)) {
+        let ranges = facetOptions[field].ranges,
+            fieldType = this.fieldTypes[this.fields.indexOf(field)],
+            counts: Index.FacetCounts = Object.create(null)
+
+        if (this.facetFields.indexOf(field) == -1) {
+          throw new Error("Field '" + field + "' is not a facet field, facets are only counted for fields added with the facet attribute")
+        }
+
+        if (ranges) {
+          if (fieldType !== "number" && fieldType !== "date") {
+            throw new Error("Facet ranges are only supported on fields of type 'number' or 'date'")
+          }
+
+          for (const range of ranges) {
+            let rangeDocuments: Record<string, true> = Object.create(null)
+
+            for (const term of this.numberMap.matchRange(range.start, range.end).toArray()) {
+              for (const docRef of Object.keys(this.invertedIndex[term][field] || {})) {
+                if (documents[docRef]) {
+                  rangeDocuments[docRef] = true
+                }
+              }
+            }
+
+            counts[range.start + ".." + range.end] = Object.keys(rangeDocuments).length
+          }
+        } else if (this.facetValues[field] !== undefined) {
+          let column = this.facetValues[field]
+
+          for (const docRef of docRefs) {
+            for (const value of column[docRef] || []) {
+              counts[value] = (counts[value] || 0) + 1
+            }
+          }
+        } else {
+          // indexes serialized without the values of string facet fields count them by their terms
+          for (const term of this.facetTerms(field)) {
+            let count = 0
+
+            for (const docRef of Object.keys(this.invertedIndex[term][field])) {
+              if (documents[docRef]) {
+                count += 1
+              }
+            }
+
+            if (count > 0) {
+              // boolean terms are counted by the value they stand for
+              counts[fieldType === "boolean" ? String(lunr.Builder.booleanValue(term)) : term] = count
+            }
+          }
+        }
+
+        facetCounts[field] = counts
+      }
+
+      return facetCounts
+    }
+
+    /**
+     * Finds the terms that appear in a field of any document.
+     *
+     * @private
+     * @param {string} field - The name of a facet field.
+     * @returns {string[]}
+     */
+    private facetTerms (field: string) {
+      if (this._facetTerms[field] === undefined) {
+        this._facetTerms[field] = Object.keys(this.invertedIndex).filter(term => {
+          let fieldPosting = this.invertedIndex[term][field]
+          return fieldPosting !== undefined && Object.keys(fieldPosting).length > 0
+        })
+      }
+
+      return this._facetTerms[field]
+    }
+
+    /**
+     * Matches each of the passed clauses against the index, groups are matched by
+     * recursively matching their clauses.
+     *
+     * Only clauses that contribute to the score of documents, those that are neither
+     * prohibited nor within a prohibited group, update the query vectors and collect
+     * match data.
+     *
+     * @private
+     * @param {lunr.Query~Clause[]} clauses - The clauses to match.
+     * @param {lunr.Index~QueryState} state - The state of the query being performed.
+     * @param {boolean} scoring - Whether the clauses contribute to the score of documents.
+     * @param {number} boost - The boost of the groups enclosing the clauses.
+     * @returns {lunr.Index~GroupMatches}
+     */
+    private matchClauses (clauses: lunr.Query.Clause[], state: Index.QueryState, scoring: boolean, boost: number): Index.GroupMatches {
+      let matches = clauses.map((clause): lunr.Set | Index.GroupMatches => {
+        let clauseScoring = scoring && clause.presence != lunr.Query.presence.PROHIBITED,
+            clauseBoost = boost * clause.boost!
+
+        if (clause.term instanceof lunr.Query) {
+          return this.matchClauses(clause.term.clauses, state, clauseScoring, clauseBoost)
+        }
+
+        return this.matchClause(clause, state, clauseScoring, clauseBoost)
+      })
+
+      return { clauses, matches }
+    }
+
+    /**
+     * Matches a single clause, that is not a group, against the index.
+     *
+     * @private
+     * @param {lunr.Query~Clause} clause - The clause to match.
+     * @param {lunr.Index~QueryState} state - The state of the query being performed.
+     * @param {boolean} scoring - Whether the clause contributes to the score of documents.
+     * @param {number} boost - The boost of the clause, including the boost of enclosing groups.
+     * @returns {lunr.Set} The refs of the documents matching the clause.
+     */
+    private matchClause (clause: lunr.Query.Clause, state: Index.QueryState, scoring: boolean, boost: number) {
+      let matchingFields = state.matchingFields,
+          termFieldCache = state.termFieldCache,
+          phraseTermFieldCache = state.phraseTermFieldCache,
+          proximityWeights = state.proximityWeights,
+          clauseMatches: Record<string, true> = Object.create(null),
+          distanceScores: Record<string, number> = Object.create(null)
+
+      /*
+      * Unless the pipeline has been disabled for this term, which is
+      * the case for terms with wildcards, we need to pass the clause
+      * term through the search pipeline. A pipeline returns an array
+      * of processed terms. Pipeline functions may expand the passed
+      * term, which means we may end up performing multiple index lookups
+      * for a single query term.
+      *
+      * Keyword fields are indexed without the pipeline, so they are matched
+      * by the whole normalized term rather than by the pipeline terms, while
+      * boolean fields are matched by the dedicated term of a boolean value.
+      * Geo fields are only matched by geo clauses.
+      */
+      let terms: lunr.Query.Term[],
+          termFields: string[][],
+          keywordFields = clause.fields!.filter(field => this.fieldTypes[this.fields.indexOf(field)] === "keyword"),
+          booleanFields = clause.fields!.filter(field => this.fieldTypes[this.fields.indexOf(field)] === "boolean"),
+          geoFields = clause.fields!.filter(field => this.fieldTypes[this.fields.indexOf(field)] === "geo"),
+          textFields = clause.fields!.filter(field => keywordFields.indexOf(field) == -1 && booleanFields.indexOf(field) == -1 && geoFields.indexOf(field) == -1),
+          fieldKinds = [textFields, keywordFields, booleanFields, geoFields].filter(fields => fields.length > 0).length
+
+      if (typeof clause.term === "object" && "terms" in clause.term) {
+        /*
+        * A phrase is matched as a whole, only the documents in which the
+        * phrase terms are adjacent are collected. The matching terms are
+        * then scored in the same way as any other term.
+        */
+        let phraseMatches = this.matchPhrase(clause)
+
+        for (const field of clause.fields!) {
+          let fieldMatches = phraseMatches[field],
+              matchingDocumentRefs = Object.keys(fieldMatches),
+              scoredTerms: Record<string, true> = Object.create(null)
+
+          for (const matchingDocumentRef of matchingDocumentRefs) {
+            clauseMatches[matchingDocumentRef] = true
+          }
+
+          if (!scoring) {
+            continue
+          }
+
+          for (const matchingDocumentRef of matchingDocumentRefs) {
+            let matchingFieldRef = new lunr.FieldRef (matchingDocumentRef, field)
+
+            /*
+            * Sloppy matches score lower the further apart the phrase terms
+            * are, the score of the field is weighted by 1 / (distance + 1).
+            */
+            if (fieldMatches[matchingDocumentRef].distance > 0) {
+              let proximity = 1 / (fieldMatches[matchingDocumentRef].distance + 1)
+              proximityWeights[matchingFieldRef.toString()] = (proximityWeights[matchingFieldRef.toString()] || 1) * proximity
+            }
+
+            for (const phraseTerm of fieldMatches[matchingDocumentRef].terms) {
+              let posting = this.invertedIndex[phraseTerm],
+                  termField = phraseTerm + "/" + field,
+                  collected = phraseTermFieldCache[termField] || (phraseTermFieldCache[termField] = Object.create(null)),
+                  fieldMatch
+
+              if (!scoredTerms[phraseTerm]) {
+                Index.addQueryTerm(state, field, posting._index, boost, Index.clauseFieldBoost(clause, field))
+                scoredTerms[phraseTerm] = true
+
+                if (state.explanation) {
+                  state.explanation.terms.push({ clause, term: phraseTerm, field, boost, fieldBoost: Index.clauseFieldBoost(clause, field) })
+                }
+              }
+
+              if (termFieldCache[termField] || collected[matchingDocumentRef]) {
+                continue
+              }
+
+              if ((fieldMatch = matchingFields[matchingFieldRef.toString()]) === undefined) {
+                matchingFields[matchingFieldRef.toString()] = new lunr.MatchData (phraseTerm, field, posting[field][matchingDocumentRef])
+              } else {
+                fieldMatch.add(phraseTerm, field, posting[field][matchingDocumentRef])
+              }
+
+              collected[matchingDocumentRef] = true
+            }
+          }
+        }
+
+        terms = []
+        termFields = []
+      } else if (typeof clause.term === "string") {
+        let booleanTerm = lunr.Builder.booleanTerm(clause.term)
+
+        if (textFields.length == 0) {
+          terms = []
+        } else if (clause.usePipeline) {
+          terms = this.pipeline.runString(clause.term, {
+            fields: clause.fields,
+            fieldTypes: clause.fieldTypes
+          })
+        } else {
+          terms = [clause.term]
+        }
+
+        termFields = terms.map(() => textFields)
+
+        if (keywordFields.length > 0) {
+          terms.push(clause.usePipeline ? lunr.Builder.normalizeKeyword(clause.term) : clause.term)
+          termFields.push(keywordFields)
+        }
+
+        if (booleanFields.length > 0 && booleanTerm !== undefined) {
+          terms.push(booleanTerm)
+          termFields.push(booleanFields)
+        }
+      } else {
+        terms = [clause.term]
+        termFields = [clause.fields!]
+      }
+
+      for (let m = 0; m < terms.length; m++) {
+        let term = terms[m]
+
+        /*
+        * Each term returned from the pipeline needs to use the same query
+        * clause object, e.g. the same boost and or edit distance. The
+        * simplest way to do this is to re-use the clause object but mutate
+        * its term property.
+        */
+        clause.term = term
+
+        /*
+        * From the term in the clause we create a token set which will then
+        * be used to intersect the indexes token set to get a list of terms
+        * to lookup in the inverted index
+        */
+        let termTokenSet = lunr.TokenSet.fromClause(clause),
+            expandedTerms = this.tokenSet.intersect(termTokenSet).toArray()
+
+        /*
+        * If a term marked as required does not exist in the tokenSet it is
+        * impossible for the clause to match any documents, so we stop
+        * examining any further terms. This does not hold when a clause
+        * matches different kinds of fields, e.g. keyword and text fields,
+        * as any of them could match.
+        */
+        if (expandedTerms.length === 0 && clause.presence === lunr.Query.presence.REQUIRED && fieldKinds <= 1) {
+          return lunr.Set.empty
+        }
+
+        for (const expandedTerm of expandedTerms) {
+          /*
+          * For each term get the posting and termIndex, this is required for
+          * building the query vector.
+          */
+          let posting = this.invertedIndex[expandedTerm],
+              termIndex = posting._index
+
+          for (const field of termFields[m]) {
+            /*
+            * For each field that this query term is scoped by (by default
+            * all fields are in scope) we need to get all the document refs
+            * that have this term in that field.
+            *
+            * The posting is the entry in the invertedIndex for the matching
+            * term from above.
+            */
+            let fieldPosting = posting[field],
+                matchingDocumentRefs = Object.keys(fieldPosting),
+                termField = expandedTerm + "/" + field
+
+            /*
+            * The clause matches a document if the term is present in _any_
+            * of the fields rather than _all_ of the fields.
+            */
+            for (const matchingDocumentRef of matchingDocumentRefs) {
+              clauseMatches[matchingDocumentRef] = true
+            }
+
+            /*
+            * Prohibited matches should not be part of the query vector used for
+            * similarity scoring and no metadata should be extracted so we continue
+            * to the next field
+            */
+            if (!scoring) {
+              continue
+            }
+
+            /*
+            * The query field vector is populated using the termIndex found for
+            * the term and a unit value with the appropriate boost applied.
+            * Using upsert because there could already be an entry in the vector
+            * for the term we are working with. In that case we just add the scores
+            * together.
+            *
+            * Boolean and geo fields only filter documents, they do not contribute
+            * to the score, so their terms are left out of the query vector. Geo
+            * distance clauses with a decay instead score each matching document
+            * by the distance of its nearest matching point.
+            */
+            if (booleanFields.indexOf(field) == -1 && geoFields.indexOf(field) == -1) {
+              Index.addQueryTerm(state, field, termIndex, boost, Index.clauseFieldBoost(clause, field))
+
+              if (state.explanation) {
+                state.explanation.terms.push({ clause, term: expandedTerm, field, boost, fieldBoost: Index.clauseFieldBoost(clause, field) })
+              }
+            } else if (typeof term === "object" && "distance" in term && clause.decay !== undefined) {
+              let distanceScore = boost * Index.clauseFieldBoost(clause, field) * Math.pow(0.5, lunr.GeoMap.distance(term.point, lunr.GeoMap.point(expandedTerm)!) / clause.decay)
+
+              for (const matchingDocumentRef of matchingDocumentRefs) {
+                let matchingFieldRef = new lunr.FieldRef (matchingDocumentRef, field).toString()
+                distanceScores[matchingFieldRef] = Math.max(distanceScores[matchingFieldRef] || 0, distanceScore)
+              }
+            }
+
+            /**
+             * If we've already seen this term, field combo then we've already collected
+             * the matching documents and metadata, no need to go through all that again
+             */
+            if (termFieldCache[termField]) {
+              continue
+            }
+
+            let phraseCollected = phraseTermFieldCache[termField]
+
+            for (let l = 0; l < matchingDocumentRefs.length; l++) {
+              /*
+              * All metadata for this term/field/document triple
+              * are then extracted and collected into an instance
+              * of lunr.MatchData ready to be returned in the query
+              * results, unless a phrase has already collected it.
+              */
+              let matchingDocumentRef = matchingDocumentRefs[l],
+                  matchingFieldRef = new lunr.FieldRef (matchingDocumentRef, field),
+                  metadata = fieldPosting[matchingDocumentRef],
+                  fieldMatch
+
+              if (phraseCollected && phraseCollected[matchingDocumentRef]) {
+                continue
+              }
+
+              if ((fieldMatch = matchingFields[matchingFieldRef.toString()]) === undefined) {
+                matchingFields[matchingFieldRef.toString()] = new lunr.MatchData (expandedTerm, field, metadata)
+              } else {
+                fieldMatch.add(expandedTerm, field, metadata)
+              }
+
+            }
+
+            termFieldCache[termField] = true
+          }
+        }
+      }
+
+      for (const fieldRef of Object.keys(distanceScores)) {
+        state.distanceScores[fieldRef] = (state.distanceScores[fieldRef] || 0) + distanceScores[fieldRef]
+
+        if (state.explanation) {
+          state.explanation.distances.push({ clause, fieldRef, score: distanceScores[fieldRef] })
+        }
+      }
+
+      return new lunr.Set(Object.keys(clauseMatches))
+    }
+
+    /**
+     * The boost of a field given by a clause, 1 unless the clause boosts the field.
+     *
+     * @private
+     */
+    private static clauseFieldBoost (clause: lunr.Query.Clause, field: string) {
+      let fieldBoost = clause.fieldBoosts && clause.fieldBoosts[field]
+      return fieldBoost !== undefined ? fieldBoost : 1
+    }
+
+    /**
+     * Adds a term to the query vector of a field. A boosted copy of the query vector is kept
+     * once any clause boosts the field, as the norm of the field is calculated without the
+     * field boosts.
+     *
+     * @private
+     * @param {lunr.Index~QueryState} state - The state of the query being performed.
+     * @param {string} field - The field to add the term to.
+     * @param {number} termIndex - The index of the term in the inverted index.
+     * @param {number} boost - The boost of the clause.
+     * @param {number} fieldBoost - The boost of the field given by the clause.
+     */
+    private static addQueryTerm (state: Index.QueryState, field: string, termIndex: number, boost: number, fieldBoost: number) {
+      let add = function (a: number, b: number) { return a + b },
+          boostedQueryVector = state.boostedQueryVectors[field]
+
+      if (boostedQueryVector === undefined && fieldBoost != 1) {
+        boostedQueryVector = state.boostedQueryVectors[field] = new lunr.Vector(state.queryVectors[field].elements.slice())
+      }
+
+      state.queryVectors[field].upsert(termIndex, boost, add)
+
+      if (boostedQueryVector !== undefined) {
+        boostedQueryVector.upsert(termIndex, boost * fieldBoost, add)
+      }
+    }
+
+    /**
+     * Whether the passed clauses contain a negated group that is not prohibited, such a
+     * group matches documents that do not contain any of the terms of the query.
+     *
+     * @private
+     * @param {lunr.Query~Clause[]} clauses - The clauses to check.
+     * @returns {boolean}
+     */
+    private containsNegatedGroup (clauses: lunr.Query.Clause[]): boolean {
+      return clauses.some(clause => {
+        if (!(clause.term instanceof lunr.Query) || clause.presence == lunr.Query.presence.PROHIBITED) {
+          return false
+        }
+
+        return clause.term.isNegated() || this.containsNegatedGroup(clause.term.clauses)
+      })
+    }
+
+    /**
+     * Evaluates the presence of the clauses of a group for a single document.
+     *
+     * A group matches a document if the document matches all of the required clauses, or
+     * at least one optional clause when there are no required clauses, and none of the
+     * prohibited clauses. A group of only prohibited clauses matches any other document.
+     *
+     * @private
+     * @param {lunr.Index~GroupMatches} group - The matched clauses of the group.
+     * @param {string} docRef - The ref of the document.
+     * @returns {boolean}
+     */
+    private groupContains (group: Index.GroupMatches, docRef: string): boolean {
+      let hasRequired = false,
+          hasOptional = false,
+          optionalMatch = false
+
+      for (let i = 0; i < group.clauses.length; i++) {
+        let clauseMatches = group.matches[i],
+            contains = clauseMatches instanceof lunr.Set
+              ? clauseMatches.contains(docRef)
+              : this.groupContains(clauseMatches, docRef)
+
+        switch (group.clauses[i].presence) {
+          case lunr.Query.presence.PROHIBITED:
+            if (contains) return false
+            break
+          case lunr.Query.presence.REQUIRED:
+            if (!contains) return false
+            hasRequired = true
+            break
+          default:
+            hasOptional = true
+            optionalMatch = optionalMatch || contains
+        }
+      }
+
+      return hasRequired || !hasOptional || optionalMatch
+    }
+
+    /**
+     * Finds the documents in which the terms of a phrase clause appear next to each
+     * other, in order, within a single field, or within the slop of the clause.
+     *
+     * Each phrase term is given the position of its token in the phrase, terms that are
+     * removed by the pipeline the documents were indexed with, such as stop words, or by the
+     * search pipeline leave a gap that matches any term, in the same way that they leave gaps
+     * between the positions of indexed tokens. A phrase with any other term that expands to no
+     * terms in the index matches no documents.
+     *
+     * Documents indexed without the 'index' metadata of tokens have no positions to
+     * match, a phrase then matches the documents that contain all of its terms.
+     *
+     * @private
+     * @param {lunr.Query~Clause} clause - A clause with a phrase term.
+     * @returns {Object<string, Object<string, {terms: string[], distance: number}>>} The matched index
+     * terms and the distance of the closest match, by field and document ref.
+     */
+    private matchPhrase (clause: lunr.Query.Clause) {
+      let phrase = clause.term as lunr.Query.PhraseTerm,
+          slop = clause.slop || 0,
+          matches: Record<string, Record<string, { terms: string[], distance: number }>> = Object.create(null),
+          tokens = phrase.terms.map((term, i) => new lunr.Token (term, {
+            fields: clause.fields,
+            fieldTypes: clause.fieldTypes,
+            index: i
+          })),
+          offsetTerms: Record<number, string[]> = Object.create(null),
+          missingTerm = false
+
+      /*
+      * Tokens removed by the indexing pipeline, such as stop words, leave
+      * gaps between the positions of the indexed tokens, so they are
+      * removed from the phrase too, leaving the same gaps. The pipeline is
+      * run on copies of the tokens, only to find the positions it keeps.
+      */
+      if (clause.usePipeline) {
+        let kept: Record<number, true> = Object.create(null)
+
+        for (const token of this.indexingPipeline.run(tokens.map(token => token.clone()))) {
+          kept[token.metadata["index"]] = true
+        }
+
+        tokens = tokens.filter(token => kept[token.metadata["index"]])
+        tokens = this.pipeline.run(tokens)
+      }
+
+      for (const token of tokens) {
+        let offset: number = token.metadata["index"],
+            expandedTerms = this.tokenSet.intersect(lunr.TokenSet.fromString(token.str)).toArray()
+
+        if (expandedTerms.length == 0) {
+          missingTerm = true
+        }
+
+        offsetTerms[offset] = (offsetTerms[offset] || []).concat(expandedTerms)
+      }
+
+      let offsets = Object.keys(offsetTerms).map(Number).sort(lunr.utils.compareNumbers)
+
+      for (const field of clause.fields!) {
+        let fieldMatches: Record<string, { terms: string[], distance: number }> = Object.create(null)
+        matches[field] = fieldMatches
+
+        if (offsets.length == 0 || missingTerm) continue
+
+        /*
+        * For every offset in the phrase collect the position of each
+        * matching term, by document. Only documents that have a term
+        * for every offset can possibly match.
+        */
+        let positions: Record<string, Record<number, string>>[] = [],
+            termsWithoutPositions: Record<string, Record<string, true>> = Object.create(null),
+            candidateRefs: lunr.Set = lunr.Set.complete
+
+        for (const offset of offsets) {
+          let documentPositions: Record<string, Record<number, string>> = Object.create(null)
+
+          for (const term of offsetTerms[offset]) {
+            let fieldPosting = this.invertedIndex[term][field]
+
+            if (fieldPosting === undefined) continue
+
+            for (const docRef of Object.keys(fieldPosting)) {
+              let termPositions: number[] = fieldPosting[docRef]["index"],
+                  docPositions = documentPositions[docRef] || (documentPositions[docRef] = Object.create(null))
+
+              if (termPositions === undefined) {
+                let docTerms = termsWithoutPositions[docRef] || (termsWithoutPositions[docRef] = Object.create(null))
+                docTerms[term] = true
+                continue
+              }
+
+              for (const position of termPositions) {
+                docPositions[position] = term
+              }
+            }
+          }
+
+          positions.push(documentPositions)
+          candidateRefs = candidateRefs.intersect(new lunr.Set(Object.keys(documentPositions)))
+        }
+
+        if (candidateRefs === lunr.Set.empty) continue
+
+        for (const docRef of Object.keys(positions[0])) {
+          if (!candidateRefs.contains(docRef)) continue
+
+          if (termsWithoutPositions[docRef] !== undefined) {
+            fieldMatches[docRef] = { terms: Object.keys(termsWithoutPositions[docRef]), distance: 0 }
+            continue
+          }
+
+          /*
+          * Shifting the position of each term by its offset in the phrase
+          * gives every term of an exact match the same shifted position. The
+          * distance of a match is the spread of the shifted positions, the
+          * smallest spread is found by repeatedly advancing past the smallest
+          * shifted position of the sorted positions for every offset.
+          */
+          let sortedPositions = positions.map(p => Object.keys(p[docRef]).map(Number).sort(lunr.utils.compareNumbers)),
+              cursors = offsets.map(() => 0),
+              distance = Infinity,
+              bestPositions: number[] = []
+
+          while (true) {
+            let min = Infinity,
+                max = -Infinity,
+                minIdx = 0
+
+            for (let i = 0; i < offsets.length; i++) {
+              let shifted = sortedPositions[i][cursors[i]] - offsets[i]
+              if (shifted < min) {
+                min = shifted
+                minIdx = i
+              }
+              if (shifted > max) {
+                max = shifted
+              }
+            }
+
+            if (max - min < distance) {
+              distance = max - min
+              bestPositions = cursors.map((c, i) => sortedPositions[i][c])
+            }
+
+            cursors[minIdx] += 1
+
+            if (distance == 0 || cursors[minIdx] >= sortedPositions[minIdx].length) break
+          }
+
+          if (distance > slop) continue
+
+          let matchedTerms: Record<string, true> = Object.create(null)
+
+          for (let i = 0; i < offsets.length; i++) {
+            matchedTerms[positions[i][docRef][bestPositions[i]]] = true
+          }
+
+          fieldMatches[docRef] = {
+            terms: Object.keys(matchedTerms),
+            distance
+          }
+        }
+      }
+
+      return matches
+    }
+
+    /**
+     * Prepares the index for JSON serialization.
+     *
+     * The schema for this JSON blob will be described in a
+     * separate JSON schema file.
+     *
+     * The token set and number map are rebuilt from the terms of the
+     * inverted index when the index is loaded, unless they are included
+     * in the serialized index, which makes loading faster at the cost of
+     * a larger serialized index.
+     *
+     * @param {lunr.Index~SerializationOptions} [options] - What to include in the serialized index.
+     * @returns {Object}
+     * @example <caption>including the token set and number map</caption>
+     * JSON.stringify(idx.toJSON({ tokenSet: true, numberMap: true }))
+     */
+    toJSON (options?: Index.SerializationOptions): any {
+      // JSON.stringify passes the key of the index rather than any options
+      let include: Index.SerializationOptions = typeof options == "object" && options !== null ? options : {}
+
+      let invertedIndex = Object.keys(this.invertedIndex)
+        .sort()
+        .map((term) => {
+          return [term, this.invertedIndex[term]]
+        })
+
+      let fieldVectors = Object.keys(this.fieldVectors)
+        .map((ref) => {
+          return [ref, this.fieldVectors[ref].toJSON()]
+        })
+
+      let documentStore = Object.keys(this.documentStore)
+        .map((ref) => {
+          return [ref, this.documentStore[ref]]
+        })
+
+      let docValues = Object.keys(this.docValues)
+        .map((field) => {
+          let column = this.docValues[field]
+          return [field, Object.keys(column).map(ref => [ref, column[ref]])]
+        })
+
+      let facetValues = Object.keys(this.facetValues)
+        .map((field) => {
+          let column = this.facetValues[field]
+          return [field, Object.keys(column).map(ref => [ref, column[ref]])]
+        })
+
+      let serialized: any = {
+        version: lunr.version,
+        fields: this.fields,
+        fieldTypes: this.fieldTypes,
+        facetFields: this.facetFields,
+        fieldVectors: fieldVectors,
+        documentStore: documentStore,
+        docValues: docValues,
+        facetValues: facetValues,
+        invertedIndex: invertedIndex,
+        pipeline: this.pipeline.toJSON(),
+        indexingPipeline: this.indexingPipeline.toJSON(),
+        scoringModel: this.scoringModel.name
+      }
+
+      if (include.tokenSet) {
+        serialized.tokenSet = this.tokenSet.toJSON()
+      }
+
+      if (include.numberMap) {
+        serialized.numberMap = this.numberMap.toJSON()
+      }
+
+      return serialized
+    }
+
+    /**
+     * Serializes the index into a compact binary form, an alternative to lunr.Index#toJSON
+     * for large indexes, which can be loaded with lunr.Index.loadBinary.
+     *
+     * The binary form starts with a table of the strings that are repeated throughout the
+     * index, such as the names of fields and the refs of documents, which are then referred
+     * to by their position in the table. The terms are only kept in the serialized token set,
+     * the postings of each term are kept as the gaps between the positions of their documents
+     * in the table and the gaps between the positions of their matches. The weights of the field
+     * vectors are kept as whole thousandths, the precision that lunr.Builder rounds them to, so
+     * an index loaded from its binary form gives the same results, in the same order and with
+     * the same scores, as one loaded from its JSON form.
+     *
+     * @returns {ArrayBuffer}
+     * @example <caption>writing an index to a file in Node.js</caption>
+     * fs.writeFileSync("index.bin", Buffer.from(idx.toBinary()))
+     */
+    toBinary (): ArrayBuffer {
+      let body = new lunr.BinaryWriter,
+          strings: string[] = [],
+          stringIndexes: Record<string, number> = Object.create(null),
+          fieldVectorRefs = Object.keys(this.fieldVectors).map(ref => lunr.FieldRef.fromString(ref)),
+          refs: Record<string, true> = Object.create(null)
+
+      const string = (value: string) => {
+        if (!(value in stringIndexes)) {
+          stringIndexes[value] = strings.length
+          strings.push(value)
+        }
+
+        body.uint(stringIndexes[value])
+      }
+
+      /*
+      * The refs of documents come first in the table, in the order they were
+      * added, so that the postings of a term, which keep that order, can refer
+      * to them by the mostly small gaps between their positions.
+      */
+      for (const fieldRef of fieldVectorRefs) {
+        refs[fieldRef.docRef] = true
+      }
+
+      for (const ref of Object.keys(this.documentStore)) {
+        refs[ref] = true
+      }
+
+      for (const ref of Object.keys(refs)) {
+        stringIndexes[ref] = strings.length
+        strings.push(ref)
+      }
+
+      body.uint(this.fields.length)
+
+      for (let i = 0; i < this.fields.length; i++) {
+        string(this.fields[i])
+        string(this.fieldTypes[i])
+        body.uint(this.facetFields.indexOf(this.fields[i]) == -1 ? 0 : 1)
+      }
+
+      for (const pipeline of [this.pipeline.toJSON(), this.indexingPipeline.toJSON()]) {
+        body.uint(pipeline.length)
+        pipeline.forEach(string)
+      }
+
+      string(this.scoringModel.name)
+
+      this.tokenSet.write(body)
+
+      for (const term of Object.keys(this.invertedIndex).sort()) {
+        let posting = this.invertedIndex[term]
+
+        body.uint(posting._index)
+
+        for (const field of this.fields) {
+          let fieldPosting = posting[field] || {},
+              docRefs = Object.keys(fieldPosting),
+              previous = 0
+
+          body.uint(docRefs.length)
+
+          for (const docRef of docRefs) {
+            let metadata = fieldPosting[docRef],
+                keys = Object.keys(metadata)
+
+            body.int(stringIndexes[docRef] - previous)
+            previous = stringIndexes[docRef]
+
+            body.uint(keys.length)
+
+            for (const key of keys) {
+              string(key)
+              Index.writeMetadata(body, metadata[key])
+            }
+          }
+        }
+      }
+
+      body.uint(fieldVectorRefs.length)
+
+      for (const fieldRef of fieldVectorRefs) {
+        let elements = this.fieldVectors[fieldRef.toString()].elements,
+            previous = 0
+
+        body.uint(this.fields.indexOf(fieldRef.fieldName))
+        body.uint(stringIndexes[fieldRef.docRef])
+        body.uint(elements.length / 2)
+
+        for (let i = 0; i < elements.length; i += 2) {
+          body.uint(elements[i] - previous)
+          body.int(Math.round(elements[i + 1] * 1000))
+          previous = elements[i]
+        }
+      }
+
+      let storedRefs = Object.keys(this.documentStore)
+
+      body.uint(storedRefs.length)
+
+      for (const ref of storedRefs) {
+        body.uint(stringIndexes[ref])
+        body.string(JSON.stringify(this.documentStore[ref]))
+      }
+
+      let sortableFields = Object.keys(this.docValues)
+
+      body.uint(sortableFields.length)
+
+      for (const field of sortableFields) {
+        let column = this.docValues[field],
+            columnRefs = Object.keys(column)
+
+        body.uint(this.fields.indexOf(field))
+        body.uint(columnRefs.length)
+
+        for (const ref of columnRefs) {
+          let value = column[ref]
+
+          string(ref)
+
+          if (typeof value == "number") {
+            body.uint(0)
+            body.float64(value)
+          } else {
+            body.uint(1)
+            body.string(value)
+          }
+        }
+      }
+
+      let facetFields = Object.keys(this.facetValues)
+
+      body.uint(facetFields.length)
 
-      let query = new lunr.Query(this.fields, this.fieldTypes, this.numberMap),
-          matchingFields: Record<string, lunr.MatchData> = Object.create(null),
-          queryVectors: Record<string, lunr.Vector> = Object.create(null),
-          termFieldCache: Record<string, true> = Object.create(null),
-          requiredMatches: Record<string, lunr.Set> = Object.create(null),
-          prohibitedMatches: Record<string, lunr.Set> = Object.create(null),
-          fieldTypeCache: Record<string, lunr.Builder.FieldType> = Object.create(null)
+      for (const field of facetFields) {
+        let column = this.facetValues[field],
+            columnRefs = Object.keys(column)
 
-      /*
-      * To support field level boosts a query vector is created per
-      * field. An empty vector is eagerly created to support negated
-      * queries.
-      */
-      for (let i = 0; i < this.fields.length; i++) {
-        queryVectors[this.fields[i]] = new lunr.Vector
-        fieldTypeCache[this.fields[i]] = this.fieldTypes && this.fieldTypes[i] || "string"
+        body.uint(this.fields.indexOf(field))
+        body.uint(columnRefs.length)
+
+        for (const ref of columnRefs) {
+          string(ref)
+          body.uint(column[ref].length)
+          column[ref].forEach(string)
+        }
       }
 
-      fn.call(query, query)
+      let writer = new lunr.BinaryWriter
 
-      for (const clause of query.clauses) {
-        /*
-        * Unless the pipeline has been disabled for this term, which is
-        * the case for terms with wildcards, we need to pass the clause
-        * term through the search pipeline. A pipeline returns an array
-        * of processed terms. Pipeline functions may expand the passed
-        * term, which means we may end up performing multiple index lookups
-        * for a single query term.
-        */
-        let terms: lunr.Query.Term[],
-            clauseMatches = lunr.Set.empty
+      for (let i = 0; i < Index.binaryMagic.length; i++) {
+        writer.uint(Index.binaryMagic.charCodeAt(i))
+      }
 
-        if (clause.usePipeline && typeof clause.term === "string") {
-          terms = this.pipeline.runString(clause.term, {
-            fields: clause.fields,
-            fieldTypes: clause.fieldTypes
-          })
-        } else {
-          terms = [clause.term]
+      writer.uint(Index.binaryFormat)
+      writer.string(lunr.version)
+      writer.uint(strings.length)
+      strings.forEach(str => writer.string(str))
+      writer.append(body)
+
+      return writer.toArrayBuffer()
+    }
+
+    /**
+     * Loads an index serialized with lunr.Index#toBinary.
+     *
+     * @param {(ArrayBuffer|ArrayBufferView)} buffer - The serialized index, such as an ArrayBuffer or a Node.js Buffer.
+     * @returns {lunr.Index}
+     * @throws {Error} If the buffer does not contain a serialized index.
+     * @example <caption>loading an index fetched by a browser</caption>
+     * fetch("/index.bin")
+     *   .then(response => response.arrayBuffer())
+     *   .then(buffer => lunr.Index.loadBinary(buffer))
+     */
+    static loadBinary (buffer: ArrayBuffer | ArrayBufferView) {
+      let reader = new lunr.BinaryReader(buffer)
+
+      for (let i = 0; i < Index.binaryMagic.length; i++) {
+        if (reader.uint() != Index.binaryMagic.charCodeAt(i)) {
+          throw new Error("The buffer does not contain a binary serialized lunr index")
         }
+      }
 
-        for (let m = 0; m < terms.length; m++) {
-          let term = terms[m]
+      let format = reader.uint(),
+          version = reader.string()
 
-          /*
-          * Each term returned from the pipeline needs to use the same query
-          * clause object, e.g. the same boost and or edit distance. The
-          * simplest way to do this is to re-use the clause object but mutate
-          * its term property.
-          */
-          clause.term = term
+      if (format != Index.binaryFormat) {
+        throw new Error("Binary format " + format + " of serialised index is not supported, expected format " + Index.binaryFormat)
+      }
 
-          /*
-          * From the term in the clause we create a token set which will then
-          * be used to intersect the indexes token set to get a list of terms
-          * to lookup in the inverted index
-          */
-          let termTokenSet = lunr.TokenSet.fromClause(clause),
-              expandedTerms = this.tokenSet.intersect(termTokenSet).toArray()
+      if (version != lunr.version) {
+        lunr.utils.warn("Version mismatch when loading serialised index. Current version of lunr '" + lunr.version + "' does not match serialized index '" + version + "'")
+      }
 
-          /*
-          * If a term marked as required does not exist in the tokenSet it is
-          * impossible for the search to return any matches. We set all the field
-          * scoped required matches set to empty and stop examining any further
-          * clauses.
-          */
-          if (expandedTerms.length === 0 && clause.presence === lunr.Query.presence.REQUIRED) {
-            for (const field of clause.fields!) {
-              requiredMatches[field] = lunr.Set.empty
-            }
+      let strings: string[] = []
 
-            break
-          }
+      for (let i = reader.uint(); i > 0; i--) {
+        strings.push(reader.string())
+      }
 
-          for (const expandedTerm of expandedTerms) {
-            /*
-            * For each term get the posting and termIndex, this is required for
-            * building the query vector.
-            */
-            let posting = this.invertedIndex[expandedTerm],
-                termIndex = posting._index
+      const string = () => strings[reader.uint()]
 
-            for (const field of clause.fields!) {
-              /*
-              * For each field that this query term is scoped by (by default
-              * all fields are in scope) we need to get all the document refs
-              * that have this term in that field.
-              *
-              * The posting is the entry in the invertedIndex for the matching
-              * term from above.
-              */
-              let fieldPosting = posting[field],
-                  matchingDocumentRefs = Object.keys(fieldPosting),
-                  termField = expandedTerm + "/" + field,
-                  matchingDocumentsSet = new lunr.Set(matchingDocumentRefs)
+      let fields: string[] = [],
+          fieldTypes: lunr.Builder.FieldType[] = [],
+          facetFields: string[] = [],
+          pipelineNames: string[] = [],
+          indexingPipelineNames: string[] = []
 
-              /*
-              * if the presence of this term is required ensure that the matching
-              * documents are added to the set of required matches for this clause.
-              *
-              */
-              if (clause.presence == lunr.Query.presence.REQUIRED) {
-                clauseMatches = clauseMatches.union(matchingDocumentsSet)
+      for (let i = reader.uint(); i > 0; i--) {
+        let field = string()
 
-                if (requiredMatches[field] === undefined) {
-                  requiredMatches[field] = lunr.Set.complete
-                }
-              }
+        fields.push(field)
+        fieldTypes.push(string() as lunr.Builder.FieldType)
 
-              /*
-              * if the presence of this term is prohibited ensure that the matching
-              * documents are added to the set of prohibited matches for this field,
-              * creating that set if it does not yet exist.
-              */
-              if (clause.presence == lunr.Query.presence.PROHIBITED) {
-                if (prohibitedMatches[field] === undefined) {
-                  prohibitedMatches[field] = lunr.Set.empty
-                }
+        if (reader.uint() == 1) {
+          facetFields.push(field)
+        }
+      }
 
-                prohibitedMatches[field] = prohibitedMatches[field].union(matchingDocumentsSet)
+      for (let i = reader.uint(); i > 0; i--) {
+        pipelineNames.push(string())
+      }
 
-                /*
-                * Prohibited matches should not be part of the query vector used for
-                * similarity scoring and no metadata should be extracted so we continue
-                * to the next field
-                */
-                continue
-              }
+      for (let i = reader.uint(); i > 0; i--) {
+        indexingPipelineNames.push(string())
+      }
 
-              /*
-              * The query field vector is populated using the termIndex found for
-              * the term and a unit value with the appropriate boost applied.
-              * Using upsert because there could already be an entry in the vector
-              * for the term we are working with. In that case we just add the scores
-              * together.
-              */
-              queryVectors[field].upsert(termIndex, clause.boost!, function (a, b) { return a + b })
+      let scoringModel = lunr.ScoringModel.load(string())
 
-              /**
-               * If we've already seen this term, field combo then we've already collected
-               * the matching documents and metadata, no need to go through all that again
-               */
-              if (termFieldCache[termField]) {
-                continue
-              }
+      let tokenSet = lunr.TokenSet.read(reader),
+          invertedIndex: Index.InvertedIndex = Object.create(null)
 
-              for (let l = 0; l < matchingDocumentRefs.length; l++) {
-                /*
-                * All metadata for this term/field/document triple
-                * are then extracted and collected into an instance
-                * of lunr.MatchData ready to be returned in the query
-                * results
-                */
-                let matchingDocumentRef = matchingDocumentRefs[l],
-                    matchingFieldRef = new lunr.FieldRef (matchingDocumentRef, field),
-                    metadata = fieldPosting[matchingDocumentRef],
-                    fieldMatch
-
-                if ((fieldMatch = matchingFields[matchingFieldRef.toString()]) === undefined) {
-                  matchingFields[matchingFieldRef.toString()] = new lunr.MatchData (expandedTerm, field, metadata)
-                } else {
-                  fieldMatch.add(expandedTerm, field, metadata)
-                }
+      for (const term of tokenSet.toArray().sort()) {
+        let posting: Index.InvertedIndex.Posting = Object.create(null)
 
-              }
+        posting._index = reader.uint()
+
+        for (const field of fields) {
+          let fieldPosting = Object.create(null),
+              previous = 0
+
+          for (let i = reader.uint(); i > 0; i--) {
+            let metadata = Object.create(null)
 
-              termFieldCache[termField] = true
+            previous += reader.int()
+
+            for (let j = reader.uint(); j > 0; j--) {
+              let key = string()
+              metadata[key] = Index.readMetadata(reader)
             }
-          }
-        }
 
-        /**
-         * If the presence was required we need to update the requiredMatches field sets.
-         * We do this after all fields for the term have collected their matches because
-         * the clause terms presence is required in _any_ of the fields not _all_ of the
-         * fields.
-         */
-        if (clause.presence === lunr.Query.presence.REQUIRED) {
-          for (const field of clause.fields!) {
-            requiredMatches[field] = requiredMatches[field].intersect(clauseMatches)
+            fieldPosting[strings[previous]] = metadata
           }
+
+          posting[field] = fieldPosting
         }
+
+        invertedIndex[term] = posting
       }
 
-      /**
-       * Need to combine the field scoped required and prohibited
-       * matching documents into a global set of required and prohibited
-       * matches
-       */
-      let allRequiredMatches = lunr.Set.complete,
-          allProhibitedMatches = lunr.Set.empty
+      let fieldVectors: Record<string, lunr.Vector> = Object.create(null)
 
-      for (let i = 0; i < this.fields.length; i++) {
-        let field = this.fields[i]
+      for (let i = reader.uint(); i > 0; i--) {
+        let field = fields[reader.uint()],
+            docRef = strings[reader.uint()],
+            elements: number[] = [],
+            previous = 0
 
-        if (requiredMatches[field]) {
-          allRequiredMatches = allRequiredMatches.intersect(requiredMatches[field])
+        for (let j = reader.uint(); j > 0; j--) {
+          previous += reader.uint()
+          elements.push(previous, reader.int() / 1000)
         }
 
-        if (prohibitedMatches[field]) {
-          allProhibitedMatches = allProhibitedMatches.union(prohibitedMatches[field])
-        }
+        fieldVectors[new lunr.FieldRef (docRef, field).toString()] = new lunr.Vector (elements)
       }
 
-      let matchingFieldRefs = Object.keys(matchingFields),
-          results: Index.Result[] = [],
-          matches: Record<string, Index.Result> = Object.create(null)
+      let documentStore = Object.create(null)
 
-      /*
-      * If the query is negated (contains only prohibited terms)
-      * we need to get _all_ fieldRefs currently existing in the
-      * index. This is only done when we know that the query is
-      * entirely prohibited terms to avoid any cost of getting all
-      * fieldRefs unnecessarily.
-      *
-      * Additionally, blank MatchData must be created to correctly
-      * populate the results.
-      */
-      if (query.isNegated()) {
-        matchingFieldRefs = Object.keys(this.fieldVectors)
+      for (let i = reader.uint(); i > 0; i--) {
+        let ref = strings[reader.uint()]
+        documentStore[ref] = JSON.parse(reader.string())
+      }
 
-        for (const matchingFieldRef of matchingFieldRefs) {
-          let fieldRef = lunr.FieldRef.fromString(matchingFieldRef)
-          matchingFields[fieldRef.toString()] = new lunr.MatchData
+      let docValues = Object.create(null)
+
+      for (let i = reader.uint(); i > 0; i--) {
+        let column = Object.create(null)
+
+        docValues[fields[reader.uint()]] = column
+
+        for (let j = reader.uint(); j > 0; j--) {
+          let ref = string()
+          column[ref] = reader.uint() == 0 ? reader.float64() : reader.string()
         }
       }
 
-      for (const matchingFieldRef of matchingFieldRefs) {
-        /*
-        * Currently we have document fields that match the query, but we
-        * need to return documents. The matchData and scores are combined
-        * from multiple fields belonging to the same document.
-        *
-        * Scores are calculated by field, using the query vectors created
-        * above, and combined into a final document score using addition.
-        */
-        let fieldRef = lunr.FieldRef.fromString(matchingFieldRef),
-            docRef = fieldRef.docRef
+      let facetValues = Object.create(null)
 
-        if (!allRequiredMatches.contains(docRef)) {
-          continue
-        }
+      for (let i = reader.uint(); i > 0; i--) {
+        let column = Object.create(null)
 
-        if (allProhibitedMatches.contains(docRef)) {
-          continue
-        }
+        facetValues[fields[reader.uint()]] = column
 
-        let fieldVector = this.fieldVectors[fieldRef.toString()],
-            score = queryVectors[fieldRef.fieldName].similarity(fieldVector),
-            docMatch
+        for (let j = reader.uint(); j > 0; j--) {
+          let ref = string(),
+              values: string[] = []
 
-        if ((docMatch = matches[docRef]) !== undefined) {
-          docMatch.score += score
-          docMatch.matchData.combine(matchingFields[fieldRef.toString()])
-        } else {
-          let match: Index.Result = {
-            ref: docRef,
-            score: score,
-            matchData: matchingFields[fieldRef.toString()]
+          for (let k = reader.uint(); k > 0; k--) {
+            values.push(string())
           }
-          matches[docRef] = match
-          results.push(match)
+
+          column[ref] = values
         }
       }
 
-      /*
-      * Sort the results objects by score, highest first.
-      */
-      return results.sort((a, b) => b.score - a.score)
+      return new Index ({
+        fields,
+        fieldTypes,
+        facetFields,
+        documentStore,
+        docValues,
+        facetValues,
+        fieldVectors,
+        invertedIndex,
+        tokenSet,
+        numberMap: lunr.NumberMap.fromInvertedIndex(invertedIndex),
+        geoMap: lunr.GeoMap.fromInvertedIndex(invertedIndex),
+        pipeline: lunr.Pipeline.load(pipelineNames),
+        indexingPipeline: lunr.Pipeline.load(indexingPipelineNames),
+        scoringModel
+      })
     }
 
     /**
-     * Prepares the index for JSON serialization.
+     * Writes the values of a metadata key of a posting. Positions are written as the gaps
+     * between their starts and their lengths, any other values as JSON.
      *
-     * The schema for this JSON blob will be described in a
-     * separate JSON schema file.
+     * @private
+     */
+    private static writeMetadata (writer: lunr.BinaryWriter, values: any[]) {
+      let isOffset = (value: any) => typeof value == "number" && value >= 0 && value === Math.floor(value),
+          isPosition = (value: any, i: number) => Array.isArray(value) && value.length == 2 &&
+            isOffset(value[0]) && isOffset(value[1]) && (i == 0 || value[0] >= values[i - 1][0])
+
+      if (!values.every(isPosition)) {
+        writer.uint(0)
+        writer.string(JSON.stringify(values))
+        return
+      }
+
+      let previous = 0
+
+      writer.uint(1)
+      writer.uint(values.length)
+
+      for (const position of values) {
+        writer.uint(position[0] - previous)
+        writer.uint(position[1])
+        previous = position[0]
+      }
+    }
+
+    /**
+     * Reads the values of a metadata key written by lunr.Index.writeMetadata.
      *
-     * @returns {Object}
+     * @private
      */
-    toJSON (): any {
-      let invertedIndex = Object.keys(this.invertedIndex)
-        .sort()
-        .map((term) => {
-          return [term, this.invertedIndex[term]]
-        })
+    private static readMetadata (reader: lunr.BinaryReader): any[] {
+      if (reader.uint() == 0) {
+        return JSON.parse(reader.string())
+      }
 
-      let fieldVectors = Object.keys(this.fieldVectors)
-        .map((ref) => {
-          return [ref, this.fieldVectors[ref].toJSON()]
-        })
+      let values: [number, number][] = [],
+          previous = 0
 
-      return {
-        version: lunr.version,
-        fields: this.fields,
-        fieldTypes: this.fieldTypes,
-        fieldVectors: fieldVectors,
-        invertedIndex: invertedIndex,
-        pipeline: this.pipeline.toJSON()
+      for (let i = reader.uint(); i > 0; i--) {
+        previous += reader.uint()
+        values.push([previous, reader.uint()])
       }
+
+      return values
     }
 
     /**
      * Loads a previously serialized lunr.Index
      *
+     * The token set and number map are loaded from the serialized index
+     * when it includes them, otherwise they are rebuilt from its terms.
+     * The scoring model is the registered model of the recorded name, or
+     * BM25 for indexes serialized before the model was recorded. Indexes
+     * serialized before the indexing pipeline was recorded remove no terms
+     * from phrases.
+     *
      * @param {Object} serializedIndex - A previously serialized lunr.Index
      * @returns {lunr.Index}
+     * @throws {Error} If a pipeline function or the scoring model of the index is not registered.
      */
     static load (serializedIndex: any) {
       let fieldVectors: Record<string, lunr.Vector> = {},
           serializedVectors = serializedIndex.fieldVectors,
           invertedIndex = Object.create(null),
           serializedInvertedIndex = serializedIndex.invertedIndex,
+          documentStore = Object.create(null),
+          serializedDocumentStore = serializedIndex.documentStore || [],
+          docValues = Object.create(null),
+          serializedDocValues = serializedIndex.docValues || [],
+          facetValues = Object.create(null),
+          serializedFacetValues = serializedIndex.facetValues || [],
           tokenSetBuilder = new lunr.TokenSet.Builder,
-          pipeline = lunr.Pipeline.load(serializedIndex.pipeline)
+          pipeline = lunr.Pipeline.load(serializedIndex.pipeline),
+          indexingPipeline = lunr.Pipeline.load(serializedIndex.indexingPipeline || []),
+          scoringModel = lunr.ScoringModel.load(serializedIndex.scoringModel || "bm25")
 
       if (serializedIndex.version != lunr.version) {
         lunr.utils.warn("Version mismatch when loading serialised index. Current version of lunr '" + lunr.version + "' does not match serialized index '" + serializedIndex.version + "'")
@@ -487,25 +2309,87 @@ namespace lunr {
             term = tuple[0],
             posting = tuple[1]
 
-        tokenSetBuilder.insert(term)
         invertedIndex[term] = posting
+
+        if (!serializedIndex.tokenSet) {
+          tokenSetBuilder.insert(term)
+        }
       }
 
       tokenSetBuilder.finish()
 
+      for (let i = 0; i < serializedDocumentStore.length; i++) {
+        let tuple = serializedDocumentStore[i],
+            ref = tuple[0],
+            doc = tuple[1]
+
+        documentStore[ref] = doc
+      }
+
+      for (let i = 0; i < serializedDocValues.length; i++) {
+        let tuple = serializedDocValues[i],
+            field = tuple[0],
+            values = tuple[1],
+            column = Object.create(null)
+
+        for (let j = 0; j < values.length; j++) {
+          column[values[j][0]] = values[j][1]
+        }
+
+        docValues[field] = column
+      }
+
+      for (let i = 0; i < serializedFacetValues.length; i++) {
+        let tuple = serializedFacetValues[i],
+            field = tuple[0],
+            values = tuple[1],
+            column = Object.create(null)
+
+        for (let j = 0; j < values.length; j++) {
+          column[values[j][0]] = values[j][1]
+        }
+
+        facetValues[field] = column
+      }
+
       return new Index ({
         fields: serializedIndex.fields,
         fieldTypes: serializedIndex.fieldTypes,
+        facetFields: serializedIndex.facetFields,
+        documentStore,
+        docValues,
+        facetValues,
         fieldVectors,
         invertedIndex,
-        tokenSet: tokenSetBuilder.root,
-        numberMap: lunr.NumberMap.fromInvertedIndex(invertedIndex),
-        pipeline
+        tokenSet: serializedIndex.tokenSet ? lunr.TokenSet.load(serializedIndex.tokenSet) : tokenSetBuilder.root,
+        numberMap: serializedIndex.numberMap ? lunr.NumberMap.load(serializedIndex.numberMap) : lunr.NumberMap.fromInvertedIndex(invertedIndex),
+        geoMap: lunr.GeoMap.fromInvertedIndex(invertedIndex),
+        pipeline,
+        indexingPipeline,
+        scoringModel
       })
     }
   }
 
   export namespace Index {
+    /**
+     * What to include in a serialized index, in addition to the index itself.
+     *
+     * @typedef {object} lunr.Index~SerializationOptions
+     * @property {boolean} [tokenSet=false] - Whether to include the token set of the index.
+     * @property {boolean} [numberMap=false] - Whether to include the number map of the index.
+     */
+    export interface SerializationOptions {
+      tokenSet?: boolean
+      numberMap?: boolean
+    }
+
+    /* @internal */
+    export const binaryMagic = "lunr"
+
+    /* @internal */
+    export const binaryFormat = 1
+
     /** The attributes of the built search index. */
     export interface IndexAttributes {
       /** An index of term/field to document reference. */
@@ -515,12 +2399,41 @@ namespace lunr {
       /** An set of all corpus tokens. */
       tokenSet: lunr.TokenSet
       numberMap: lunr.NumberMap
+      geoMap: lunr.GeoMap
       /** The names of indexed document fields. */
       fields: string[]
       /** The names of indexed document fields. */
       fieldTypes: lunr.Builder.FieldType[]
+      /** The names of fields that facets can be counted for. */
+      facetFields?: string[]
+      /** The stored fields of documents, by document ref. */
+      documentStore?: Record<string, Record<string, any>>
+      /** The values of sortable fields, by field name and document ref. */
+      docValues?: Record<string, Record<string, lunr.Builder.SortValue>>
+      /** The values of string facet fields, by field name and document ref. */
+      facetValues?: Record<string, Record<string, string[]>>
       /** The pipeline to use for search terms. */
       pipeline: lunr.Pipeline
+      /** The pipeline the terms of the documents were processed by, an empty pipeline by default. */
+      indexingPipeline?: lunr.Pipeline
+      /** The model the field vectors were weighed with, BM25 by default. */
+      scoringModel?: lunr.ScoringModel
+      /** The builder that created this index when it is mutable, required to update the index. */
+      builder?: lunr.Builder<any>
+    }
+
+    /**
+     * The scoring parameters to change with lunr.Index#tune.
+     *
+     * @typedef {object} lunr.Index~TuningParameters
+     * @property {number} [b] - The field length normalization parameter of all fields.
+     * @property {number} [k1] - The term frequency saturation parameter of all fields.
+     * @property {object<string, object>} [fields] - The `b` and `k1` parameters of individual fields, by field name.
+     */
+    export interface TuningParameters {
+      b?: number
+      k1?: number
+      fields?: Record<string, { b?: number, k1?: number }>
     }
 
     /**
@@ -533,19 +2446,301 @@ namespace lunr {
      */
     export type queryBuilder = (this: lunr.Query, query: lunr.Query) => void
 
+    /**
+     * The state shared by the clauses of a query while they are matched.
+     *
+     * @private
+     */
+    export interface QueryState {
+      /** The match data of the document fields, by field ref. */
+      matchingFields: Record<string, lunr.MatchData>
+      /** The query vector of each field. */
+      queryVectors: Record<string, lunr.Vector>
+      /**
+       * The query vector of each field with the field boosts of the clauses applied, only for
+       * fields that a clause boosts. The norm of a field is calculated from its unboosted
+       * query vector, so that the boosts are not normalized away.
+       */
+      boostedQueryVectors: Record<string, lunr.Vector>
+      /** The term/field pairs whose match data has been collected. */
+      termFieldCache: Record<string, true>
+      /** The documents whose match data has been collected by phrases, by term/field pair. */
+      phraseTermFieldCache: Record<string, Record<string, true>>
+      /** The weight of sloppy phrase matches, by field ref. */
+      proximityWeights: Record<string, number>
+      /** The score of geo distance matches with a decay, by field ref. */
+      distanceScores: Record<string, number>
+      /* @internal */
+      explanation?: ExplanationState
+    }
+
+    /**
+     * The contributions to the scores of documents recorded while a query is matched, for
+     * lunr.Index#explain.
+     *
+     * @private
+     */
+    /* @internal */
+    export interface ExplanationState {
+      /** The explanations of the clauses of the query. */
+      nodes: ClauseExplanation[]
+      /** Every clause of the query, including those within groups, alongside clauseNodes. */
+      clauses: lunr.Query.Clause[]
+      /** The explanation of each clause in clauses. */
+      clauseNodes: ClauseExplanation[]
+      /** The terms added to the query vectors, with the boost and field boost they were added with. */
+      terms: { clause: lunr.Query.Clause, term: string, field: string, boost: number, fieldBoost: number }[]
+      /** The geo distance scores of each clause, by field ref. */
+      distances: { clause: lunr.Query.Clause, fieldRef: string, score: number }[]
+      /** The score of each matching field before the fields of a document are combined, by field ref. */
+      fieldScores: Record<string, number>
+    }
+
+    /**
+     * The options of a query that affect the scores of documents, as checked by
+     * lunr.Index#scoringOptions.
+     *
+     * @private
+     */
+    /* @internal */
+    export interface ScoringOptions {
+      /** The boosts of the fields, by field name. */
+      fieldBoosts: Record<string, number>
+      /** The weight of the fields other than the best field, undefined when the scores of the fields are added. */
+      tieBreaker?: number
+    }
+
+    /**
+     * The documents matching each clause of a group.
+     *
+     * @private
+     */
+    export interface GroupMatches {
+      clauses: lunr.Query.Clause[]
+      /** The refs of the matching documents of each clause, or the matches of a nested group. */
+      matches: (lunr.Set | GroupMatches)[]
+    }
+
     /**
      * A result contains details of a document matching a search query.
      * @typedef {object} lunr.Index.Result
      * @property {string} ref - The reference of the document this result represents.
      * @property {number} score - A number between 0 and 1 representing how similar this document is to the query.
      * @property {lunr.MatchData} matchData - Contains metadata about this match including which term(s) caused the match.
+     * @property {object} [doc] - The values of the stored fields of the document, if any fields are stored.
      */
     export interface Result {
       ref: string
       score: number
       matchData: lunr.MatchData
+      doc?: Record<string, any>
+    }
+
+    /**
+     * The results of a query, sorted by score or by the requested sort fields, along with
+     * any facet counts requested in the options of the query. When a limit or offset is
+     * given only the requested page of results is returned.
+     *
+     * @typedef {lunr.Index~Result[]} lunr.Index.Results
+     * @property {number} total - The number of matching documents, including those outside of the page.
+     * @property {object<string, lunr.Index~FacetCounts>} [facets] - The facet counts, by field name.
+     */
+    export interface Results extends Array<Result> {
+      total?: number
+      facets?: Record<string, FacetCounts>
+    }
+
+    /**
+     * An explanation of the score of a document for a query, see lunr.Index#explain.
+     *
+     * @typedef {object} lunr.Index~Explanation
+     * @property {string} ref - The ref of the document.
+     * @property {number} score - The score of the document, as returned by lunr.Index#query.
+     * @property {string} scoringModel - The name of the scoring model of the index.
+     * @property {lunr.Index~ClauseExplanation[]} clauses - The contribution of each clause of the query.
+     */
+    export interface Explanation {
+      ref: string
+      score: number
+      scoringModel: string
+      clauses: ClauseExplanation[]
+    }
+
+    /**
+     * The contribution of a clause of a query to the score of a document, which is the sum of
+     * the scores of its terms and geo distances, or of its clauses for a group.
+     *
+     * @typedef {object} lunr.Index~ClauseExplanation
+     * @property {string} [term] - The term of the clause in query syntax, unless the clause is a group.
+     * @property {string[]} fields - The fields the clause is matched against.
+     * @property {number} boost - The boost of the clause.
+     * @property {lunr.Query.presence} presence - The presence of the clause.
+     * @property {number} score - The contribution of the clause to the score.
+     * @property {lunr.Index~TermExplanation[]} [terms] - The terms the clause was expanded to that are in the document.
+     * @property {object[]} [distances] - The score of the document by its distance to a geo distance clause, by field.
+     * @property {lunr.Index~ClauseExplanation[]} [clauses] - The clauses of a group.
+     */
+    export interface ClauseExplanation {
+      term?: string
+      fields: string[]
+      boost: number
+      presence: lunr.Query.presence
+      score: number
+      terms?: TermExplanation[]
+      distances?: { field: string, score: number }[]
+      clauses?: ClauseExplanation[]
+    }
+
+    /**
+     * The contribution of a term, as found in the index, to the score of a document.
+     *
+     * @typedef {object} lunr.Index~TermExplanation
+     * @property {string} term - The term in the index.
+     * @property {number} score - The sum of the scores of the term in each field.
+     * @property {lunr.Index~FieldExplanation[]} fields - The contribution of the term in each field.
+     */
+    export interface TermExplanation {
+      term: string
+      score: number
+      fields: FieldExplanation[]
+    }
+
+    /**
+     * The contribution of a term in a field to the score of a document, which is
+     * `boost * weight * proximity / queryNorm`. The weight of the term in the field vector is
+     * calculated from the statistics of the term and the field by the scoring model, with BM25
+     * it is `idf * tf * (k1 + 1) / (tf + k1 * (1 - b + b * fieldLength / averageFieldLength)) * fieldBoost * documentBoost`,
+     * rounded to three decimal places. These statistics are only known for indexes created by
+     * lunr.Builder.
+     *
+     * @typedef {object} lunr.Index~FieldExplanation
+     * @property {string} field - The name of the field.
+     * @property {number} score - The contribution to the score.
+     * @property {number} boost - The boost of the clause, including the boosts of enclosing groups.
+     * @property {number} weight - The weight of the term in the field vector of the document.
+     * @property {number} queryNorm - The norm of the query vector of the field, see lunr.ScoringModel.
+     * @property {number} [proximity] - The weight of a sloppy phrase match.
+     * @property {number} [queryFieldBoost] - The boost of the field given by the clause and the options of the query.
+     * @property {number} [tieBreaker] - The weight of the field when fields are combined by their maximum and the field
+     * is not the best field of the document.
+     * @property {number} idf - The inverse document frequency of the term, see lunr.idf.
+     * @property {number} [tf] - The frequency of the term in the field.
+     * @property {number} [fieldLength] - The number of terms in the field.
+     * @property {number} [averageFieldLength] - The average number of terms in the field of all documents.
+     * @property {number} [b] - The field length normalization parameter.
+     * @property {number} [k1] - The term frequency saturation parameter.
+     * @property {number} [fieldBoost] - The boost of the field.
+     * @property {number} [documentBoost] - The boost of the document.
+     */
+    export interface FieldExplanation {
+      field: string
+      score: number
+      boost: number
+      weight: number
+      queryNorm: number
+      proximity?: number
+      queryFieldBoost?: number
+      tieBreaker?: number
+      idf: number
+      tf?: number
+      fieldLength?: number
+      averageFieldLength?: number
+      b?: number
+      k1?: number
+      fieldBoost?: number
+      documentBoost?: number
+    }
+
+    /**
+     * Options for the results of a query.
+     *
+     * @typedef {object} lunr.Index.QueryOptions
+     * @property {boolean|string[]|object<string, lunr.Index~FacetOptions>} [facets] - The facet fields to count the
+     * matching documents of, either `true` for all facet fields, the names of the fields, or the options for each field
+     * by field name.
+     * @property {lunr.Index~SortOptions[]} [sort] - The sortable fields to sort the results by instead of by score,
+     * later fields break ties of earlier fields and the score breaks any remaining ties.
+     * @property {number} [limit] - The maximum number of results to return.
+     * @property {number} [offset=0] - The number of results to skip, for returning later pages of results.
+     * @property {object<string, number>} [fieldBoosts] - Boosts to multiply the score of each field by, by field name,
+     * in addition to the boosts the fields were indexed with. Fields without a boost have a boost of 1. A field can
+     * also be boosted by a single clause of a query, e.g. `title^5:plant`.
+     * @property {"sum"|"max"} [combineFields="sum"] - How the scores of the fields of a document are combined into
+     * the score of the document. Either `sum`, adding the score of every matching field, or `max`, scoring documents by
+     * their best field, so that a strong match in one field is not outscored by weak matches in several fields.
+     * @property {number} [tieBreaker=0] - When combining fields by `max`, the weight between 0 and 1 that the scores of
+     * the other fields are added with.
+     * @property {boolean} [normalizeScores=false] - Whether to divide the scores by the score of the best result, so that
+     * the scores of a query are between 0 and 1, the best result scoring 1.
+     * @property {number} [minScore] - The score below which results are dropped, compared with the scores before they
+     * are normalized.
+     * @property {number} [minRelativeScore] - The fraction of the score of the best result, between 0 and 1, below which
+     * results are dropped.
+     * @example <caption>sorting by price, cheapest first</caption>
+     * idx.search("shoes", { sort: [{ field: "price", order: "asc" }] })
+     * @example <caption>the third page of ten results</caption>
+     * idx.search("shoes", { offset: 20, limit: 10 })
+     * @example <caption>scoring matches in the title five times higher than matches in the body</caption>
+     * idx.search("shoes", { fieldBoosts: { title: 5, body: 1 } })
+     * @example <caption>scoring documents by their best field, adding a tenth of the scores of the other fields</caption>
+     * idx.search("shoes", { combineFields: "max", tieBreaker: 0.1 })
+     * @example <caption>dropping results that score less than a quarter of the best result</caption>
+     * idx.search("shoes", { normalizeScores: true, minRelativeScore: 0.25 })
+     * @example <caption>counting the categories of matching documents and the documents priced up to, and from, 10</caption>
+     * idx.search("shoes", {
+     *   facets: {
+     *     category: {},
+     *     price: { ranges: [{ start: "*", end: 10 }, { start: 10, end: "*" }] }
+     *   }
+     * })
+     */
+    export interface QueryOptions {
+      facets?: boolean | string[] | Record<string, FacetOptions>
+      sort?: SortOptions[]
+      limit?: number
+      offset?: number
+      fieldBoosts?: Record<string, number>
+      combineFields?: "sum" | "max"
+      tieBreaker?: number
+      normalizeScores?: boolean
+      minScore?: number
+      minRelativeScore?: number
+    }
+
+    /**
+     * A field to sort the results of a query by.
+     *
+     * @typedef {object} lunr.Index.SortOptions
+     * @property {string} field - The name of a sortable field.
+     * @property {"asc"|"desc"} [order="asc"] - Whether the lowest or the highest values come first.
+     */
+    export interface SortOptions {
+      field: string
+      order?: "asc" | "desc"
+    }
+
+    /**
+     * Options for counting a facet field.
+     *
+     * @typedef {object} lunr.Index.FacetOptions
+     * @property {lunr.Query~RangeTerm[]} [ranges] - Buckets to count the documents of a number or date field in,
+     * each range includes its start and excludes its end, dates are given by their time in milliseconds since the
+     * epoch. Without ranges every value of the field is counted.
+     */
+    export interface FacetOptions {
+      ranges?: lunr.Query.RangeTerm[]
     }
 
+    /**
+     * The number of matching documents for each value of a facet field, or for each range
+     * of a number field by `start..end`, e.g. `*..10`. The values of string fields are those
+     * given in the documents, e.g. `Home & Garden`, the values of the other types of field
+     * are their terms. Values without matching documents are left out.
+     *
+     * @typedef {object<string, number>} lunr.Index.FacetCounts
+     */
+    export type FacetCounts = Record<string, number>
+
     /**
      * Although lunr provides the ability to create queries using lunr.Query, it also provides a simple
      * query language which itself is parsed into an instance of lunr.Query.
@@ -566,6 +2761,12 @@ namespace lunr {
      * hello in the title field will match this query. Using a field not present in the index will lead
      * to an error being thrown.
      *
+     * The value of a keyword field is matched as a whole, e.g. `tags:node-js` or `tags:"new york"`, without
+     * being split into terms or processed by the search pipeline.
+     *
+     * Boolean fields are matched with `true` or `false`, e.g. `+published:true`, they filter the results
+     * without contributing to the score. Unless a term names a boolean field it does not match boolean fields.
+     *
      * Modifiers can also be added to terms, lunr supports edit distance and boost modifiers on terms. A term
      * boost will make documents matching that term score higher, e.g. `foo^5`. Edit distance is also supported
      * to provide fuzzy matching, e.g. 'hello~2' will match documents with hello with an edit distance of 2.
@@ -577,6 +2778,27 @@ namespace lunr {
      * optionally contain 'bar'. Conversely a leading '-' sets the terms presence to prohibited, i.e. it must not
      * appear in a document, e.g. `-foo bar` is a search for documents that do not contain 'foo' but may contain 'bar'.
      *
+     * Terms surrounded by double quotes form a phrase, e.g. `"quick brown fox"`, which only matches documents
+     * where those terms appear next to each other, in the same order, within a single field. Phrases can be
+     * restricted to a field, boosted and given a presence modifier in the same way as terms. A slop allows
+     * the phrase terms to be further apart, e.g. `"search engine"~3` also matches documents where the terms
+     * are up to three positions away from their place in the phrase, closer matches score higher. Phrases
+     * are matched by the positions of their terms, which requires an index built with `index` in the builder's
+     * metadataWhitelist, in other indexes a phrase matches the documents that contain all of its terms.
+     *
+     * Clauses can be grouped with parentheses and combined with the boolean operators `AND`, `OR` and `NOT`,
+     * which must be written in upper case. `AND` requires the clauses on both sides, `NOT` prohibits the clause
+     * that follows it, and `OR`, like a space between clauses, leaves the clauses on both sides optional. `AND`
+     * binds tighter than `OR`, e.g. `a OR b AND c` matches documents containing 'a' or both 'b' and 'c'. Groups
+     * support presence modifiers and boosts in the same way as terms, e.g. `-(foo bar)` or `(foo bar)^10`.
+     *
+     * Number and date fields can be compared with `<`, `<=`, `>` and `>=`, e.g. `wordCount:>10`, or matched
+     * against a range, e.g. `wordCount:10..20`, which includes its start and excludes its end, either end can be
+     * left open with `*`. Dates are ISO-8601 dates or dates relative to now, e.g. `published:>=2024-01-01` or
+     * `published:>now-30d`. A date covers the whole of its least significant part, so `published:2024-01..2024-06`
+     * matches dates from the start of January up to the end of June and `published:>2024-01` dates after January.
+     * A date on its own matches the whole of its period, e.g. `published:2024-06` matches any date in June 2024.
+     *
      * To escape special characters the backslash character '\' can be used, this allows searches to include
      * characters that would normally be considered modifiers, e.g. `foo\~2` will search for a term "foo~2" instead
      * of attempting to apply a boost of 2 to the search term "foo".
@@ -594,6 +2816,14 @@ namespace lunr {
      * hello~2
      * @example <caption>terms with presence modifiers</caption>
      * -foo +bar baz
+     * @example <caption>phrase scoped to a field</caption>
+     * title:"quick brown fox"
+     * @example <caption>phrase with a slop of 3</caption>
+     * "search engine"~3
+     * @example <caption>grouped clauses with boolean operators</caption>
+     * (title:lunr OR title:elastic) AND NOT draft
+     * @example <caption>dates within the last 30 days</caption>
+     * published:>now-30d
      */
     export type QueryString = string
 
@@ -104,5 +104,59 @@ namespace lunr {
         }
       }
     }
+
+    /**
+     * A representation of the match data made of plain objects and arrays, which can be
+     * serialized as JSON or passed to a worker with postMessage, and loaded with
+     * lunr.MatchData.load.
+     *
+     * @returns {Object<string, Object<string, Object<string, Array>>>} The metadata, by term, field and metadata key.
+     */
+    toJSON (): MatchData.Serialized {
+      let serialized: MatchData.Serialized = {}
+
+      for (const term of Object.keys(this.metadata)) {
+        serialized[term] = {}
+
+        for (const field of Object.keys(this.metadata[term])) {
+          serialized[term][field] = {}
+
+          for (const key of Object.keys(this.metadata[term][field])) {
+            serialized[term][field][key] = this.metadata[term][field][key].slice()
+          }
+        }
+      }
+
+      return serialized
+    }
+
+    /**
+     * Loads match data serialized with lunr.MatchData#toJSON.
+     *
+     * @param {Object<string, Object<string, Object<string, Array>>>} serialized - The metadata, by term, field and metadata key.
+     * @returns {lunr.MatchData}
+     */
+    static load (serialized: MatchData.Serialized) {
+      let matchData = new MatchData
+
+      for (const term of Object.keys(serialized)) {
+        for (const field of Object.keys(serialized[term])) {
+          let metadata: Record<string, string[]> = Object.create(null)
+
+          for (const key of Object.keys(serialized[term][field])) {
+            metadata[key] = serialized[term][field][key].slice()
+          }
+
+          matchData.add(term, field, metadata)
+        }
+      }
+
+      return matchData
+    }
+  }
+
+  export namespace MatchData {
+    /** Serialized match data, see lunr.MatchData#toJSON. */
+    export type Serialized = Record<string, Record<string, Record<string, any[]>>>
   }
 }
@@ -0,0 +1,311 @@
+/*!
+ * lunr.MultiIndex
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.MultiIndex searches several indexes at once and returns a single list of results,
+   * each result is tagged with the name of the index it was found in.
+   *
+   * The scores of each index depend on the inverse document frequency of terms within that
+   * index, so a term that is rare in one index scores higher there than in an index where it
+   * is common. To make the scores of the indexes comparable the documents are scored with the
+   * document frequencies of all indexes combined, as if they were a single index. The field
+   * vectors of each index are rescaled when first searched, and again after any of the indexes
+   * has been updated.
+   *
+   * The indexes themselves are not changed and can still be searched on their own.
+   *
+   * @memberOf lunr
+   * @example <caption>searching the docs and the blog with a single search box</caption>
+   * var multiIndex = new lunr.MultiIndex({ docs: docsIdx, blog: blogIdx })
+   *
+   * multiIndex.search("plugins").map(function (result) {
+   *   return result.index + ": " + result.ref
+   * })
+   */
+  export class MultiIndex {
+    /** The indexes to search, by name. */
+    indexes: Record<string, lunr.Index>
+
+    /**
+     * The indexes that the scoring indexes were created from, and their versions at the time.
+     */
+    private _versions: Record<string, { index: lunr.Index, version: number }> = Object.create(null)
+
+    /**
+     * Copies of the indexes with field vectors scored by the combined document frequencies.
+     */
+    private _scoringIndexes: Record<string, lunr.Index> = Object.create(null)
+
+    /**
+     * @param {object<string, lunr.Index>} indexes - The indexes to search, by name.
+     */
+    constructor (indexes: Record<string, lunr.Index>) {
+      this.indexes = indexes
+    }
+
+    /**
+     * Performs a search against every index using lunr query syntax, see lunr.Index#search.
+     *
+     * @param {lunr.Index~QueryString} queryString - A string containing a lunr query.
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
+     * @throws {lunr.QueryParseError} If the passed query string cannot be parsed.
+     * @returns {lunr.MultiIndex~Results}
+     */
+    search (queryString: Index.QueryString, options: Index.QueryOptions = {}) {
+      return this.query(query => {
+        let parser = new lunr.QueryParser(queryString, query)
+        parser.parse()
+      }, options)
+    }
+
+    /**
+     * Performs a query against every index using the yielded lunr.Query object, see
+     * lunr.Index#query. The function is called once for each index, or twice when the scores
+     * are normalized or a minimum relative score is given, as the top score of all of the
+     * indexes is found first.
+     *
+     * The results of all indexes are sorted together, by score or by the requested sort
+     * fields, before the page of results is selected. Facet counts are the sum of the counts
+     * of each index.
+     *
+     * @param {lunr.Index~queryBuilder} fn - A function that is used to build the query.
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
+     * @returns {lunr.MultiIndex~Results}
+     * @throws {Error} If facets are requested for a field, results are sorted by a field, or a field is boosted, that an index does not support.
+     * @throws {Error} If the field combination is neither 'sum' nor 'max'.
+     * @throws {RangeError} If the limit or offset is not a non-negative integer, a field boost is not a non-negative number,
+     * the tie breaker is not a number between 0 and 1, the minimum score is not a number, or the minimum relative score
+     * is not a number between 0 and 1.
+     */
+    query (fn: Index.queryBuilder, options: Index.QueryOptions = {}) {
+      lunr.Index.checkPageOptions(options)
+      lunr.Index.checkScoreOptions(options)
+
+      let scoringIndexes = this.scoringIndexes(),
+          sort = options.sort || [],
+          offset = options.offset || 0,
+          results: MultiIndex.Results = [],
+          total = 0,
+          facets: Record<string, Index.FacetCounts> | undefined,
+          topScore: number | undefined
+
+      /*
+      * Normalizing the scores, or a minimum score relative to the top
+      * score, needs the top score of all of the indexes, which is found
+      * by first querying each index for its best result alone.
+      */
+      if (options.normalizeScores || options.minRelativeScore !== undefined) {
+        topScore = 0
+
+        for (const name of Object.keys(scoringIndexes)) {
+          let best = scoringIndexes[name].query(fn, {
+            fieldBoosts: options.fieldBoosts,
+            combineFields: options.combineFields,
+            tieBreaker: options.tieBreaker,
+            limit: 1
+          })
+
+          if (best.length > 0) {
+            topScore = Math.max(topScore, best[0].score)
+          }
+        }
+      }
+
+      /*
+      * Each index only has to return the results up to the end of the
+      * requested page, the page is then selected from all of them.
+      */
+      let indexOptions: Index.QueryOptions = {
+        facets: options.facets,
+        sort: options.sort,
+        fieldBoosts: options.fieldBoosts,
+        combineFields: options.combineFields,
+        tieBreaker: options.tieBreaker,
+        minScore: lunr.Index.minScore(options, topScore),
+        limit: options.limit !== undefined ? offset + options.limit : undefined
+      }
+
+      for (const name of Object.keys(scoringIndexes)) {
+        let indexResults = scoringIndexes[name].query(fn, indexOptions)
+
+        for (const result of indexResults) {
+          let multiResult = result as MultiIndex.Result
+          multiResult.index = name
+          results.push(multiResult)
+        }
+
+        total += indexResults.total || 0
+
+        if (indexResults.facets) {
+          facets = MultiIndex.addFacetCounts(facets || Object.create(null), indexResults.facets)
+        }
+      }
+
+      let compare = lunr.Index.sortComparator(sort, (result: MultiIndex.Result, i) => {
+        return scoringIndexes[result.index].docValues[sort[i].field][result.ref]
+      })
+
+      let page: MultiIndex.Results = results
+        .sort(compare)
+        .slice(offset, options.limit !== undefined ? offset + options.limit : undefined)
+
+      if (options.normalizeScores && topScore! > 0) {
+        for (const result of page) {
+          result.score /= topScore!
+        }
+      }
+
+      page.total = total
+
+      if (facets) {
+        page.facets = facets
+      }
+
+      return page
+    }
+
+    /**
+     * Finds the copies of the indexes used for scoring, creating them again when the
+     * indexes have changed since they were created.
+     *
+     * @private
+     */
+    private scoringIndexes () {
+      let names = Object.keys(this.indexes),
+          current = names.length == Object.keys(this._scoringIndexes).length && names.every(name => {
+            let created = this._versions[name],
+                index = this.indexes[name]
+
+            return created !== undefined && created.index === index && created.version == index.version
+          })
+
+      if (!current) {
+        this._versions = Object.create(null)
+        this._scoringIndexes = MultiIndex.createScoringIndexes(this.indexes)
+
+        for (const name of names) {
+          this._versions[name] = { index: this.indexes[name], version: this.indexes[name].version }
+        }
+      }
+
+      return this._scoringIndexes
+    }
+
+    /**
+     * Creates a copy of each index with field vectors rescaled from the inverse document
+     * frequencies of the index to those of all of the indexes combined.
+     *
+     * @private
+     * @param {object<string, lunr.Index>} indexes - The indexes to copy, by name.
+     * @returns {object<string, lunr.Index>}
+     */
+    private static createScoringIndexes (indexes: Record<string, lunr.Index>) {
+      let names = Object.keys(indexes),
+          documentCounts: Record<string, number> = Object.create(null),
+          documentsWithTerm: Record<string, number> = Object.create(null),
+          totalDocumentCount = 0,
+          scoringIndexes: Record<string, lunr.Index> = Object.create(null)
+
+      for (const name of names) {
+        let invertedIndex = indexes[name].invertedIndex,
+            docRefs: Record<string, true> = Object.create(null)
+
+        for (const fieldRef of Object.keys(indexes[name].fieldVectors)) {
+          docRefs[lunr.FieldRef.fromString(fieldRef).docRef] = true
+        }
+
+        documentCounts[name] = Object.keys(docRefs).length
+        totalDocumentCount += documentCounts[name]
+
+        for (const term of Object.keys(invertedIndex)) {
+          documentsWithTerm[term] = (documentsWithTerm[term] || 0) + lunr.documentsWithTerm(invertedIndex[term])
+        }
+      }
+
+      for (const name of names) {
+        let index = indexes[name],
+            scales: Record<number, number> = Object.create(null),
+            fieldVectors: Record<string, lunr.Vector> = Object.create(null)
+
+        for (const term of Object.keys(index.invertedIndex)) {
+          let posting = index.invertedIndex[term]
+
+          scales[posting._index] = lunr.idf(documentsWithTerm[term], totalDocumentCount) /
+            lunr.idf(posting, documentCounts[name])
+        }
+
+        for (const fieldRef of Object.keys(index.fieldVectors)) {
+          let elements = index.fieldVectors[fieldRef].elements.slice()
+
+          for (let i = 0; i < elements.length; i += 2) {
+            elements[i + 1] *= scales[elements[i]]
+          }
+
+          fieldVectors[fieldRef] = new lunr.Vector(elements)
+        }
+
+        scoringIndexes[name] = new lunr.Index({
+          invertedIndex: index.invertedIndex,
+          fieldVectors: fieldVectors,
+          tokenSet: index.tokenSet,
+          numberMap: index.numberMap,
+          geoMap: index.geoMap,
+          fields: index.fields,
+          fieldTypes: index.fieldTypes,
+          facetFields: index.facetFields,
+          documentStore: index.documentStore,
+          docValues: index.docValues,
+          facetValues: index.facetValues,
+          pipeline: index.pipeline,
+          indexingPipeline: index.indexingPipeline,
+          scoringModel: index.scoringModel
+        })
+      }
+
+      return scoringIndexes
+    }
+
+    /**
+     * @private
+     */
+    private static addFacetCounts (facets: Record<string, Index.FacetCounts>, counts: Record<string, Index.FacetCounts>) {
+      for (const field of Object.keys(counts)) {
+        let fieldCounts = facets[field] || (facets[field] = Object.create(null))
+
+        for (const key of Object.keys(counts[field])) {
+          fieldCounts[key] = (fieldCounts[key] || 0) + counts[field][key]
+        }
+      }
+
+      return facets
+    }
+  }
+
+  export namespace MultiIndex {
+    /**
+     * A result of a lunr.MultiIndex, a lunr.Index~Result tagged with the index it was found in.
+     *
+     * @typedef {lunr.Index~Result} lunr.MultiIndex~Result
+     * @property {string} index - The name of the index the document was found in.
+     */
+    export interface Result extends Index.Result {
+      index: string
+    }
+
+    /**
+     * The results of a query against several indexes, see lunr.Index~Results.
+     *
+     * @typedef {lunr.MultiIndex~Result[]} lunr.MultiIndex~Results
+     * @property {number} total - The number of matching documents of all indexes, including those outside of the page.
+     * @property {object<string, lunr.Index~FacetCounts>} [facets] - The facet counts of all indexes, by field name.
+     */
+    export interface Results extends Array<Result> {
+      total?: number
+      facets?: Record<string, Index.FacetCounts>
+    }
+  }
+}
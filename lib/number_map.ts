@@ -10,22 +10,30 @@ namespace lunr {
       this.entries = entries
     }
 
+    /**
+     * Finds the tokens of the numbers that compare to `comparand` as required by `comparator`.
+     * The comparand does not need to be in the map, numbers either side of it are compared to it.
+     *
+     * @param {lunr.Query.comparator} comparator - How the numbers must compare to the comparand.
+     * @param {number} comparand - The number to compare to.
+     * @returns {lunr.TokenSet}
+     */
     matchComparator (comparator: lunr.Query.comparator, comparand: number) {
       let index = this.binarySearch(comparand),
           startIndex = 0,
           endIndex = this.entries.length
       switch (comparator) {
         case lunr.Query.comparator.GREATERTHAN:
-          startIndex = (index < 0 ? ~index : index) + 1
+          startIndex = index < 0 ? ~index : index + 1
           break
         case lunr.Query.comparator.GREATERTHAN_EQUALS:
-          startIndex = index < 0 ? ~index + 1 : index
+          startIndex = index < 0 ? ~index : index
           break
         case lunr.Query.comparator.LESSTHAN:
-          endIndex = index < 0 ? ~index + 1 : index
+          endIndex = index < 0 ? ~index : index
           break
         case lunr.Query.comparator.LESSTHAN_EQUALS:
-          endIndex = (index < 0 ? ~index : index) + 1
+          endIndex = index < 0 ? ~index : index + 1
           break
         default:
           endIndex = 0
@@ -34,10 +42,17 @@ namespace lunr {
       return this.collectTokens(startIndex, endIndex)
     }
 
+    /**
+     * Finds the tokens of the numbers from `start`, inclusive, up to `end`, exclusive.
+     *
+     * @param {"*" | number} start - The start of the range, `"*"` leaves it unbounded.
+     * @param {"*" | number} end - The end of the range, `"*"` leaves it unbounded.
+     * @returns {lunr.TokenSet}
+     */
     matchRange (start: "*" | number, end: "*" | number) {
       let startIndex = start == "*" ? 0 : this.binarySearch(start)
       if (startIndex < 0) {
-        startIndex = ~startIndex + 1
+        startIndex = ~startIndex
       }
 
       let endIndex = end == "*" ? this.entries.length : this.binarySearch(end)
@@ -48,6 +63,44 @@ namespace lunr {
       return this.collectTokens(startIndex, endIndex)
     }
 
+    /**
+     * Adds the token of a number to the map, in place.
+     *
+     * @param {number} value - The number.
+     * @param {string} token - The token the number is indexed by.
+     */
+    insert (value: number, token: string) {
+      let index = this.binarySearch(value)
+
+      if (index >= 0) {
+        this.entries[index].tokens.push(token)
+      } else {
+        this.entries.splice(~index, 0, { value, tokens: [token] })
+      }
+    }
+
+    /**
+     * Removes the token of a number from the map, in place.
+     *
+     * @param {number} value - The number.
+     * @param {string} token - The token the number is indexed by.
+     */
+    remove (value: number, token: string) {
+      let index = this.binarySearch(value)
+
+      if (index < 0) {
+        return
+      }
+
+      let entry = this.entries[index]
+
+      entry.tokens = entry.tokens.filter(t => t != token)
+
+      if (entry.tokens.length == 0) {
+        this.entries.splice(index, 1)
+      }
+    }
+
     private collectTokens (startIndex: number, endIndex: number) {
       let result: string[] = []
       if (startIndex < this.entries.length && endIndex > 0) {
@@ -68,6 +121,26 @@ namespace lunr {
       return lunr.utils.binarySearchKey(this.entries, value, NumberMap.selectValue, lunr.utils.compareNumbers, 1)
     }
 
+    /**
+     * A JSON serializable representation of the number map, which can be loaded with
+     * lunr.NumberMap.load. Each entry is represented by its number and its tokens.
+     *
+     * @returns {Array<Array<(number|string[])>>}
+     */
+    toJSON (): NumberMap.Serialized {
+      return this.entries.map((entry): [number, string[]] => [entry.value, entry.tokens])
+    }
+
+    /**
+     * Loads a number map serialized with lunr.NumberMap#toJSON.
+     *
+     * @param {Array<Array<(number|string[])>>} serialized - The serialized entries of the number map.
+     * @returns {lunr.NumberMap}
+     */
+    static load (serialized: NumberMap.Serialized) {
+      return new NumberMap(serialized.map(([value, tokens]) => ({ value, tokens })))
+    }
+
     static fromInvertedIndex (invertedIndex: lunr.Index.InvertedIndex) {
       const numbersBuilder = new NumberMap.Builder()
       for (const term of Object.keys(invertedIndex)) {
@@ -85,5 +158,8 @@ namespace lunr {
       value: number
       tokens: string[]
     }
+
+    /** The entries of a serialized number map, see lunr.NumberMap#toJSON. */
+    export type Serialized = [number, string[]][]
   }
 }
\ No newline at end of file
@@ -17,17 +17,20 @@ namespace lunr {
     /** An array of all field types in a lunr.Index */
     allFieldTypes?: Builder.FieldType[]
     numberMap?: NumberMap
+    geoMap?: GeoMap
 
     /**
      * @param {string[]} allFields An array of all available fields in a lunr.Index
-     * @param {Array<"string" | "number">} [allFieldTypes] An array of all field types in a lunr.Index
+     * @param {Array<"string" | "number" | "date" | "keyword" | "boolean" | "geo">} [allFieldTypes] An array of all field types in a lunr.Index
      * @param {lunr.NumberMap} [numberMap]
+     * @param {lunr.GeoMap} [geoMap]
      */
-    constructor (allFields: string[], allFieldTypes?: Builder.FieldType[], numberMap?: NumberMap) {
+    constructor (allFields: string[], allFieldTypes?: Builder.FieldType[], numberMap?: NumberMap, geoMap?: GeoMap) {
       this.clauses = []
       this.allFields = allFields
       this.allFieldTypes = allFieldTypes
       this.numberMap = numberMap
+      this.geoMap = geoMap
     }
 
     /**
@@ -41,20 +44,25 @@ namespace lunr {
      */
     clause (clause: Query.Clause) {
       if (!('fields' in clause)) {
-        if (typeof clause.term === "object") {
-          const numberFields: string[] = []
-          const numberTypes: Builder.FieldType[] = []
+        if (Query.isNumberTerm(clause.term) || Query.isGeoTerm(clause.term)) {
+          const termTypes: Builder.FieldType[] = Query.isGeoTerm(clause.term) ? ["geo"] : ["number", "date"]
+          const termFields: string[] = []
+          const termFieldTypes: Builder.FieldType[] = []
           if (this.allFieldTypes) {
             for (let i = 0; i < this.allFields.length; i++) {
               const type = this.allFieldTypes[i]
-              if (type === "number") {
-                numberFields.push(this.allFields[i])
-                numberTypes.push("number")
+              if (termTypes.indexOf(type) != -1) {
+                termFields.push(this.allFields[i])
+                termFieldTypes.push(type)
               }
             }
           }
-          clause.fields = numberFields
-          clause.fieldTypes = numberTypes
+          clause.fields = termFields
+          clause.fieldTypes = termFieldTypes
+        } else if (this.allFieldTypes && (this.allFieldTypes.indexOf("boolean") != -1 || this.allFieldTypes.indexOf("geo") != -1)) {
+          // boolean fields are only matched when a clause names them, geo fields only by geo clauses
+          clause.fields = this.allFields.filter((_, i) => this.allFieldTypes![i] !== "boolean" && this.allFieldTypes![i] !== "geo")
+          clause.fieldTypes = this.allFieldTypes.filter(type => type !== "boolean" && type !== "geo")
         } else {
           clause.fields = this.allFields
           clause.fieldTypes = this.allFieldTypes
@@ -73,10 +81,14 @@ namespace lunr {
         clause.wildcard = Query.wildcard.NONE
       }
 
-      if (!('numberMap' in clause) && typeof clause.term === "object") {
+      if (!('numberMap' in clause) && Query.isNumberTerm(clause.term)) {
         clause.numberMap = this.numberMap
       }
 
+      if (!('geoMap' in clause) && Query.isGeoTerm(clause.term)) {
+        clause.geoMap = this.geoMap
+      }
+
       if (clause.wildcard && (clause.wildcard & Query.wildcard.LEADING) && typeof clause.term === "string" && (clause.term.charAt(0) != Query.wildcardChar)) {
         clause.term = "*" + clause.term
       }
@@ -97,7 +109,8 @@ namespace lunr {
     /**
      * A negated query is one in which every clause has a presence of
      * prohibited. These queries require some special processing to return
-     * the expected results.
+     * the expected results. A query without any clauses is also negated,
+     * and so matches every document.
      *
      * @returns boolean
      */
@@ -119,7 +132,8 @@ namespace lunr {
      * to a token or token-like string should be done before calling this method.
      *
      * The term will be converted to a string by calling `toString`. Multiple terms can be passed as an
-     * array, each term in the array will share the same options.
+     * array, each term in the array will share the same options. Boolean fields are matched by the
+     * terms `true` and `false`, or the booleans themselves.
      *
      * @param {object|object[]} term The term(s) to add to the query.
      * @param {object} [options] Any additional properties to add to the query clause.
@@ -136,8 +150,10 @@ namespace lunr {
      * })
      * @example <caption>using lunr.tokenizer to convert a string to tokens before using them as terms</caption>
      * query.term(lunr.tokenizer("foo bar"))
+     * @example <caption>filtering documents by a boolean field</caption>
+     * query.term(true, { fields: ["published"], presence: lunr.Query.presence.REQUIRED })
      */
-    term (term: string | object | (string | object)[], options: Partial<Query.Clause> = {}) {
+    term (term: string | boolean | object | (string | boolean | object)[], options: Partial<Query.Clause> = {}) {
       if (Array.isArray(term)) {
         term.forEach((t) => { this.term(t, lunr.utils.clone(options)) })
         return this
@@ -151,10 +167,91 @@ namespace lunr {
       return this
     }
 
+    /**
+     * Adds a phrase to the current query, under the covers this will create a {@link lunr.Query~Clause}
+     * to the list of clauses that make up this query.
+     *
+     * A phrase only matches documents where all of its terms appear next to each other, in the same
+     * order, within a single field. Each term is passed through the search pipeline, stop words and
+     * terms that are removed by the pipeline still take up a position in the phrase but may be matched
+     * by any term in a document. A phrase with any other term that does not appear anywhere in the
+     * index matches no documents.
+     *
+     * A slop can be set on the clause to also match documents where the phrase terms are close to, but
+     * not exactly at, their positions in the phrase. The distance of a match is the number of positions
+     * the terms have to be moved to form the exact phrase, where swapping two adjacent terms counts as
+     * two moves. Matches with a smaller distance score higher.
+     *
+     * Phrase matching relies on the position of every term within a field, so the index must have
+     * been built with `index` in the {@link lunr.Builder#metadataWhitelist}. Without positions a
+     * phrase matches the documents that contain all of its terms.
+     *
+     * @param {object[]} terms The terms that make up the phrase, in order.
+     * @param {object} [options] Any additional properties to add to the query clause.
+     * @returns {lunr.Query}
+     * @see lunr.Query#clause
+     * @see lunr.Query~Clause
+     * @example <caption>adding a phrase to a query and specifying search fields</caption>
+     * query.phrase(["quick", "brown", "fox"], {
+     *   fields: ["title"]
+     * })
+     * @example <caption>adding a phrase whose terms may be up to 2 positions away from their place in the phrase</caption>
+     * query.phrase(["search", "engine"], { slop: 2 })
+     */
+    phrase (terms: (string | object)[], options: Partial<Query.Clause> = {}) {
+      this.clause({
+        ...options,
+        term: { terms: terms.map(t => t.toString()) }
+      })
+
+      return this
+    }
+
+    /**
+     * Adds a group of clauses to the current query, under the covers this will create a {@link lunr.Query~Clause}
+     * whose term is a nested lunr.Query.
+     *
+     * The nested query is yielded to the supplied function to add the clauses of the group. The presence
+     * of the clauses within a group is evaluated against the group only, the group itself then has a
+     * presence within the current query. A group matches a document if the document contains every
+     * required clause of the group, or at least one optional clause if the group has no required clauses,
+     * and does not contain any prohibited clause. A group of only prohibited clauses matches every document
+     * that contains none of them.
+     *
+     * The boost of the group is applied to every clause within it.
+     *
+     * @param {lunr.Index~queryBuilder} fn A function that is used to build the nested query.
+     * @param {object} [options] Any additional properties to add to the query clause.
+     * @returns {lunr.Query}
+     * @see lunr.Query#clause
+     * @see lunr.Query~Clause
+     * @example <caption>documents that must contain either 'lunr' or 'elastic' in the title</caption>
+     * query.group(function (q) {
+     *   q.term("lunr", { fields: ["title"] })
+     *   q.term("elastic", { fields: ["title"] })
+     * }, {
+     *   presence: lunr.Query.presence.REQUIRED
+     * })
+     */
+    group (fn: (this: Query, query: Query) => void, options: Partial<Query.Clause> = {}) {
+      let query = new Query(this.allFields, this.allFieldTypes, this.numberMap, this.geoMap)
+
+      fn.call(query, query)
+
+      this.clause({
+        ...options,
+        term: query
+      })
+
+      return this
+    }
+
     /**
      * Adds a comparator term to the current query, under the covers this will create a {@link lunr.Query~Clause}
      * to the list of clauses that make up this query.
      *
+     * Dates are compared by their time in milliseconds since the epoch.
+     *
      * @param {lunr.Query.comparator} comparator The relational operator.
      * @param {number} comparand The comparand.
      * @param {object} [options] Any additional properties to add to the query clause.
@@ -179,6 +276,8 @@ namespace lunr {
      * Adds a range term to the current query, under the covers this will create a {@link lunr.Query~Clause}
      * to the list of clauses that make up this query.
      *
+     * Ranges of dates are given by their times in milliseconds since the epoch.
+     *
      * @param {"*" | number} start The starting point of the range.
      * @param {"*" | number} end The ending point of the range.
      * @param {object} [options] Any additional properties to add to the query clause.
@@ -198,6 +297,61 @@ namespace lunr {
 
       return this
     }
+
+    /**
+     * Adds a geo distance term to the current query, under the covers this will create a {@link lunr.Query~Clause}
+     * to the list of clauses that make up this query.
+     *
+     * The clause matches the documents with a point of a geo field within the distance of the point. It only
+     * filters documents, unless the decay option of the clause is set, then nearer matches score higher: a match
+     * contributes the boost of the clause at the point, halving with each decay distance further away.
+     *
+     * @param {lunr.GeoMap~Point} point The point to measure the distance from.
+     * @param {number} distance The distance, in kilometres.
+     * @param {object} [options] Any additional properties to add to the query clause.
+     * @returns {lunr.Query}
+     * @see lunr.Query#clause
+     * @see lunr.Query~Clause
+     * @example <caption>stores within 10km of a point, scoring nearer stores higher</caption>
+     * query.geoDistance({ lat: 51.5, lon: -0.12 }, 10, {
+     *   fields: ["location"],
+     *   decay: 2
+     * })
+     */
+    geoDistance (point: GeoMap.Point, distance: number, options: Partial<Query.Clause> = {}) {
+      this.clause({
+        ...options,
+        term: { point, distance }
+      })
+
+      return this
+    }
+
+    /**
+     * Adds a geo bounding box term to the current query, under the covers this will create a {@link lunr.Query~Clause}
+     * to the list of clauses that make up this query.
+     *
+     * The clause matches the documents with a point of a geo field within the bounding box, it only filters
+     * documents without contributing to their score.
+     *
+     * @param {lunr.GeoMap~BoundingBox} box The bounding box, its left edge is east of its right edge when it crosses the antimeridian.
+     * @param {object} [options] Any additional properties to add to the query clause.
+     * @returns {lunr.Query}
+     * @see lunr.Query#clause
+     * @see lunr.Query~Clause
+     * @example <caption>stores within a bounding box</caption>
+     * query.geoBoundingBox({ top: 51.7, left: -0.5, bottom: 51.3, right: 0.3 }, {
+     *   fields: ["location"]
+     * })
+     */
+    geoBoundingBox (box: GeoMap.BoundingBox, options: Partial<Query.Clause> = {}) {
+      this.clause({
+        ...options,
+        term: { top: box.top, left: box.left, bottom: box.bottom, right: box.right }
+      })
+
+      return this
+    }
   }
 
   export namespace Query {
@@ -310,10 +464,21 @@ namespace lunr {
       /** The types of the fields in the index. */
       fieldTypes?: Builder.FieldType[]
       numberMap?: NumberMap
+      geoMap?: GeoMap
       /** Any boost that should be applied when matching this clause. */
       boost?: number
+      /**
+       * Boosts of the fields the clause is matched against, by field name, applied to the
+       * score of a field in addition to the boost of the clause. Fields without a boost have
+       * a boost of 1. The boosts of a group do not apply to its clauses.
+       */
+      fieldBoosts?: Record<string, number>
       /** Whether the term should have fuzzy matching applied, and how fuzzy the match should be. */
       editDistance?: number
+      /** How far apart the terms of a phrase may be from their positions in the phrase. */
+      slop?: number
+      /** The distance, in kilometres, over which the score of a geo distance match halves. */
+      decay?: number
       /** Whether the term should be passed through the search pipeline. */
       usePipeline?: boolean
       /** Whether the term should have wildcards appended or prepended. */
@@ -335,7 +500,46 @@ namespace lunr {
       end: "*" | number
     }
 
-    export type Term = string | ComparatorTerm | RangeTerm
+    /** A term used to find the points within a distance, in kilometres, of a point. */
+    export interface GeoDistanceTerm {
+      point: GeoMap.Point
+      distance: number
+    }
+
+    /** A term used to find the points within a bounding box. */
+    export type GeoBoundingBoxTerm = GeoMap.BoundingBox
+
+    /** A term used to find a sequence of adjacent terms within a field. */
+    export interface PhraseTerm {
+      terms: string[]
+    }
+
+    /** A group of clauses, matched as a whole. */
+    export type GroupTerm = Query
+
+    export type Term = string | ComparatorTerm | RangeTerm | GeoDistanceTerm | GeoBoundingBoxTerm | PhraseTerm | GroupTerm
+
+    /**
+     * Whether a term is matched against number and date fields.
+     *
+     * @private
+     * @param {lunr.Query~Term} term The term of a clause.
+     * @returns {boolean}
+     */
+    export const isNumberTerm = function (term: Term): term is ComparatorTerm | RangeTerm {
+      return typeof term === "object" && ("comparator" in term || "start" in term)
+    }
+
+    /**
+     * Whether a term is matched against geo fields.
+     *
+     * @private
+     * @param {lunr.Query~Term} term The term of a clause.
+     * @returns {boolean}
+     */
+    export const isGeoTerm = function (term: Term): term is GeoDistanceTerm | GeoBoundingBoxTerm {
+      return typeof term === "object" && ("distance" in term || "top" in term)
+    }
   }
 }
 
@@ -345,10 +549,13 @@ namespace lunr {
  *
  * @typedef lunr.Query~Clause
  * @property {string[]} fields - The fields in an index this clause should be matched against.
- * @property {Array<"string" | "number">} [fieldTypes]
+ * @property {Array<"string" | "number" | "date" | "keyword" | "boolean" | "geo">} [fieldTypes]
  * @property {lunr.NumberMap} [numberMap]
+ * @property {lunr.GeoMap} [geoMap]
  * @property {number} [boost=1] - Any boost that should be applied when matching this clause.
  * @property {number} [editDistance] - Whether the term should have fuzzy matching applied, and how fuzzy the match should be.
+ * @property {number} [slop=0] - How far apart the terms of a phrase may be from their positions in the phrase.
+ * @property {number} [decay] - The distance, in kilometres, over which the score of a geo distance match halves, geo clauses only filter documents without it.
  * @property {boolean} [usePipeline] - Whether the term should be passed through the search pipeline.
  * @property {number} [wildcard=lunr.Query.wildcard.NONE] - Whether the term should have wildcards appended or prepended.
  * @property {number} [presence=lunr.Query.presence.OPTIONAL] - The terms presence in any matching documents.
@@ -371,8 +578,35 @@ namespace lunr {
  * @property {"*" | number} end - The end of the range. A value of `"*"` indicates the end is unbounded.
  */
 
+/**
+ * A term used to find the points within a distance of a point.
+ *
+ * @typedef lunr.Query~GeoDistanceTerm
+ * @property {lunr.GeoMap~Point} point - The point to measure the distance from.
+ * @property {number} distance - The distance, in kilometres.
+ */
+
+/**
+ * A term used to find the points within a bounding box.
+ *
+ * @typedef {lunr.GeoMap~BoundingBox} lunr.Query~GeoBoundingBoxTerm
+ */
+
+/**
+ * A term used to find a sequence of adjacent terms within a field.
+ *
+ * @typedef lunr.Query~PhraseTerm
+ * @property {string[]} terms - The terms that make up the phrase, in order.
+ */
+
+/**
+ * A group of clauses, matched as a whole.
+ *
+ * @typedef {lunr.Query} lunr.Query~GroupTerm
+ */
+
 /**
  * The term for a {@link lunr.Query~Clause}.
  *
- * @typedef {string | lunr.Query~ComparatorTerm | lunr.Query~RangeTerm} lunr.Query~Term
+ * @typedef {string | lunr.Query~ComparatorTerm | lunr.Query~RangeTerm | lunr.Query~GeoDistanceTerm | lunr.Query~GeoBoundingBoxTerm | lunr.Query~PhraseTerm | lunr.Query~GroupTerm} lunr.Query~Term
  */
\ No newline at end of file
@@ -4,6 +4,7 @@ namespace lunr {
     export type LexemeType =
       | "EOS"
       | "FIELD"
+      | "FIELD_BOOST"
       | "TERM"
       | "EDIT_DISTANCE"
       | "BOOST"
@@ -12,6 +13,11 @@ namespace lunr {
       | "COMPARAND"
       | "RANGE_START"
       | "RANGE_END"
+      | "PHRASE"
+      | "SLOP"
+      | "GROUP_START"
+      | "GROUP_END"
+      | "OPERATOR"
 
     export interface Lexeme {
       type: LexemeType;
@@ -24,6 +30,7 @@ namespace lunr {
   export class QueryLexer {
     static readonly EOS = "EOS"
     static readonly FIELD = "FIELD"
+    static readonly FIELD_BOOST = "FIELD_BOOST"
     static readonly TERM = "TERM"
     static readonly EDIT_DISTANCE = "EDIT_DISTANCE"
     static readonly BOOST = "BOOST"
@@ -32,6 +39,11 @@ namespace lunr {
     static readonly COMPARAND = "COMPARAND"
     static readonly RANGE_START = "RANGE_START"
     static readonly RANGE_END = "RANGE_END"
+    static readonly PHRASE = "PHRASE"
+    static readonly SLOP = "SLOP"
+    static readonly GROUP_START = "GROUP_START"
+    static readonly GROUP_END = "GROUP_END"
+    static readonly OPERATOR = "OPERATOR"
 
     // This matches the separator used when tokenising fields
     // within a document. These should match otherwise it is
@@ -46,16 +58,35 @@ namespace lunr {
     // string.
     static termSeparator = lunr.tokenizer.separator
 
+    // Dates, e.g. 2024-01-31 or now-30d, contain characters that
+    // would otherwise end a term, so they are matched as a whole
+    // where a comparand or the start or end of a range is expected.
+    static datePattern = /^(?:now(?:[+-]\d+[smhdwMy])*|\d{4}-\d{2}(?:-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?)?)(?![0-9A-Za-z])/
+
+    // A boost directly followed by ":" boosts a field rather than
+    // a term, e.g. title^5:foo.
+    static fieldBoostPattern = /^\^\d+(?:\.\d+)?:/
+
     lexemes: QueryLexer.Lexeme[] = []
     str: string
     length: number
     pos = 0
     start = 0
     escapeCharPositions: number[] = []
+    literalQuotes = false
+    keywordFields: string[]
+    dateFields: string[]
 
-    constructor (str: string) {
+    /**
+     * @param {string} str - The query string to lex.
+     * @param {string[]} [keywordFields] - The names of keyword fields, whose values are lexed as a whole.
+     * @param {string[]} [dateFields] - The names of date fields, whose date values are lexed as a whole.
+     */
+    constructor (str: string, keywordFields: string[] = [], dateFields: string[] = []) {
       this.str = str
       this.length = str.length
+      this.keywordFields = keywordFields
+      this.dateFields = dateFields
     }
 
     run () {
@@ -136,6 +167,16 @@ namespace lunr {
       this.pos -= 1
     }
 
+    acceptDate () {
+      var match = QueryLexer.datePattern.exec(this.str.slice(this.pos))
+
+      if (match) {
+        this.pos += match[0].length
+      }
+
+      return match !== null
+    }
+
     acceptDigitRun () {
       var char, charCode
 
@@ -156,22 +197,77 @@ namespace lunr {
 
   type lexerState = (lexer: QueryLexer) => lexerState | void
 
+  // Upper case "AND", "OR" and "NOT" are boolean operators
+  // rather than terms, unless any of their characters have
+  // been escaped.
+  const emitTerm = (lexer: QueryLexer) => {
+    var str = lexer.str.slice(lexer.start, lexer.pos)
+
+    if (lexer.escapeCharPositions.length == 0 && (str == "AND" || str == "OR" || str == "NOT")) {
+      lexer.emit(QueryLexer.OPERATOR)
+    } else {
+      lexer.emit(QueryLexer.TERM)
+    }
+  }
+
   const lexField: lexerState = lexer => {
     lexer.backup()
     lexer.emit(QueryLexer.FIELD)
     lexer.ignore()
 
-    var char = lexer.peek()
+    return lexFieldValue
+  }
+
+  const lexFieldBoost: lexerState = lexer => {
+    lexer.ignore() // ^
+    lexer.acceptDigitRun()
+    if (lexer.peek() == ".") lexer.next()
+    lexer.acceptDigitRun()
+    lexer.emit(QueryLexer.FIELD_BOOST)
+    lexer.ignore() // :
+
+    return lexFieldValue
+  }
+
+  const lexFieldValue: lexerState = lexer => {
+    var char = lexer.peek(),
+        field = lexer.lexemes.filter(lexeme => lexeme.type == QueryLexer.FIELD).pop()!
+
+    // the value of a keyword field is a single term, unless it is quoted
+    if (lexer.keywordFields.indexOf(field.str) != -1 && char != '"') {
+      return lexKeyword
+    }
 
     // "<", "<=", ">", or ">=" indicates a relational operator
     if ((char == ">" || char == "<") && lexer.width() === 0) {
       lexer.next()
       if (lexer.peek() == "=") lexer.next()
       lexer.emit(QueryLexer.COMPARATOR)
-      lexer.acceptDigitRun()
-      if (lexer.peek() == ".") lexer.next()
-      lexer.acceptDigitRun()
+      if (!lexer.acceptDate()) {
+        lexer.acceptDigitRun()
+        if (lexer.peek() == ".") lexer.next()
+        lexer.acceptDigitRun()
+      }
       lexer.emit(QueryLexer.COMPARAND)
+    } else if (lexer.acceptDate()) {
+      // a date followed by ".." is the start of a range, while the
+      // value of a date field is a single date term, anything else is
+      // lexed as text
+      var nextChar = lexer.peek()
+
+      if (nextChar == "." && lexer.str.charAt(lexer.pos + 1) == ".") {
+        lexer.next()
+        return lexRange
+      }
+
+      if (lexer.dateFields.indexOf(field.str) != -1 &&
+          (nextChar == QueryLexer.EOS || nextChar == "^" || nextChar == "~" ||
+           nextChar == ")" || nextChar.match(QueryLexer.termSeparator))) {
+        lexer.emit(QueryLexer.TERM)
+        return lexText
+      }
+
+      lexer.pos = lexer.start
     }
 
     return lexText
@@ -186,6 +282,11 @@ namespace lunr {
     lexer.ignore() // .
     lexer.ignore() // .
 
+    if (lexer.acceptDate()) {
+      lexer.emit(QueryLexer.RANGE_END)
+      return lexText
+    }
+
     while (true) {
       var char = lexer.next()
 
@@ -198,6 +299,7 @@ namespace lunr {
 
       if (char == ":" || char == "~" || char == "^" || char == "+" || char == "-" ||
           char == "." && lexer.peek() == "." ||
+          char == ")" ||
           char.match(QueryLexer.termSeparator)) {
         lexer.backup()
         if (lexer.width() > 0) {
@@ -214,10 +316,42 @@ namespace lunr {
     }
   }
 
+  // A keyword runs until whitespace, a boost or an edit distance, so
+  // it can contain characters such as "-" that would otherwise end
+  // a term.
+  const lexKeyword: lexerState = lexer => {
+    while (true) {
+      var char = lexer.next()
+
+      if (char == QueryLexer.EOS) {
+        if (lexer.width() > 0) {
+          lexer.emit(QueryLexer.TERM)
+        }
+        return
+      }
+
+      // Escape character is '\'
+      if (char.charCodeAt(0) == 92) {
+        lexer.escapeCharacter()
+        continue
+      }
+
+      if (char == "^" || char == "~" ||
+          char == ")" ||
+          char.match(/\s/)) {
+        lexer.backup()
+        if (lexer.width() > 0) {
+          lexer.emit(QueryLexer.TERM)
+        }
+        return lexText
+      }
+    }
+  }
+
   const lexTerm: lexerState = lexer => {
     if (lexer.width() > 1) {
       lexer.backup()
-      lexer.emit(QueryLexer.TERM)
+      emitTerm(lexer)
     }
 
     lexer.ignore()
@@ -241,12 +375,80 @@ namespace lunr {
     return lexText
   }
 
+  const lexPhrase: lexerState = lexer => {
+    lexer.ignore() // "
+
+    while (true) {
+      var char = lexer.next()
+
+      // an unterminated quote does not start a phrase, the query is
+      // lexed again from the quote, which is then part of a term
+      if (char == QueryLexer.EOS) {
+        lexer.pos = lexer.start - 1
+        lexer.start = lexer.pos
+        lexer.escapeCharPositions.length = 0
+        lexer.literalQuotes = true
+        return lexText
+      }
+
+      // Escape character is '\'
+      if (char.charCodeAt(0) == 92) {
+        lexer.escapeCharacter()
+        continue
+      }
+
+      if (char == '"') {
+        lexer.backup()
+        lexer.emit(QueryLexer.PHRASE)
+        lexer.ignore() // "
+        return lexPhraseModifier
+      }
+    }
+  }
+
+  // A "~" directly following a phrase is the phrase slop rather
+  // than an edit distance, this holds even after a phrase boost.
+  const lexPhraseModifier: lexerState = lexer => {
+    var char = lexer.next()
+
+    if (char == "~") {
+      lexer.ignore()
+      lexer.acceptDigitRun()
+      lexer.emit(QueryLexer.SLOP)
+      return lexPhraseModifier
+    }
+
+    if (char == "^") {
+      lexer.ignore()
+      lexer.acceptDigitRun()
+      lexer.emit(QueryLexer.BOOST)
+      return lexPhraseModifier
+    }
+
+    if (char != QueryLexer.EOS) {
+      lexer.backup()
+    }
+
+    return lexText
+  }
+
   const lexEOS: lexerState = lexer => {
     if (lexer.width() > 0) {
-      lexer.emit(QueryLexer.TERM)
+      emitTerm(lexer)
     }
   }
 
+  const lexGroupEnd: lexerState = lexer => {
+    lexer.backup()
+    if (lexer.width() > 0) {
+      emitTerm(lexer)
+    }
+
+    lexer.next()
+    lexer.emit(QueryLexer.GROUP_END)
+    return lexText
+  }
+
   const lexText: lexerState = lexer => {
     while (true) {
       var char = lexer.next()
@@ -275,6 +477,10 @@ namespace lunr {
 
       if (char == "^") {
         lexer.backup()
+        if (lexer.width() > 0 && QueryLexer.fieldBoostPattern.test(lexer.str.slice(lexer.pos))) {
+          lexer.emit(QueryLexer.FIELD)
+          return lexFieldBoost
+        }
         if (lexer.width() > 0) {
           lexer.emit(QueryLexer.TERM)
         }
@@ -286,6 +492,23 @@ namespace lunr {
         return lexRange
       }
 
+      // a leading '"' starts a phrase
+      if (char == '"' && lexer.width() === 1 && !lexer.literalQuotes) {
+        return lexPhrase
+      }
+
+      // a leading "(" starts a group
+      if (char == "(" && lexer.width() === 1) {
+        lexer.emit(QueryLexer.GROUP_START)
+        return lexText
+      }
+
+      // ")" always ends a group, the parser reports one
+      // that has no group to close
+      if (char == ")") {
+        return lexGroupEnd
+      }
+
       // "+" indicates term presence is required
       // checking for length to ensure that only
       // leading "+" are considered
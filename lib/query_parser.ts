@@ -6,12 +6,21 @@ namespace lunr {
     currentClause: Partial<lunr.Query.Clause> = {}
     currentComparator?: Partial<lunr.Query.ComparatorTerm> = undefined
     currentRange?: Partial<lunr.Query.RangeTerm> = undefined
+    currentGroup: QueryParser.Group = { clause: {}, clauses: [], conjunctions: [] }
+    currentOperator?: string = undefined
 
     private lexemeIdx = 0
     private lexemes?: lunr.QueryLexer.Lexeme[]
 
     constructor (str: string, query: lunr.Query) {
-      this.lexer = new lunr.QueryLexer (str)
+      let keywordFields = query.allFields.filter((field, i) => {
+            return query.allFieldTypes !== undefined && query.allFieldTypes[i] === "keyword"
+          }),
+          dateFields = query.allFields.filter((field, i) => {
+            return query.allFieldTypes !== undefined && query.allFieldTypes[i] === "date"
+          })
+
+      this.lexer = new lunr.QueryLexer (str, keywordFields, dateFields)
       this.query = query
     }
 
@@ -24,6 +33,14 @@ namespace lunr {
         state = state(this)
       }
 
+      if (this.currentGroup.parent) {
+        let lexeme = this.currentGroup.lexeme!,
+            errorMessage = "unmatched '('"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+
+      this.finishGroup(this.currentGroup, this.query)
+
       return this.query
     }
 
@@ -39,10 +56,101 @@ namespace lunr {
 
     nextClause () {
       let completedClause = this.currentClause as lunr.Query.Clause
-      this.query.clause(completedClause)
+      this.currentGroup.clauses.push(completedClause)
+      this.currentGroup.conjunctions.push(this.currentOperator == "AND")
       this.currentClause = {}
       this.currentComparator = undefined
       this.currentRange = undefined
+      this.currentOperator = undefined
+    }
+
+    openGroup (lexeme: lunr.QueryLexer.Lexeme) {
+      this.currentGroup = {
+        parent: this.currentGroup,
+        clause: this.currentClause,
+        operator: this.currentOperator,
+        lexeme: lexeme,
+        clauses: [],
+        conjunctions: []
+      }
+
+      this.currentClause = {}
+      this.currentOperator = undefined
+    }
+
+    closeGroup () {
+      let group = this.currentGroup
+
+      if (group.clauses.length == 0) {
+        let errorMessage = "group must contain at least one clause"
+        throw new lunr.QueryParseError (errorMessage, group.lexeme!.start, group.lexeme!.end)
+      }
+
+      let query = new lunr.Query (this.query.allFields, this.query.allFieldTypes, this.query.numberMap, this.query.geoMap)
+      this.finishGroup(group, query)
+
+      this.currentGroup = group.parent!
+      this.currentClause = group.clause
+      this.currentClause.term = query
+      this.currentOperator = group.operator
+    }
+
+    /**
+     * Adds the parsed clauses of a group to a query.
+     *
+     * Clauses joined by AND form a conjunction, within which any clause without a presence
+     * modifier is required. When a group contains other clauses as well as a conjunction,
+     * the conjunction is nested in its own group so that it is optional as a whole.
+     *
+     * @private
+     * @param {lunr.QueryParser~Group} group - The parsed group.
+     * @param {lunr.Query} query - The query to add the clauses of the group to.
+     */
+    finishGroup (group: QueryParser.Group, query: lunr.Query) {
+      let conjunctions: lunr.Query.Clause[][] = []
+
+      group.clauses.forEach((clause, i) => {
+        if (group.conjunctions[i]) {
+          conjunctions[conjunctions.length - 1].push(clause)
+        } else {
+          conjunctions.push([clause])
+        }
+      })
+
+      for (const conjunction of conjunctions) {
+        if (conjunction.length > 1) {
+          for (const clause of conjunction) {
+            if (clause.presence === undefined) {
+              clause.presence = lunr.Query.presence.REQUIRED
+            }
+          }
+        }
+
+        if (conjunction.length > 1 && conjunctions.length > 1) {
+          query.group(q => {
+            conjunction.forEach(clause => { q.clause(clause) })
+          })
+        } else {
+          conjunction.forEach(clause => { query.clause(clause) })
+        }
+      }
+    }
+  }
+
+  export namespace QueryParser {
+    /** The clauses of the query, or of a group within it, while they are being parsed. */
+    export interface Group {
+      /** The group that contains this group. */
+      parent?: Group
+      /** The clause this group becomes within its parent. */
+      clause: Partial<lunr.Query.Clause>
+      /** The operator preceding this group within its parent. */
+      operator?: string
+      /** The lexeme that started this group. */
+      lexeme?: lunr.QueryLexer.Lexeme
+      clauses: lunr.Query.Clause[]
+      /** Whether each clause is joined to the clause before it by AND. */
+      conjunctions: boolean[]
     }
   }
 
@@ -62,6 +170,12 @@ namespace lunr {
         return parseField
       case lunr.QueryLexer.TERM:
         return parseTerm
+      case lunr.QueryLexer.PHRASE:
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        return parseGroupStart
+      case lunr.QueryLexer.OPERATOR:
+        return parseOperator
       default: {
         let errorMessage = "expected either a field or a term, found " + lexeme.type
 
@@ -106,6 +220,10 @@ namespace lunr {
         return parseField
       case lunr.QueryLexer.TERM:
         return parseTerm
+      case lunr.QueryLexer.PHRASE:
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        return parseGroupStart
       default: {
         let errorMessage = "expecting term or field, found '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -140,9 +258,52 @@ namespace lunr {
       throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
     }
 
+    switch (nextLexeme.type) {
+      case lunr.QueryLexer.FIELD_BOOST:
+        return parseFieldBoost
+      case lunr.QueryLexer.TERM:
+        return parseTerm
+      case lunr.QueryLexer.PHRASE:
+        return parsePhrase
+      case lunr.QueryLexer.RANGE_START:
+        return parseRangeStart
+      case lunr.QueryLexer.COMPARATOR:
+        return parseComparator
+      default: {
+        let errorMessage = "expecting term, found '" + nextLexeme.type + "'"
+        throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
+      }
+    }
+  }
+
+  const parseFieldBoost: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    let boost = parseFloat(lexeme.str)
+
+    if (!(isFinite(boost) && boost >= 0)) {
+      let errorMessage = "field boost must be a finite non-negative number"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    parser.currentClause.fieldBoosts = { [parser.currentClause.fields![0]]: boost }
+
+    let nextLexeme = parser.peekLexeme()
+
+    if (nextLexeme == undefined) {
+      let errorMessage = "expecting term or operator, found nothing"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
     switch (nextLexeme.type) {
       case lunr.QueryLexer.TERM:
         return parseTerm
+      case lunr.QueryLexer.PHRASE:
+        return parsePhrase
       case lunr.QueryLexer.RANGE_START:
         return parseRangeStart
       case lunr.QueryLexer.COMPARATOR:
@@ -154,6 +315,43 @@ namespace lunr {
     }
   }
 
+  // Whether the current clause only matches keyword fields, whose terms are
+  // matched exactly rather than being processed by the search pipeline.
+  const isKeywordClause = (parser: QueryParser) => {
+    let fieldTypes = parser.currentClause.fieldTypes
+    return fieldTypes !== undefined && fieldTypes.length > 0 && fieldTypes.every(fieldType => fieldType === "keyword")
+  }
+
+  // Whether the current clause only matches boolean fields, which can only
+  // be matched by the values true and false.
+  const isBooleanClause = (parser: QueryParser) => {
+    let fieldTypes = parser.currentClause.fieldTypes
+    return fieldTypes !== undefined && fieldTypes.length > 0 && fieldTypes.every(fieldType => fieldType === "boolean")
+  }
+
+  // Whether the values of the current clause are dates rather than numbers,
+  // the fields of a range or comparator have already been checked to be
+  // number or date fields.
+  const isDateClause = (parser: QueryParser) => {
+    let fieldTypes = parser.currentClause.fieldTypes
+    return fieldTypes !== undefined && fieldTypes.length > 0 && fieldTypes.every(fieldType => fieldType === "date")
+  }
+
+  // A date refers to a period of time, e.g. a whole day, so comparisons
+  // are made against the start or the end of its period; after a date
+  // is after the end of its period, while before a date is before its
+  // start.
+  const dateComparator = (comparator: lunr.Query.comparator, period: [number, number]): lunr.Query.ComparatorTerm => {
+    switch (comparator) {
+      case lunr.Query.comparator.GREATERTHAN:
+        return { comparator: lunr.Query.comparator.GREATERTHAN_EQUALS, comparand: period[1] }
+      case lunr.Query.comparator.LESSTHAN_EQUALS:
+        return { comparator: lunr.Query.comparator.LESSTHAN, comparand: period[1] }
+      default:
+        return { comparator, comparand: period[0] }
+    }
+  }
+
   const parseRangeStart: parserState = parser => {
     let lexeme = parser.consumeLexeme()
 
@@ -163,13 +361,13 @@ namespace lunr {
 
     if (parser.currentClause.fieldTypes) {
       for (const fieldType of parser.currentClause.fieldTypes) {
-        if (fieldType !== "number") {
-          let errorMessage = "ranges are only supported on fields of type 'number'"
+        if (fieldType !== "number" && fieldType !== "date") {
+          let errorMessage = "ranges are only supported on fields of type 'number' or 'date'"
           throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
         }
       }
     } else {
-      let errorMessage = "ranges are only supported on fields of type 'number'"
+      let errorMessage = "ranges are only supported on fields of type 'number' or 'date'"
       throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
     }
 
@@ -177,6 +375,13 @@ namespace lunr {
 
     if (lexeme.str == "*") {
       parser.currentRange.start = "*"
+    } else if (isDateClause(parser)) {
+      let period = lunr.utils.parseDate(lexeme.str)
+      if (period === undefined) {
+        let errorMessage = "range start must be a date or '*'"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+      parser.currentRange.start = period[0]
     } else {
       parser.currentRange.start = lunr.utils.parseNumber(lexeme.str)
       if (isNaN(parser.currentRange.start)) {
@@ -215,6 +420,14 @@ namespace lunr {
 
     if (lexeme.str == "*") {
       parser.currentRange.end = "*"
+    } else if (isDateClause(parser)) {
+      // the range includes the whole period of its end date
+      let period = lunr.utils.parseDate(lexeme.str)
+      if (period === undefined) {
+        let errorMessage = "range end must be a date or '*'"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+      parser.currentRange.end = period[1]
     } else {
       parser.currentRange.end = lunr.utils.parseNumber(lexeme.str)
       if (isNaN(parser.currentRange.end)) {
@@ -236,6 +449,15 @@ namespace lunr {
     switch (nextLexeme.type) {
       case lunr.QueryLexer.TERM:
         return parseTerm
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
       default: {
         let errorMessage = "expecting term, found '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -252,13 +474,13 @@ namespace lunr {
 
     if (parser.currentClause.fieldTypes) {
       for (const fieldType of parser.currentClause.fieldTypes) {
-        if (fieldType !== "number") {
-          let errorMessage = "comparators are only supported on fields of type 'number'"
+        if (fieldType !== "number" && fieldType !== "date") {
+          let errorMessage = "comparators are only supported on fields of type 'number' or 'date'"
           throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
         }
       }
     } else {
-      let errorMessage = "comparators are only supported on fields of type 'number'"
+      let errorMessage = "comparators are only supported on fields of type 'number' or 'date'"
       throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
     }
 
@@ -300,10 +522,19 @@ namespace lunr {
 
     if (!parser.currentComparator) throw new Error()
 
-    parser.currentComparator.comparand = lunr.utils.parseNumber(lexeme.str)
-    if (isNaN(parser.currentComparator.comparand)) {
-      let errorMessage = "comparand must be numeric"
-      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    if (isDateClause(parser)) {
+      let period = lunr.utils.parseDate(lexeme.str)
+      if (period === undefined) {
+        let errorMessage = "comparand must be a date"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+      parser.currentComparator = dateComparator(parser.currentComparator.comparator!, period)
+    } else {
+      parser.currentComparator.comparand = lunr.utils.parseNumber(lexeme.str)
+      if (isNaN(parser.currentComparator.comparand)) {
+        let errorMessage = "comparand must be numeric"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
     }
 
     parser.currentClause.term = parser.currentComparator as lunr.Query.ComparatorTerm
@@ -319,6 +550,15 @@ namespace lunr {
     switch (nextLexeme.type) {
       case lunr.QueryLexer.TERM:
         return parseTerm
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
       default: {
         let errorMessage = "expecting term, found '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -339,6 +579,28 @@ namespace lunr {
       parser.currentClause.usePipeline = false
     }
 
+    if (isKeywordClause(parser)) {
+      parser.currentClause.term = lunr.Builder.normalizeKeyword(lexeme.str)
+      parser.currentClause.usePipeline = false
+    }
+
+    if (isBooleanClause(parser) && lunr.Builder.booleanTerm(lexeme.str) === undefined) {
+      let errorMessage = "boolean fields can only be matched with 'true' or 'false', found '" + lexeme.str + "'"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    // a date matches the whole period it refers to, e.g. 2024-06 is
+    // the range of every time in June 2024
+    if (isDateClause(parser)) {
+      let period = lunr.utils.parseDate(lexeme.str)
+      if (period === undefined) {
+        let errorMessage = "date fields can only be matched with a date, found '" + lexeme.str + "'"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+      parser.currentClause.term = { start: period[0], end: period[1] }
+      parser.currentClause.usePipeline = false
+    }
+
     let nextLexeme = parser.peekLexeme()
 
     if (nextLexeme == undefined) {
@@ -360,6 +622,18 @@ namespace lunr {
       case lunr.QueryLexer.PRESENCE:
         parser.nextClause()
         return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
       default: {
         let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -367,6 +641,247 @@ namespace lunr {
     }
   }
 
+  const parsePhrase: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    let terms = lunr.tokenizer(lexeme.str, {}).map(token => token.str)
+
+    if (terms.length == 0) {
+      let errorMessage = "phrase must contain at least one term"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    // a quoted keyword may contain whitespace, it is matched as a whole
+    if (isKeywordClause(parser)) {
+      parser.currentClause.term = lunr.Builder.normalizeKeyword(lexeme.str)
+      parser.currentClause.usePipeline = false
+    } else {
+      parser.currentClause.term = { terms }
+    }
+
+    let nextLexeme = parser.peekLexeme()
+
+    if (nextLexeme == undefined) {
+      parser.nextClause()
+      return
+    }
+
+    switch (nextLexeme.type) {
+      case lunr.QueryLexer.TERM:
+        parser.nextClause()
+        return parseTerm
+      case lunr.QueryLexer.FIELD:
+        parser.nextClause()
+        return parseField
+      case lunr.QueryLexer.SLOP:
+        return parseSlop
+      case lunr.QueryLexer.BOOST:
+        return parseBoost
+      case lunr.QueryLexer.PRESENCE:
+        parser.nextClause()
+        return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
+      default: {
+        let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
+        throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
+      }
+    }
+  }
+
+  const parseSlop: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    let slop = parseInt(lexeme.str, 10)
+
+    if (isNaN(slop)) {
+      let errorMessage = "slop must be numeric"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    parser.currentClause.slop = slop
+
+    let nextLexeme = parser.peekLexeme()
+
+    if (nextLexeme == undefined) {
+      parser.nextClause()
+      return
+    }
+
+    switch (nextLexeme.type) {
+      case lunr.QueryLexer.TERM:
+        parser.nextClause()
+        return parseTerm
+      case lunr.QueryLexer.FIELD:
+        parser.nextClause()
+        return parseField
+      case lunr.QueryLexer.SLOP:
+        return parseSlop
+      case lunr.QueryLexer.BOOST:
+        return parseBoost
+      case lunr.QueryLexer.PRESENCE:
+        parser.nextClause()
+        return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
+      default: {
+        let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
+        throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
+      }
+    }
+  }
+
+  const parseGroupStart: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    parser.openGroup(lexeme)
+
+    return parseClause
+  }
+
+  const parseGroupEnd: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    if (parser.currentGroup.parent == undefined) {
+      let errorMessage = "unexpected ')' without a group to close"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    if (parser.currentOperator != undefined) {
+      let errorMessage = "expecting a clause after '" + parser.currentOperator + "', found ')'"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    parser.closeGroup()
+
+    let nextLexeme = parser.peekLexeme()
+
+    if (nextLexeme == undefined) {
+      parser.nextClause()
+      return
+    }
+
+    switch (nextLexeme.type) {
+      case lunr.QueryLexer.TERM:
+        parser.nextClause()
+        return parseTerm
+      case lunr.QueryLexer.FIELD:
+        parser.nextClause()
+        return parseField
+      case lunr.QueryLexer.BOOST:
+        return parseBoost
+      case lunr.QueryLexer.PRESENCE:
+        parser.nextClause()
+        return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
+      default: {
+        let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
+        throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
+      }
+    }
+  }
+
+  const parseOperator: parserState = parser => {
+    let lexeme = parser.consumeLexeme()
+
+    if (lexeme == undefined) {
+      return
+    }
+
+    switch (lexeme.str) {
+      case "AND":
+      case "OR":
+        if (parser.currentGroup.clauses.length == 0 || parser.currentOperator != undefined) {
+          let errorMessage = "expecting a clause before '" + lexeme.str + "'"
+          throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+        }
+
+        parser.currentOperator = lexeme.str
+        break
+      case "NOT":
+        parser.currentClause.presence = lunr.Query.presence.PROHIBITED
+        break
+      default: {
+        let errorMessage = "unrecognised operator '" + lexeme.str + "'"
+        throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+      }
+    }
+
+    let nextLexeme = parser.peekLexeme()
+
+    if (nextLexeme == undefined) {
+      let errorMessage = "expecting a clause after '" + lexeme.str + "', found nothing"
+      throw new lunr.QueryParseError (errorMessage, lexeme.start, lexeme.end)
+    }
+
+    switch (nextLexeme.type) {
+      case lunr.QueryLexer.FIELD:
+        return parseField
+      case lunr.QueryLexer.TERM:
+        return parseTerm
+      case lunr.QueryLexer.PHRASE:
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        return parseGroupStart
+      case lunr.QueryLexer.PRESENCE:
+        if (lexeme.str != "NOT") return parsePresence
+        break
+      case lunr.QueryLexer.OPERATOR:
+        if (lexeme.str != "NOT" && nextLexeme.str == "NOT") return parseOperator
+        break
+    }
+
+    let errorMessage = "expecting a clause after '" + lexeme.str + "', found '" + nextLexeme.type + "'"
+    throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
+  }
+
   const parseEditDistance: parserState = parser => {
     let lexeme = parser.consumeLexeme()
 
@@ -404,6 +919,18 @@ namespace lunr {
       case lunr.QueryLexer.PRESENCE:
         parser.nextClause()
         return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
       default: {
         let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -443,11 +970,25 @@ namespace lunr {
         return parseField
       case lunr.QueryLexer.EDIT_DISTANCE:
         return parseEditDistance
+      case lunr.QueryLexer.SLOP:
+        return parseSlop
       case lunr.QueryLexer.BOOST:
         return parseBoost
       case lunr.QueryLexer.PRESENCE:
         parser.nextClause()
         return parsePresence
+      case lunr.QueryLexer.PHRASE:
+        parser.nextClause()
+        return parsePhrase
+      case lunr.QueryLexer.GROUP_START:
+        parser.nextClause()
+        return parseGroupStart
+      case lunr.QueryLexer.GROUP_END:
+        parser.nextClause()
+        return parseGroupEnd
+      case lunr.QueryLexer.OPERATOR:
+        parser.nextClause()
+        return parseOperator
       default: {
         let errorMessage = "Unexpected lexeme type '" + nextLexeme.type + "'"
         throw new lunr.QueryParseError (errorMessage, nextLexeme.start, nextLexeme.end)
@@ -0,0 +1,236 @@
+/*!
+ * lunr.ScoringModel
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A scoring model decides how documents are scored against a query. When an index is built
+   * the model weighs each term of each document field, these weights make up the field vectors
+   * of the index. When searching the score of a document field is the dot product of the query
+   * vector of the field and the field vector, divided by the norm of the query vector given by
+   * the model.
+   *
+   * The model of an index is set with lunr.Builder#scoringModel, BM25 is used by default. The
+   * name of the model is recorded in serialized indexes, so the models of indexes that are
+   * serialized must be registered with lunr.ScoringModel.register, as the built in models are.
+   *
+   * The weights of a model should be proportional to the inverse document frequency of a term,
+   * as lunr.MultiIndex rescales them by the inverse document frequencies of several indexes.
+   *
+   * @interface lunr.ScoringModel
+   * @property {string} name - The name the model is registered with.
+   * @property {function(lunr.ScoringModel~Document, function(string): number): object<string, object<string, number>>} weigh -
+   * Calculates the weight of each term in each field of a document, by field name and term. The weights are
+   * rounded to three decimal places by lunr.Builder. The function passed with the document returns the inverse
+   * document frequency of a term, see lunr.idf.
+   * @property {function(lunr.Vector): number} queryNorm - Calculates the norm that the score of a
+   * document field is divided by from the query vector of the field.
+   */
+  export interface ScoringModel {
+    name: string
+    weigh (document: ScoringModel.Document, idf: (term: string) => number): Record<string, Record<string, number>>
+    queryNorm (queryVector: lunr.Vector): number
+  }
+
+  export namespace ScoringModel {
+    /**
+     * The statistics of a document that its terms are weighed by.
+     *
+     * @typedef {object} lunr.ScoringModel~Document
+     * @property {string} ref - The ref of the document.
+     * @property {number} boost - The boost of the document.
+     * @property {number} k1 - The term frequency saturation parameter of the builder.
+     * @property {object<string, lunr.ScoringModel~Field>} fields - The fields of the document, by field name.
+     */
+    export interface Document {
+      ref: string
+      boost: number
+      k1: number
+      fields: Record<string, Field>
+    }
+
+    /**
+     * The statistics of a field of a document.
+     *
+     * @typedef {object} lunr.ScoringModel~Field
+     * @property {object<string, number>} termFrequencies - The number of times each term occurs in the field.
+     * @property {number} length - The number of terms in the field.
+     * @property {number} averageLength - The average number of terms in the field of all documents.
+     * @property {number} boost - The boost of the field.
+     * @property {number} b - The field length normalization parameter.
+     * @property {number} k1 - The term frequency saturation parameter.
+     */
+    export interface Field {
+      termFrequencies: Record<string, number>
+      length: number
+      averageLength: number
+      boost: number
+      b: number
+      k1: number
+    }
+
+    /**
+     * The registered scoring models, by name.
+     */
+    export const registeredModels: Record<string, ScoringModel> = Object.create(null)
+
+    /**
+     * Registers a scoring model, so that indexes using it can be serialized and loaded.
+     *
+     * @param {lunr.ScoringModel} model - The model to register by its name.
+     */
+    export const register = function (model: ScoringModel) {
+      if (model.name in registeredModels) {
+        lunr.utils.warn('Overwriting existing registered scoring model: ' + model.name)
+      }
+
+      registeredModels[model.name] = model
+    }
+
+    /**
+     * Finds a registered scoring model by its name.
+     *
+     * @param {string} name - The name of the model.
+     * @returns {lunr.ScoringModel}
+     * @throws {Error} If no model is registered with the name.
+     */
+    export const load = function (name: string) {
+      let model = registeredModels[name]
+
+      if (model === undefined) {
+        throw new Error('Cannot load unregistered scoring model: ' + name)
+      }
+
+      return model
+    }
+
+    /**
+     * Weighs each term of each field of a document with a function of the term, its frequency
+     * in the field and the field.
+     *
+     * @private
+     */
+    /* @internal */
+    export const weighFields = function (document: Document, weigh: (term: string, tf: number, field: Field) => number) {
+      let weights: Record<string, Record<string, number>> = Object.create(null)
+
+      for (const fieldName of Object.keys(document.fields)) {
+        let field = document.fields[fieldName],
+            fieldWeights: Record<string, number> = weights[fieldName] = Object.create(null)
+
+        for (const term of Object.keys(field.termFrequencies)) {
+          fieldWeights[term] = weigh(term, field.termFrequencies[term], field)
+        }
+      }
+
+      return weights
+    }
+
+    /**
+     * The length of a field relative to the average length of the field, as normalized by the
+     * `b` parameter of the field.
+     *
+     * @private
+     */
+    /* @internal */
+    export const lengthNorm = function (field: Field) {
+      return 1 - field.b + field.b * (field.length / field.averageLength)
+    }
+
+    /**
+     * Scores the terms of each field with BM25, saturating the frequency of a term within each
+     * field before the boosts of the field and document are applied. This is the default model.
+     */
+    export const bm25: ScoringModel = {
+      name: "bm25",
+      weigh (document, idf) {
+        return weighFields(document, (term, tf, field) => {
+          let score = idf(term) * ((field.k1 + 1) * tf) / (field.k1 * lengthNorm(field) + tf)
+          score *= field.boost
+          score *= document.boost
+          return score
+        })
+      },
+      queryNorm (queryVector) {
+        return queryVector.magnitude()
+      }
+    }
+
+    /**
+     * Scores the terms of each field with BM25+, which adds a constant of 1 to the saturated
+     * frequency of every term that occurs in a field, so that long fields containing a term
+     * always score higher than fields without it.
+     */
+    export const bm25plus: ScoringModel = {
+      name: "bm25+",
+      weigh (document, idf) {
+        return weighFields(document, (term, tf, field) => {
+          let score = idf(term) * (((field.k1 + 1) * tf) / (field.k1 * lengthNorm(field) + tf) + 1)
+          score *= field.boost
+          score *= document.boost
+          return score
+        })
+      },
+      queryNorm (queryVector) {
+        return queryVector.magnitude()
+      }
+    }
+
+    /**
+     * Scores the terms of each field with classic TF-IDF, the square root of the frequency of
+     * a term times its inverse document frequency, divided by the square root of the length of
+     * the field. The boosts of the field and document are then applied.
+     */
+    export const tfidf: ScoringModel = {
+      name: "tfidf",
+      weigh (document, idf) {
+        return weighFields(document, (term, tf, field) => {
+          return Math.sqrt(tf) * idf(term) / Math.sqrt(field.length) * field.boost * document.boost
+        })
+      },
+      queryNorm (queryVector) {
+        return queryVector.magnitude()
+      }
+    }
+
+    /**
+     * Scores the terms of a document with BM25F, which combines the length normalized and
+     * boosted frequencies of a term in every field of a document before saturating them with
+     * the `k1` parameter of the builder, so that a term repeated across fields saturates as it
+     * would if repeated within a field. The weight of the term is then split between the fields
+     * in proportion to their part of the combined frequency, so that a document scores the full
+     * weight when a query matches all of its fields.
+     */
+    export const bm25f: ScoringModel = {
+      name: "bm25f",
+      weigh (document, idf) {
+        let combined: Record<string, number> = Object.create(null)
+
+        for (const fieldName of Object.keys(document.fields)) {
+          let field = document.fields[fieldName]
+
+          for (const term of Object.keys(field.termFrequencies)) {
+            combined[term] = (combined[term] || 0) + field.boost * field.termFrequencies[term] / lengthNorm(field)
+          }
+        }
+
+        return weighFields(document, (term, tf, field) => {
+          let share = field.boost * tf / lengthNorm(field) / combined[term],
+              score = idf(term) * ((document.k1 + 1) * combined[term]) / (document.k1 + combined[term])
+
+          return score * share * document.boost
+        })
+      },
+      queryNorm (queryVector) {
+        return queryVector.magnitude()
+      }
+    }
+
+    register(bm25)
+    register(bm25plus)
+    register(tfidf)
+    register(bm25f)
+  }
+}
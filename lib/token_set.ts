@@ -205,6 +205,213 @@ namespace lunr {
       return output
     }
 
+    /**
+     * Adds a word to this TokenSet, in place.
+     *
+     * The nodes of a minimised TokenSet can be shared by several words, so
+     * the nodes on the path of the word are copied rather than changed and
+     * the other words of the set are unaffected. The TokenSet is no longer
+     * minimal afterwards, which only costs some space.
+     *
+     * @param {string} word - The word to add.
+     */
+    insert (word: string) {
+      let node: TokenSet = this
+
+      this._str = undefined
+
+      for (let i = 0; i < word.length; i++) {
+        node = node.edges[word[i]] = TokenSet.copyNode(node.edges[word[i]])
+      }
+
+      node.final = true
+    }
+
+    /**
+     * Removes a word from this TokenSet, in place, copying the nodes on
+     * the path of the word as lunr.TokenSet#insert does. Nodes that no
+     * longer lead to any word are dropped.
+     *
+     * @param {string} word - The word to remove.
+     * @returns {boolean} true if the word was in the TokenSet.
+     */
+    remove (word: string) {
+      let node: TokenSet = this,
+          path: TokenSet[] = [this]
+
+      for (let i = 0; i < word.length && node; i++) {
+        node = node.edges[word[i]]
+      }
+
+      if (!node || !node.final) {
+        return false
+      }
+
+      this._str = undefined
+      node = this
+
+      for (let i = 0; i < word.length; i++) {
+        node = node.edges[word[i]] = TokenSet.copyNode(node.edges[word[i]])
+        path.push(node)
+      }
+
+      node.final = false
+
+      for (let i = word.length; i > 0 && !path[i].final && Object.keys(path[i].edges).length == 0; i--) {
+        delete path[i - 1].edges[word[i - 1]]
+      }
+
+      return true
+    }
+
+    /**
+     * Creates a new node with the finality and edges of a node, or an
+     * empty node when there is none.
+     *
+     * @private
+     */
+    private static copyNode (node: TokenSet | undefined) {
+      let copy = new TokenSet
+
+      if (node) {
+        copy.final = node.final
+
+        for (const edge of Object.keys(node.edges)) {
+          copy.edges[edge] = node.edges[edge]
+        }
+      }
+
+      return copy
+    }
+
+    /**
+     * Numbers the nodes of the automaton of this TokenSet, in breadth
+     * first order starting with this node. Each node is numbered once,
+     * however many edges lead to it, so the prefixes and suffixes shared
+     * by a minimised TokenSet stay shared when it is serialized.
+     *
+     * @private
+     */
+    private numberNodes () {
+      let nodes: TokenSet[] = [this],
+          numbers: Record<number, number> = Object.create(null)
+
+      numbers[this.id] = 0
+
+      for (let i = 0; i < nodes.length; i++) {
+        let edges = nodes[i].edges
+
+        for (const edge of Object.keys(edges)) {
+          if (!(edges[edge].id in numbers)) {
+            numbers[edges[edge].id] = nodes.length
+            nodes.push(edges[edge])
+          }
+        }
+      }
+
+      return { nodes, numbers }
+    }
+
+    /**
+     * A JSON serializable representation of the automaton of this TokenSet,
+     * which can be loaded with lunr.TokenSet.load.
+     *
+     * Each node is represented by an array of its finality bit followed by
+     * the character and the number of the target node of each edge. The
+     * nodes are numbered by their position in the serialized array.
+     *
+     * @returns {Array<Array<(number|string)>>}
+     */
+    toJSON (): TokenSet.Serialized {
+      let { nodes, numbers } = this.numberNodes()
+
+      return nodes.map(node => {
+        let serialized: (number | string)[] = [node.final ? 1 : 0]
+
+        for (const edge of Object.keys(node.edges)) {
+          serialized.push(edge, numbers[node.edges[edge].id])
+        }
+
+        return serialized
+      })
+    }
+
+    /**
+     * Loads a TokenSet serialized with lunr.TokenSet#toJSON.
+     *
+     * @param {Array<Array<(number|string)>>} serialized The serialized nodes of the TokenSet.
+     * @returns {lunr.TokenSet}
+     */
+    static load (serialized: TokenSet.Serialized): TokenSet {
+      let nodes = serialized.map(() => new TokenSet)
+
+      for (let i = 0; i < serialized.length; i++) {
+        let node = nodes[i]
+
+        node.final = serialized[i][0] === 1
+
+        for (let j = 1; j < serialized[i].length; j += 2) {
+          node.edges[serialized[i][j] as string] = nodes[serialized[i][j + 1] as number]
+        }
+      }
+
+      return nodes[0]
+    }
+
+    /**
+     * Writes the automaton of this TokenSet in a binary form, which can
+     * be read back with lunr.TokenSet.read.
+     *
+     * The nodes are numbered in the same way as by lunr.TokenSet#toJSON,
+     * each node is written as its number of edges and finality bit followed
+     * by the character code and the target of each edge.
+     *
+     * @param {lunr.BinaryWriter} writer The writer to write the nodes to.
+     */
+    write (writer: lunr.BinaryWriter) {
+      let { nodes, numbers } = this.numberNodes()
+
+      writer.uint(nodes.length)
+
+      for (const node of nodes) {
+        let edges = Object.keys(node.edges)
+
+        writer.uint(edges.length * 2 + (node.final ? 1 : 0))
+
+        for (const edge of edges) {
+          writer.uint(edge.charCodeAt(0))
+          writer.uint(numbers[node.edges[edge].id])
+        }
+      }
+    }
+
+    /**
+     * Reads a TokenSet written by lunr.TokenSet#write.
+     *
+     * @param {lunr.BinaryReader} reader The reader to read the nodes from.
+     * @returns {lunr.TokenSet}
+     */
+    static read (reader: lunr.BinaryReader): TokenSet {
+      let nodes: TokenSet[] = []
+
+      for (let i = reader.uint(); i > 0; i--) {
+        nodes.push(new TokenSet)
+      }
+
+      for (const node of nodes) {
+        let header = reader.uint()
+
+        node.final = header % 2 == 1
+
+        for (let i = Math.floor(header / 2); i > 0; i--) {
+          let char = String.fromCharCode(reader.uint())
+          node.edges[char] = nodes[reader.uint()]
+        }
+      }
+
+      return nodes[0]
+    }
+
     /**
      * Creates a TokenSet instance from the given sorted array of words.
      *
@@ -232,6 +439,14 @@ namespace lunr {
      */
     static fromClause (clause: Query.Clause): TokenSet {
       if (typeof clause.term === "object") {
+        if (clause.term instanceof lunr.Query) throw new Error("A group clause cannot be represented by a single token set")
+        if ("terms" in clause.term) throw new Error("A phrase clause cannot be represented by a single token set")
+        if (lunr.Query.isGeoTerm(clause.term)) {
+          if (!clause.geoMap) throw new Error("A geo clause requires a geo map")
+          return "distance" in clause.term
+            ? clause.geoMap.matchDistance(clause.term.point, clause.term.distance)
+            : clause.geoMap.matchBoundingBox(clause.term)
+        }
         if (!clause.numberMap) throw new Error("A comparator or range clause requires a number map")
         return "comparator" in clause.term
           ? clause.numberMap.matchComparator(clause.term.comparator, clause.term.comparand)
@@ -428,4 +643,9 @@ namespace lunr {
       return root
     }
   }
+
+  export namespace TokenSet {
+    /** The nodes of a serialized TokenSet, see lunr.TokenSet#toJSON. */
+    export type Serialized = (number | string)[][]
+  }
 }
\ No newline at end of file
@@ -113,6 +113,64 @@ namespace lunr {
       return a - b
     }
 
+    /**
+     * Selects the first k items of an array in the order of the comparer, in that order,
+     * without sorting the whole array. Items that compare equal keep their relative order,
+     * so the selected items are the same as the first k items of the sorted array.
+     *
+     * The selection uses a binary heap of at most k items, with the last of the selected
+     * items at its root so that it can be replaced when an earlier item is found.
+     *
+     * @private
+     */
+    /* @internal */
+    export const selectFirst = function<T> (array: T[], k: number, comparer: (a: T, b: T) => number) {
+      let heap: { item: T, index: number }[] = [],
+          compareEntries = (a: { item: T, index: number }, b: { item: T, index: number }) => comparer(a.item, b.item) || a.index - b.index
+
+      for (let i = 0; i < array.length && k > 0; i++) {
+        let entry = { item: array[i], index: i }
+
+        if (heap.length < k) {
+          // sift the new entry up towards the root
+          let child = heap.length
+          heap.push(entry)
+
+          while (child > 0) {
+            let parent = (child - 1) >> 1
+
+            if (compareEntries(heap[parent], heap[child]) >= 0) break
+
+            let swap = heap[parent]
+            heap[parent] = heap[child]
+            heap[child] = swap
+            child = parent
+          }
+        } else if (compareEntries(entry, heap[0]) < 0) {
+          // replace the root and sift it down
+          let parent = 0
+          heap[0] = entry
+
+          while (true) {
+            let largest = parent,
+                left = 2 * parent + 1,
+                right = left + 1
+
+            if (left < heap.length && compareEntries(heap[left], heap[largest]) > 0) largest = left
+            if (right < heap.length && compareEntries(heap[right], heap[largest]) > 0) largest = right
+            if (largest == parent) break
+
+            let swap = heap[parent]
+            heap[parent] = heap[largest]
+            heap[largest] = swap
+            parent = largest
+          }
+        }
+      }
+
+      return heap.sort(compareEntries).map(entry => entry.item)
+    }
+
     /* @internal */
     export const enum Bias {
       TWOS_COMPLEMENT,
@@ -160,5 +218,146 @@ namespace lunr {
         integerPattern.test(str) ? parseInt(str) :
           NaN
     }
+
+    const datePattern = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:?\d{2})?)?)?)?$/
+    const relativeDatePattern = /^now((?:[+-]\d+[smhdwMy])*)$/
+    const relativeDateOffsetPattern = /([+-])(\d+)([smhdwMy])/g
+
+    // the length of the units of relative dates that have a fixed length, in milliseconds
+    const durations: Record<string, number> = {
+      s: 1000,
+      m: 60 * 1000,
+      h: 60 * 60 * 1000,
+      d: 24 * 60 * 60 * 1000,
+      w: 7 * 24 * 60 * 60 * 1000
+    }
+
+    /**
+     * The time of a date in UTC, the same as Date.UTC except that the years 0 to 99 are
+     * not taken to be years of the twentieth century.
+     *
+     * @private
+     */
+    const dateTime = function (year: number, month: number, day: number, hours = 0, minutes = 0, seconds = 0, milliseconds = 0) {
+      let date = new Date(0)
+
+      date.setUTCFullYear(year, month, day)
+      date.setUTCHours(hours, minutes, seconds, milliseconds)
+
+      return date.getTime()
+    }
+
+    /**
+     * Parses an ISO-8601 date, e.g. `2024-01-31` or `2024-01-31T10:00:00Z`, or a date relative
+     * to now, e.g. `now-30d`, into the period of time it refers to, in milliseconds since the
+     * epoch. The period of a date is as long as its least significant part, `2024-01` is the
+     * whole of January, while a relative date is a single instant.
+     *
+     * Dates without a time zone offset are in UTC. The units of relative dates are `s`, `m`,
+     * `h`, `d`, `w`, `M` (months) and `y`.
+     *
+     * @private
+     * @param {string} str - The date to parse.
+     * @param {number} [now=Date.now()] - The time that relative dates are relative to.
+     * @returns {?number[]} The start of the period, inclusive, and its end, exclusive.
+     */
+    /* @internal */
+    export const parseDate = function (str: string, now = Date.now()): [number, number] | undefined {
+      str = str.trim()
+
+      let relativeMatch = relativeDatePattern.exec(str)
+
+      if (relativeMatch) {
+        let date = new Date(now),
+            offset
+
+        relativeDateOffsetPattern.lastIndex = 0
+
+        while ((offset = relativeDateOffsetPattern.exec(relativeMatch[1])) !== null) {
+          let amount = (offset[1] == "-" ? -1 : 1) * parseInt(offset[2], 10)
+
+          switch (offset[3]) {
+            case "M":
+              date.setUTCMonth(date.getUTCMonth() + amount)
+              break
+            case "y":
+              date.setUTCFullYear(date.getUTCFullYear() + amount)
+              break
+            default:
+              date.setTime(date.getTime() + amount * durations[offset[3]])
+              break
+          }
+        }
+
+        return [date.getTime(), date.getTime() + 1]
+      }
+
+      let match = datePattern.exec(str)
+
+      if (!match) {
+        return undefined
+      }
+
+      let year = parseInt(match[1], 10),
+          month = match[2] ? parseInt(match[2], 10) - 1 : 0,
+          day = match[3] ? parseInt(match[3], 10) : 1,
+          hours = match[4] ? parseInt(match[4], 10) : 0,
+          minutes = match[5] ? parseInt(match[5], 10) : 0,
+          seconds = match[6] ? parseInt(match[6], 10) : 0,
+          milliseconds = match[7] ? parseInt((match[7] + "00").slice(0, 3), 10) : 0
+
+      if (month > 11 || hours > 23 || minutes > 59 || seconds > 59) {
+        return undefined
+      }
+
+      let start = dateTime(year, month, day, hours, minutes, seconds, milliseconds)
+
+      // days past the end of the month would roll over into the next month
+      if (day < 1 || new Date(start).getUTCDate() != day) {
+        return undefined
+      }
+
+      let end = match[7] ? start + 1 :
+        match[6] ? start + durations.s :
+          match[4] ? start + durations.m :
+            match[3] ? start + durations.d :
+              match[2] ? dateTime(year, month + 1, 1) :
+                dateTime(year + 1, 0, 1)
+
+      if (match[8] && match[8] != "Z") {
+        let sign = match[8].charAt(0) == "-" ? -1 : 1,
+            digits = match[8].slice(1).replace(":", ""),
+            offset = sign * (parseInt(digits.slice(0, 2), 10) * durations.h + parseInt(digits.slice(2), 10) * durations.m)
+
+        start -= offset
+        end -= offset
+      }
+
+      return [start, end]
+    }
+
+    /**
+     * Converts the value of a date field, a Date, an ISO-8601 string or a number of milliseconds
+     * since the epoch, into milliseconds since the epoch.
+     *
+     * @private
+     * @param {*} value - The date to convert.
+     * @returns {?number} The time of the date, or undefined if the value is not a valid date.
+     */
+    /* @internal */
+    export const toEpochTime = function (value: any): number | undefined {
+      let time = NaN
+
+      if (value instanceof Date) {
+        time = value.getTime()
+      } else if (typeof value === "number") {
+        time = value
+      } else if (typeof value === "string" && datePattern.test(value.trim())) {
+        let period = parseDate(value)
+        time = period ? period[0] : NaN
+      }
+
+      return isFinite(time) ? time : undefined
+    }
   }
 }
\ No newline at end of file
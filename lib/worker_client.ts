@@ -0,0 +1,219 @@
+/*!
+ * lunr.WorkerClient
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.WorkerClient loads and searches an index in a worker running a lunr.WorkerHost,
+   * the results are returned as promises. Searches are sent to the worker as query strings,
+   * queries built with lunr.Query are built on the main thread and their clauses are sent to
+   * the worker.
+   *
+   * Errors thrown by the worker, such as a lunr.QueryParseError, reject the promise of the
+   * request with an error of the same type. When the worker fails, with an uncaught error, a
+   * message that cannot be deserialized or by exiting, every pending request and every later
+   * request is rejected, as it is after lunr.WorkerClient#terminate.
+   *
+   * @memberOf lunr
+   * @example <caption>searching an index in a Web Worker</caption>
+   * var client = new lunr.WorkerClient(new Worker("search-worker.js"))
+   *
+   * client.load(serializedIndex)
+   *   .then(function () { return client.search("plant") })
+   *   .then(function (results) { ... })
+   */
+  export class WorkerClient {
+    private endpoint: lunr.WorkerHost.Endpoint
+    private nextId = 0
+    private requests: Record<number, WorkerClient.PendingRequest> = Object.create(null)
+
+    /**
+     * The error the worker failed with, which rejects every later request.
+     */
+    private failure?: Error
+
+    /**
+     * The fields of the loaded index, requested from the host when a query is first built.
+     */
+    private indexFields?: Promise<lunr.WorkerHost.Fields>
+
+    /**
+     * @param {lunr.WorkerHost~Endpoint} endpoint - The endpoint to send requests to and receive responses on,
+     * such as a Web Worker or a Node.js Worker.
+     */
+    constructor (endpoint: lunr.WorkerHost.Endpoint) {
+      this.endpoint = endpoint
+
+      lunr.WorkerHost.listen(endpoint, message => this.receive(message))
+      WorkerClient.listenForFailure(endpoint, error => this.fail(error))
+    }
+
+    /**
+     * Stops the worker, or closes the port, of the endpoint. Pending requests and any later
+     * requests are rejected.
+     */
+    terminate () {
+      this.fail(new Error("The worker client has been terminated"))
+
+      if (typeof this.endpoint.terminate == "function") {
+        this.endpoint.terminate()
+      } else if (typeof this.endpoint.close == "function") {
+        this.endpoint.close()
+      }
+    }
+
+    /**
+     * Loads an index in the worker, replacing any index loaded before.
+     *
+     * @param {(object|string|ArrayBuffer|ArrayBufferView)} serializedIndex - An index serialized with
+     * lunr.Index#toJSON, as an object or a JSON string, or with lunr.Index#toBinary.
+     * @returns {Promise} Resolves once the index has been loaded.
+     */
+    async load (serializedIndex: any) {
+      let fields = this.request("load", [serializedIndex]) as Promise<lunr.WorkerHost.Fields>
+
+      this.indexFields = fields
+
+      try {
+        await fields
+      } catch (e) {
+        if (this.indexFields === fields) {
+          this.indexFields = undefined
+        }
+
+        throw e
+      }
+    }
+
+    /**
+     * Performs a search in the worker, see lunr.Index#search.
+     *
+     * @param {lunr.Index~QueryString} queryString - A string containing a lunr query.
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
+     * @returns {Promise<lunr.Index~Results>}
+     */
+    async search (queryString: Index.QueryString, options: Index.QueryOptions = {}) {
+      return lunr.WorkerHost.deserializeResults(await this.request("search", [queryString, options]))
+    }
+
+    /**
+     * Performs a query in the worker, see lunr.Index#query. The query is built on the calling
+     * thread, using the fields of the index loaded in the worker.
+     *
+     * @param {lunr.Index~queryBuilder} fn - A function that is used to build the query.
+     * @param {lunr.Index~QueryOptions} [options] - Options for the results of the query.
+     * @returns {Promise<lunr.Index~Results>}
+     */
+    async query (fn: Index.queryBuilder, options: Index.QueryOptions = {}) {
+      if (!this.indexFields) {
+        this.indexFields = this.request("fields", [])
+      }
+
+      let indexFields = this.indexFields,
+          fields: lunr.WorkerHost.Fields
+
+      // a failed request is not kept, so that the fields are requested again
+      try {
+        fields = await indexFields
+      } catch (e) {
+        if (this.indexFields === indexFields) {
+          this.indexFields = undefined
+        }
+
+        throw e
+      }
+
+      let query = new lunr.Query(fields.fields, fields.fieldTypes)
+
+      fn.call(query, query)
+
+      return lunr.WorkerHost.deserializeResults(await this.request("query", [lunr.WorkerHost.serializeClauses(query.clauses), options]))
+    }
+
+    /**
+     * @private
+     */
+    private request (method: lunr.WorkerHost.Request["method"], args: any[]) {
+      let id = this.nextId++,
+          request: lunr.WorkerHost.Request = { id, method, args }
+
+      return new Promise<any>((resolve, reject) => {
+        if (this.failure) {
+          reject(this.failure)
+          return
+        }
+
+        this.requests[id] = { resolve, reject }
+        this.endpoint.postMessage(request)
+      })
+    }
+
+    /**
+     * Rejects every pending request, and every later request, once the worker has failed.
+     * Only the first failure is kept, a worker that throws an error also exits.
+     *
+     * @private
+     */
+    private fail (error: Error) {
+      if (this.failure) {
+        return
+      }
+
+      let requests = this.requests
+
+      this.failure = error
+      this.requests = Object.create(null)
+
+      for (const id of Object.keys(requests)) {
+        requests[Number(id)].reject(error)
+      }
+    }
+
+    /**
+     * @private
+     */
+    private receive (response: lunr.WorkerHost.Response) {
+      let request = this.requests[response.id]
+
+      if (request === undefined) {
+        return
+      }
+
+      delete this.requests[response.id]
+
+      if (response.error) {
+        request.reject(lunr.WorkerHost.deserializeError(response.error))
+      } else {
+        request.resolve(response.result)
+      }
+    }
+  }
+
+  export namespace WorkerClient {
+    /**
+     * Listens for the errors and the exit of the worker of an endpoint, after which it will not
+     * respond to any request.
+     *
+     * @private
+     */
+    /* @internal */
+    export const listenForFailure = function (endpoint: lunr.WorkerHost.Endpoint, listener: (error: Error) => void) {
+      if (typeof endpoint.on == "function") {
+        endpoint.on("error", (error: Error) => listener(error))
+        endpoint.on("messageerror", (error: Error) => listener(new Error("A message from the worker could not be deserialized: " + error.message)))
+        endpoint.on("exit", (code: number) => listener(new Error("The worker exited with code " + code)))
+      } else if (typeof endpoint.addEventListener == "function") {
+        endpoint.addEventListener("error", (event: { message?: string }) => listener(new Error(event.message || "The worker failed")))
+        endpoint.addEventListener("messageerror", () => listener(new Error("A message from the worker could not be deserialized")))
+      }
+    }
+
+    /* @internal */
+    export interface PendingRequest {
+      resolve: (result: any) => void
+      reject: (error: Error) => void
+    }
+  }
+}
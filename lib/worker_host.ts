@@ -0,0 +1,357 @@
+/*!
+ * lunr.WorkerHost
+ * Copyright (C) @YEAR Oliver Nightingale
+ */
+
+// @ts-ignore
+namespace lunr {
+  /**
+   * A lunr.WorkerHost answers the requests of a lunr.WorkerClient, so that an index can be
+   * loaded and searched in a worker without blocking the main thread. The host is created in
+   * the worker, with the endpoint that the worker receives messages on, either the global
+   * scope of a Web Worker or the `parentPort` of a Node.js worker thread.
+   *
+   * Messages only contain plain objects and arrays, so they can be passed between threads by
+   * structured cloning, search results are sent with their match data serialized by
+   * lunr.MatchData#toJSON.
+   *
+   * @memberOf lunr
+   * @example <caption>the script of a Web Worker</caption>
+   * importScripts("lunr.js")
+   *
+   * new lunr.WorkerHost(self)
+   * @example <caption>the script of a Node.js worker thread</caption>
+   * const { parentPort } = require("worker_threads")
+   * const lunr = require("lunr")
+   *
+   * new lunr.WorkerHost(parentPort)
+   */
+  export class WorkerHost {
+    /** The index that is searched, set when an index is loaded. */
+    index?: lunr.Index
+
+    private endpoint: WorkerHost.Endpoint
+
+    /**
+     * @param {lunr.WorkerHost~Endpoint} endpoint - The endpoint to receive requests on and send responses to.
+     * @param {lunr.Index} [index] - An index to search before one is loaded.
+     */
+    constructor (endpoint: WorkerHost.Endpoint, index?: lunr.Index) {
+      this.endpoint = endpoint
+      this.index = index
+
+      WorkerHost.listen(endpoint, message => this.receive(message))
+    }
+
+    /**
+     * Answers a request, errors are sent back to the client instead of being thrown.
+     *
+     * @private
+     */
+    private receive (request: WorkerHost.Request) {
+      let response: WorkerHost.Response
+
+      try {
+        response = { id: request.id, result: this.handle(request) }
+      } catch (e) {
+        response = { id: request.id, error: WorkerHost.serializeError(e) }
+      }
+
+      this.endpoint.postMessage(response)
+    }
+
+    /**
+     * @private
+     */
+    private handle (request: WorkerHost.Request): any {
+      switch (request.method) {
+        case "load":
+          this.index = WorkerHost.loadIndex(request.args[0])
+          return this.fields()
+        case "fields":
+          return this.fields()
+        case "search":
+          return WorkerHost.serializeResults(this.loadedIndex().search(request.args[0], request.args[1]))
+        case "query":
+          return WorkerHost.serializeResults(this.loadedIndex().query(query => {
+            WorkerHost.addClauses(query, request.args[0])
+          }, request.args[1]))
+        default:
+          throw new Error("Unknown worker request '" + request.method + "'")
+      }
+    }
+
+    /**
+     * @private
+     */
+    private fields (): WorkerHost.Fields {
+      let index = this.loadedIndex()
+
+      return { fields: index.fields, fieldTypes: index.fieldTypes }
+    }
+
+    /**
+     * @private
+     */
+    private loadedIndex () {
+      if (!this.index) {
+        throw new Error("No index has been loaded by the worker")
+      }
+
+      return this.index
+    }
+  }
+
+  export namespace WorkerHost {
+    /**
+     * The end of a channel that messages are sent to and received from, such as a Web Worker,
+     * the global scope of a Web Worker, a MessagePort or a Node.js worker thread. Messages are
+     * received with `on` where the endpoint has it, as in Node.js, and with `addEventListener`
+     * otherwise.
+     *
+     * @typedef {object} lunr.WorkerHost~Endpoint
+     * @property {function(*)} postMessage - Sends a message.
+     * @property {function(string, function)} [addEventListener] - Listens for message and error events.
+     * @property {function(string, function)} [on] - Listens for messages, errors and the exit of a worker.
+     * @property {function()} [start] - Starts the delivery of messages to event listeners, as for a MessagePort.
+     * @property {function()} [terminate] - Stops a worker, used by lunr.WorkerClient#terminate.
+     * @property {function()} [close] - Closes a MessagePort, used by lunr.WorkerClient#terminate.
+     */
+    export interface Endpoint {
+      postMessage (message: any): void
+      addEventListener? (type: string, listener: (event: any) => void): void
+      on? (event: string, listener: (...args: any[]) => void): void
+      start? (): void
+      terminate? (): void
+      close? (): void
+    }
+
+    /** A request sent by a lunr.WorkerClient. */
+    export interface Request {
+      id: number
+      method: "load" | "fields" | "search" | "query"
+      args: any[]
+    }
+
+    /** The response to a request, with either its result or the error it failed with. */
+    export interface Response {
+      id: number
+      result?: any
+      error?: SerializedError
+    }
+
+    /** The fields of the index, needed by a lunr.WorkerClient to build queries. */
+    export interface Fields {
+      fields: string[]
+      fieldTypes: lunr.Builder.FieldType[]
+    }
+
+    export interface SerializedError {
+      name: string
+      message: string
+      start?: number
+      end?: number
+    }
+
+    /** Results as sent by a lunr.WorkerHost, with the match data of each result serialized. */
+    export interface SerializedResults {
+      results: SerializedResult[]
+      total?: number
+      facets?: Record<string, lunr.Index.FacetCounts>
+    }
+
+    export interface SerializedResult {
+      ref: string
+      score: number
+      matchData: lunr.MatchData.Serialized
+      doc?: Record<string, any>
+    }
+
+    /**
+     * Calls a function with every message received by an endpoint.
+     *
+     * @private
+     */
+    /* @internal */
+    export const listen = function (endpoint: Endpoint, listener: (message: any) => void) {
+      if (typeof endpoint.on == "function") {
+        endpoint.on("message", listener)
+      } else if (typeof endpoint.addEventListener == "function") {
+        endpoint.addEventListener("message", event => listener(event.data))
+
+        if (typeof endpoint.start == "function") {
+          endpoint.start()
+        }
+      } else {
+        throw new TypeError("Endpoint cannot receive messages, it has neither 'on' nor 'addEventListener'")
+      }
+    }
+
+    /**
+     * Loads an index serialized with lunr.Index#toJSON, as an object or as a JSON string, or
+     * serialized with lunr.Index#toBinary.
+     *
+     * @private
+     */
+    /* @internal */
+    export const loadIndex = function (serializedIndex: any) {
+      if (serializedIndex instanceof ArrayBuffer || ArrayBuffer.isView(serializedIndex)) {
+        return lunr.Index.loadBinary(serializedIndex)
+      }
+
+      if (typeof serializedIndex == "string") {
+        serializedIndex = JSON.parse(serializedIndex)
+      }
+
+      return lunr.Index.load(serializedIndex)
+    }
+
+    /**
+     * Converts the clauses of a query into plain objects, leaving out the number and geo
+     * maps, which the host adds back from its own index.
+     *
+     * @private
+     * @param {lunr.Query~Clause[]} clauses - The clauses of a query.
+     * @returns {object[]}
+     */
+    /* @internal */
+    export const serializeClauses = function (clauses: lunr.Query.Clause[]): any[] {
+      return clauses.map(clause => {
+        let serialized: any = {}
+
+        for (const key of Object.keys(clause)) {
+          if (key != "numberMap" && key != "geoMap") {
+            serialized[key] = (clause as any)[key]
+          }
+        }
+
+        // groups are sent as their clauses
+        if (clause.term instanceof lunr.Query) {
+          serialized.term = { clauses: serializeClauses(clause.term.clauses) }
+        }
+
+        return serialized
+      })
+    }
+
+    /**
+     * Adds clauses converted by serializeClauses to a query.
+     *
+     * @private
+     * @param {lunr.Query} query - The query to add the clauses to.
+     * @param {object[]} clauses - The serialized clauses.
+     */
+    /* @internal */
+    export const addClauses = function (query: lunr.Query, clauses: any[]) {
+      for (const clause of clauses) {
+        if (clause.term !== null && typeof clause.term == "object" && "clauses" in clause.term) {
+          let group = new lunr.Query(query.allFields, query.allFieldTypes, query.numberMap, query.geoMap)
+
+          addClauses(group, clause.term.clauses)
+          query.clause({ ...clause, term: group })
+        } else {
+          query.clause(clause)
+        }
+      }
+    }
+
+    /**
+     * @private
+     */
+    /* @internal */
+    export const serializeResults = function (results: lunr.Index.Results): SerializedResults {
+      let serialized: SerializedResults = {
+        results: results.map(result => {
+          let serializedResult: SerializedResult = {
+            ref: result.ref,
+            score: result.score,
+            matchData: result.matchData.toJSON()
+          }
+
+          if (result.doc !== undefined) {
+            serializedResult.doc = result.doc
+          }
+
+          return serializedResult
+        }),
+        total: results.total
+      }
+
+      if (results.facets) {
+        serialized.facets = results.facets
+      }
+
+      return serialized
+    }
+
+    /**
+     * @private
+     */
+    /* @internal */
+    export const deserializeResults = function (serialized: SerializedResults) {
+      let results: lunr.Index.Results = serialized.results.map(result => {
+        let indexResult: lunr.Index.Result = {
+          ref: result.ref,
+          score: result.score,
+          matchData: lunr.MatchData.load(result.matchData)
+        }
+
+        if (result.doc !== undefined) {
+          indexResult.doc = result.doc
+        }
+
+        return indexResult
+      })
+
+      results.total = serialized.total
+
+      if (serialized.facets) {
+        results.facets = serialized.facets
+      }
+
+      return results
+    }
+
+    /**
+     * @private
+     */
+    /* @internal */
+    export const serializeError = function (error: any): SerializedError {
+      let serialized: SerializedError = {
+        name: error && error.name || "Error",
+        message: error && error.message !== undefined ? error.message : String(error)
+      }
+
+      if (error instanceof lunr.QueryParseError) {
+        serialized.start = error.start
+        serialized.end = error.end
+      }
+
+      return serialized
+    }
+
+    /**
+     * Recreates an error sent by a host, as a lunr.QueryParseError, a RangeError or a TypeError
+     * where the original error was one, and as an Error with the original name otherwise.
+     *
+     * @private
+     */
+    /* @internal */
+    export const deserializeError = function (serialized: SerializedError) {
+      let error: Error
+
+      switch (serialized.name) {
+        case "QueryParseError":
+          return new lunr.QueryParseError(serialized.message, serialized.start!, serialized.end!)
+        case "RangeError":
+          return new RangeError(serialized.message)
+        case "TypeError":
+          return new TypeError(serialized.message)
+        default:
+          error = new Error(serialized.message)
+          error.name = serialized.name
+          return error
+      }
+    }
+  }
+}
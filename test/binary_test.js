@@ -0,0 +1,84 @@
+suite('lunr.BinaryWriter and lunr.BinaryReader', function () {
+  setup(function () {
+    this.roundTrip = function (write, read) {
+      var writer = new lunr.BinaryWriter
+
+      write(writer)
+
+      return read(new lunr.BinaryReader(writer.toArrayBuffer()))
+    }
+  })
+
+  test('small integers take a single byte', function () {
+    var writer = new lunr.BinaryWriter
+
+    writer.uint(0)
+    writer.uint(127)
+
+    assert.equal(2, writer.toArrayBuffer().byteLength)
+  })
+
+  test('integers', function () {
+    var values = [0, 1, 127, 128, 300, 16384, Math.pow(2, 32) + 5, Number.MAX_SAFE_INTEGER],
+        read = this.roundTrip(function (writer) {
+          values.forEach(function (value) { writer.uint(value) })
+        }, function (reader) {
+          return values.map(function () { return reader.uint() })
+        })
+
+    assert.deepEqual(values, read)
+  })
+
+  test('signed integers', function () {
+    var values = [0, -1, 1, -64, 64, -300, Math.pow(2, 40), -Math.pow(2, 40)],
+        read = this.roundTrip(function (writer) {
+          values.forEach(function (value) { writer.int(value) })
+        }, function (reader) {
+          return values.map(function () { return reader.int() })
+        })
+
+    assert.deepEqual(values, read)
+  })
+
+  test('numbers', function () {
+    var read = this.roundTrip(function (writer) {
+      writer.float64(Math.PI)
+      writer.float64(-0.5)
+    }, function (reader) {
+      return [reader.float64(), reader.float64()]
+    })
+
+    assert.deepEqual([Math.PI, -0.5], read)
+  })
+
+  test('strings', function () {
+    var values = ['', 'plant', 'naïve', '日本語', '🦄', 'lone \ud800 surrogate', '\u0000true'],
+        read = this.roundTrip(function (writer) {
+          values.forEach(function (value) { writer.string(value) })
+        }, function (reader) {
+          return values.map(function () { return reader.string() })
+        })
+
+    assert.deepEqual(values, read)
+  })
+
+  test('grows beyond its initial size', function () {
+    var value = new Array(5000).join('lunr'),
+        read = this.roundTrip(function (writer) {
+          writer.string(value)
+          writer.uint(42)
+        }, function (reader) {
+          return [reader.string(), reader.uint(), reader.done()]
+        })
+
+    assert.deepEqual([value, 42, true], read)
+  })
+
+  test('reading past the end', function () {
+    var reader = new lunr.BinaryReader(new Uint8Array([0x80]))
+
+    assert.throws(function () {
+      reader.uint()
+    }, RangeError)
+  })
+})
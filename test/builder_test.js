@@ -67,6 +67,30 @@ suite('lunr.Builder', function () {
 
       assert.deepProperty(this.builder.invertedIndex, 'bob.name.id')
     })
+
+    test('keyword field values are indexed as whole terms', function () {
+      this.builder.field('tags', { type: 'keyword' })
+      this.builder.add({ id: 'id', tags: [' Node-JS ', 'C++', 'running shoes', ''] })
+
+      assert.sameMembers(['node-js', 'c++', 'running shoes'], Object.keys(this.builder.invertedIndex))
+    })
+
+    test('keyword fields skip the pipeline', function () {
+      this.builder.pipeline.add(lunr.stemmer)
+      this.builder.field('sku', { type: 'keyword' })
+      this.builder.add({ id: 'id', sku: 'running' })
+
+      assert.deepProperty(this.builder.invertedIndex, 'running.sku.id')
+    })
+
+    test('boolean field values are indexed as dedicated terms', function () {
+      this.builder.field('published', { type: 'boolean' })
+      this.builder.add({ id: 'a', published: true })
+      this.builder.add({ id: 'b', published: 'False' })
+      this.builder.add({ id: 'c', published: 'maybe' })
+
+      assert.sameMembers(['\u0000true', '\u0000false'], Object.keys(this.builder.invertedIndex))
+    })
   })
 
   suite('#field', function () {
@@ -120,6 +144,27 @@ suite('lunr.Builder', function () {
       builder.b(0.5)
       assert.equal(0.5, builder._b)
     })
+
+    test('value for a field', function () {
+      var builder = new lunr.Builder,
+          attributes = { boost: 2 }
+
+      builder.field('title', attributes)
+      builder.b(1.5, 'title')
+
+      assert.equal(1, builder._fields.title.b)
+      assert.equal(2, builder._fields.title.boost)
+      assert.equal(0.75, builder._b)
+      assert.notProperty(attributes, 'b')
+    })
+
+    test('value for an unknown field', function () {
+      var builder = new lunr.Builder
+
+      assert.throws(function () {
+        builder.b(0.5, 'title')
+      }, /has not been added/)
+    })
   })
 
   suite('#k1', function () {
@@ -133,6 +178,53 @@ suite('lunr.Builder', function () {
       builder.k1(1.6)
       assert.equal(1.6, builder._k1)
     })
+
+    test('value for a field', function () {
+      var builder = new lunr.Builder
+      builder.field('title')
+      builder.k1(1.6, 'title')
+
+      assert.equal(1.6, builder._fields.title.k1)
+      assert.equal(1.2, builder._k1)
+    })
+  })
+
+  suite('field scoring parameters', function () {
+    setup(function () {
+      this.build = function (titleAttributes) {
+        return lunr(function () {
+          this.mutable()
+          this.ref('id')
+          this.field('title', titleAttributes)
+          this.field('body')
+
+          this.add({ id: 'a', title: 'green plant in a pot', body: 'a green plant in the study' })
+          this.add({ id: 'b', title: 'green', body: 'green' })
+        })
+      }
+
+      this.score = function (idx, fieldRef) {
+        return idx.fieldVectors[fieldRef].elements[1]
+      }
+    })
+
+    test('are used for the field', function () {
+      var defaults = this.build({}),
+          idx = this.build({ b: 0, k1: 2 }),
+          field = idx.explain('title:green', 'a').clauses[0].terms[0].fields[0]
+
+      assert.equal(0, field.b)
+      assert.equal(2, field.k1)
+      assert.notEqual(this.score(defaults, 'title/a'), this.score(idx, 'title/a'))
+      assert.equal(this.score(defaults, 'body/a'), this.score(idx, 'body/a'))
+    })
+
+    test('b is clamped', function () {
+      var idx = this.build({ b: -1 }),
+          expected = this.build({ b: 0 })
+
+      assert.deepEqual(expected.fieldVectors, idx.fieldVectors)
+    })
   })
 
   suite('#use', function () {
@@ -222,4 +314,130 @@ suite('lunr.Builder', function () {
       assert.instanceOf(builder.build(), lunr.Index)
     })
   })
+
+  suite('#addAll', function () {
+    setup(function () {
+      this.documents = [
+        { id: 'a', title: 'green plant' },
+        { id: 'b', title: 'watering can' },
+        { id: 'c', title: 'green house' }
+      ]
+
+      this.builder = new lunr.Builder
+      this.builder.ref('id')
+      this.builder.field('title')
+    })
+
+    test('adds the documents of an array', function () {
+      var builder = this.builder
+
+      return builder.addAll(this.documents, { yieldEvery: 2 }).then(function () {
+        assert.equal(3, builder.documentCount)
+        assert.sameMembers(['a', 'c'], Object.keys(builder.invertedIndex.green.title))
+      })
+    })
+
+    test('adds the documents of an async iterable', function () {
+      var builder = this.builder,
+          documents = this.documents,
+          asyncDocuments = {}
+
+      asyncDocuments[Symbol.asyncIterator] = function () {
+        var i = 0
+
+        return {
+          next: function () {
+            return Promise.resolve(i < documents.length ? { value: documents[i++], done: false } : { done: true })
+          }
+        }
+      }
+
+      return builder.addAll(asyncDocuments).then(function () {
+        assert.equal(3, builder.documentCount)
+        assert.property(builder.invertedIndex, 'watering')
+      })
+    })
+
+    test('adds the documents of an iterable', function () {
+      var builder = this.builder
+
+      return builder.addAll(new Set(this.documents), { yieldEvery: 2 }).then(function () {
+        assert.equal(3, builder.documentCount)
+        assert.property(builder.invertedIndex, 'watering')
+      })
+    })
+
+    test('does not read Symbol.asyncIterator of an array', function () {
+      var builder = this.builder,
+          documents = this.documents.slice()
+
+      Object.defineProperty(documents, Symbol.asyncIterator, {
+        get: function () { throw new Error('Symbol.asyncIterator is not supported') }
+      })
+
+      return builder.addAll(documents).then(function () {
+        assert.equal(3, builder.documentCount)
+      })
+    })
+
+    test('invalid yieldEvery', function () {
+      return this.builder.addAll(this.documents, { yieldEvery: 0 }).then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.instanceOf(err, RangeError)
+      })
+    })
+  })
+
+  suite('#buildAsync', function () {
+    setup(function () {
+      this.documents = [
+        { id: 'a', title: 'green plant', body: 'a plant in the study' },
+        { id: 'b', title: 'watering can', body: 'watering the green plant' },
+        { id: 'c', title: 'green house', body: 'a house full of plants' }
+      ]
+
+      this.createBuilder = function () {
+        var builder = new lunr.Builder
+
+        builder.ref('id')
+        builder.field('title')
+        builder.field('body')
+
+        return builder
+      }
+    })
+
+    test('builds the same index as build', function () {
+      var builder = this.createBuilder(),
+          expected = this.createBuilder()
+
+      this.documents.forEach(function (doc) {
+        builder.add(doc)
+        expected.add(doc)
+      })
+
+      var expectedIdx = expected.build()
+
+      return builder.buildAsync({ yieldEvery: 2 }).then(function (idx) {
+        assert.instanceOf(idx, lunr.Index)
+        assert.deepEqual(expectedIdx.toJSON(), idx.toJSON())
+        assert.deepEqual(expectedIdx.search('green pla*'), idx.search('green pla*'))
+      })
+    })
+
+    test('index can be updated', function () {
+      var builder = this.createBuilder()
+
+      builder.mutable()
+
+      return builder.addAll(this.documents).then(function () {
+        return builder.buildAsync()
+      }).then(function (idx) {
+        idx.remove('a')
+
+        assert.lengthOf(idx.search('study'), 0)
+      })
+    })
+  })
 })
@@ -0,0 +1,129 @@
+suite('lunr.GeoMap', function () {
+  setup(function () {
+    this.london = { lat: 51.5074, lon: -0.1278 }
+    this.paris = { lat: 48.8566, lon: 2.3522 }
+  })
+
+  suite('.geohash', function () {
+    test('encodes a point', function () {
+      assert.equal('u4pruydqqvj', lunr.GeoMap.geohash({ lat: 57.64911, lon: 10.40744 }, 11))
+    })
+
+    test('shorter geohashes are prefixes', function () {
+      assert.equal('gcpvj', lunr.GeoMap.geohash(this.london, 5))
+    })
+  })
+
+  suite('.term and .point', function () {
+    test('round trip a point', function () {
+      var point = lunr.GeoMap.point(lunr.GeoMap.term(this.london))
+
+      assert.approximately(point.lat, this.london.lat, 1e-6)
+      assert.approximately(point.lon, this.london.lon, 1e-6)
+    })
+
+    test('terms that are not geo terms', function () {
+      assert.isUndefined(lunr.GeoMap.point('gcpvjb0fh1hb'))
+      assert.isUndefined(lunr.GeoMap.point('\u0001gcpv'))
+    })
+  })
+
+  suite('.parsePoint', function () {
+    test('object', function () {
+      assert.deepEqual({ lat: 1.5, lon: -2 }, lunr.GeoMap.parsePoint({ lat: 1.5, lon: -2 }))
+    })
+
+    test('string', function () {
+      assert.deepEqual({ lat: 1.5, lon: -2 }, lunr.GeoMap.parsePoint(' 1.5, -2'))
+    })
+
+    test('invalid values', function () {
+      assert.isUndefined(lunr.GeoMap.parsePoint({ lat: 91, lon: 0 }))
+      assert.isUndefined(lunr.GeoMap.parsePoint('1.5'))
+      assert.isUndefined(lunr.GeoMap.parsePoint('north, south'))
+      assert.isUndefined(lunr.GeoMap.parsePoint(null))
+    })
+  })
+
+  suite('.distance', function () {
+    test('between two points', function () {
+      assert.approximately(lunr.GeoMap.distance(this.london, this.paris), 343.6, 0.5)
+    })
+
+    test('to the same point', function () {
+      assert.equal(0, lunr.GeoMap.distance(this.london, this.london))
+    })
+  })
+
+  suite('.boundingBox', function () {
+    test('contains the points within the distance', function () {
+      var box = lunr.GeoMap.boundingBox(this.london, 400)
+
+      assert.isTrue(lunr.GeoMap.contains(box, this.paris))
+    })
+
+    test('crosses the antimeridian', function () {
+      var box = lunr.GeoMap.boundingBox({ lat: 0, lon: 179.9 }, 100)
+
+      assert.isAbove(box.left, box.right)
+      assert.isTrue(lunr.GeoMap.contains(box, { lat: 0, lon: -179.9 }))
+      assert.isFalse(lunr.GeoMap.contains(box, { lat: 0, lon: 0 }))
+    })
+
+    test('includes a pole', function () {
+      var box = lunr.GeoMap.boundingBox({ lat: 89.9, lon: 0 }, 100)
+
+      assert.deepEqual([90, -180, 180], [box.top, box.left, box.right])
+    })
+  })
+
+  suite('matching', function () {
+    setup(function () {
+      var builder = new lunr.GeoMap.Builder,
+          points = [this.london, this.paris, { lat: 50.8225, lon: -0.1372 }, { lat: -33.8688, lon: 151.2093 }]
+
+      points.forEach(function (point) {
+        builder.add(point, lunr.GeoMap.term(point))
+      })
+
+      this.map = builder.build()
+      this.points = points
+    })
+
+    test('finds the points within the distance', function () {
+      var tokens = this.map.matchDistance(this.london, 100).toArray()
+
+      assert.sameMembers([lunr.GeoMap.term(this.points[0]), lunr.GeoMap.term(this.points[2])], tokens)
+    })
+
+    test('finds every point', function () {
+      assert.lengthOf(this.map.matchDistance(this.london, 20100).toArray(), 4)
+    })
+
+    test('finds the points within a bounding box', function () {
+      var tokens = this.map.matchBoundingBox({ top: 52, left: 0, bottom: 48, right: 3 }).toArray()
+
+      assert.sameMembers([lunr.GeoMap.term(this.paris)], tokens)
+    })
+
+    test('finds the points within a bounding box crossing the antimeridian', function () {
+      var tokens = this.map.matchBoundingBox({ top: 0, left: 150, bottom: -40, right: -170 }).toArray()
+
+      assert.sameMembers([lunr.GeoMap.term(this.points[3])], tokens)
+    })
+
+    test('finds inserted points', function () {
+      var brighton = { lat: 50.8225, lon: -0.1372 }
+
+      this.map.insert(brighton, 'brighton')
+
+      assert.sameMembers([lunr.GeoMap.term(this.points[0]), lunr.GeoMap.term(brighton), 'brighton'], this.map.matchDistance(this.london, 100).toArray())
+    })
+
+    test('does not find removed points', function () {
+      this.map.remove(this.points[2], lunr.GeoMap.term(this.points[2]))
+
+      assert.sameMembers([lunr.GeoMap.term(this.points[0])], this.map.matchDistance(this.london, 100).toArray())
+    })
+  })
+})
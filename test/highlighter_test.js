@@ -0,0 +1,142 @@
+suite('lunr.Highlighter', function () {
+  setup(function () {
+    var documents = [{
+      id: 'a',
+      title: 'Mr. Green kills Colonel Mustard',
+      body: 'Mr. Green killed Colonel Mustard in the study with the candlestick. Mr. Green is not a very nice fellow.'
+    },{
+      id: 'b',
+      title: 'Plumb waters <plant>',
+      body: 'Professor Plumb has a green plant in his study'
+    }]
+
+    this.idx = lunr(function () {
+      this.ref('id')
+      this.field('title', { store: true })
+      this.field('body')
+      this.metadataWhitelist = ['position']
+
+      documents.forEach(function (document) {
+        this.add(document)
+      }, this)
+    })
+
+    this.documents = documents
+    this.highlighter = new lunr.Highlighter
+    this.result = function (queryString, ref) {
+      return this.idx.search(queryString).filter(function (result) {
+        return result.ref == ref
+      })[0]
+    }
+  })
+
+  suite('#ranges', function () {
+    test('finds the ranges of the matching terms', function () {
+      var result = this.idx.search('green candlestick')[0]
+
+      assert.deepEqual([
+        { start: 4, end: 9 },
+        { start: 55, end: 67 },
+        { start: 72, end: 77 }
+      ], this.highlighter.ranges(result, 'body'))
+    })
+
+    test('is empty for a field without matches', function () {
+      var result = this.idx.search('candlestick')[0]
+
+      assert.deepEqual([], this.highlighter.ranges(result, 'title'))
+    })
+  })
+
+  suite('#highlight', function () {
+    test('marks up the stored field', function () {
+      var result = this.idx.search('green')[0]
+
+      assert.equal('Mr. <mark>Green</mark> kills Colonel Mustard', this.highlighter.highlight(result, 'title'))
+    })
+
+    test('marks up the passed text', function () {
+      var result = this.idx.search('professor')[0]
+
+      assert.equal(
+        '<mark>Professor</mark> Plumb has a green plant in his study',
+        this.highlighter.highlight(result, 'body', this.documents[1].body)
+      )
+    })
+
+    test('escapes the text', function () {
+      var result = this.idx.search('plant')[0]
+
+      assert.equal('Plumb waters <mark>&lt;plant&gt;</mark>', this.highlighter.highlight(result, 'title'))
+    })
+
+    test('uses the mark up options', function () {
+      var highlighter = new lunr.Highlighter({ before: '[', after: ']', escape: function (s) { return s } }),
+          result = this.idx.search('plant')[0]
+
+      assert.equal('Plumb waters [<plant>]', highlighter.highlight(result, 'title'))
+    })
+
+    test('field that is not stored', function () {
+      var highlighter = this.highlighter,
+          result = this.idx.search('professor')[0]
+
+      assert.throws(function () {
+        highlighter.highlight(result, 'body')
+      })
+    })
+  })
+
+  suite('#snippet', function () {
+    setup(function () {
+      this.highlighter = new lunr.Highlighter({ snippetLength: 30 })
+    })
+
+    test('selects the window with the most matches', function () {
+      var highlighter = new lunr.Highlighter({ snippetLength: 40 }),
+          result = this.result('green fellow', 'a')
+
+      assert.equal(
+        '...Mr. <mark>Green</mark> is not a very nice <mark>fellow.</mark>',
+        highlighter.snippet(result, 'body', this.documents[0].body)
+      )
+    })
+
+    test('does not cut words in half', function () {
+      var result = this.result('study', 'a')
+
+      assert.equal(
+        '...in the <mark>study</mark> with the...',
+        this.highlighter.snippet(result, 'body', this.documents[0].body)
+      )
+    })
+
+    test('starts at the beginning of a text without matches', function () {
+      var result = this.result('study', 'a')
+
+      assert.equal(
+        'Mr. Green kills Colonel...',
+        new lunr.Highlighter({ snippetLength: 25 }).snippet(result, 'title')
+      )
+    })
+
+    test('returns short texts whole', function () {
+      var result = this.result('plant', 'b')
+
+      assert.equal('Plumb waters <mark>&lt;plant&gt;</mark>', this.highlighter.snippet(result, 'title'))
+    })
+  })
+
+  suite('.mergeRanges', function () {
+    test('merges overlapping and adjacent ranges', function () {
+      var ranges = lunr.Highlighter.mergeRanges([
+        { start: 10, end: 12 },
+        { start: 0, end: 5 },
+        { start: 3, end: 8 },
+        { start: 8, end: 9 }
+      ])
+
+      assert.deepEqual([{ start: 0, end: 9 }, { start: 10, end: 12 }], ranges)
+    })
+  })
+})
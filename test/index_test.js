@@ -0,0 +1,515 @@
+suite('lunr.Index', function () {
+  setup(function () {
+    this.documents = [{
+      id: 'a',
+      title: 'Mr. Green kills Colonel Mustard',
+      body: 'Mr. Green killed Colonel Mustard in the study with the candlestick. Mr. Green is not a very nice fellow.',
+      wordCount: 19
+    },{
+      id: 'b',
+      title: 'Plumb waters plant',
+      body: 'Professor Plumb has a green plant in his study',
+      wordCount: 9
+    },{
+      id: 'c',
+      title: 'Scarlett helps Professor',
+      body: 'Miss Scarlett watered Professor Plumbs green plant while he was away from his office last week.',
+      wordCount: 16
+    }]
+
+    this.build = function (documents) {
+      return lunr(function () {
+        this.mutable()
+        this.ref('id')
+        this.field('title', { store: true })
+        this.field('body')
+        this.field('wordCount', { type: 'number', sortable: true })
+
+        documents.forEach(function (document) {
+          this.add(document)
+        }, this)
+      })
+    }
+
+    this.weights = function (idx, fieldRef) {
+      var vector = idx.fieldVectors[fieldRef],
+          weights = {}
+
+      Object.keys(idx.invertedIndex).forEach(function (term) {
+        var termIndex = idx.invertedIndex[term]._index,
+            position = vector.positionForIndex(termIndex)
+
+        if (vector.elements[position] == termIndex) {
+          weights[term] = vector.elements[position + 1]
+        }
+      })
+
+      return weights
+    }
+  })
+
+  suite('#add', function () {
+    setup(function () {
+      this.idx = this.build(this.documents.slice(0, 2))
+      this.idx.add(this.documents[2])
+      this.rebuiltIdx = this.build(this.documents)
+    })
+
+    test('finds the added document', function () {
+      var results = this.idx.search('scarlett')
+
+      assert.lengthOf(results, 1)
+      assert.equal('c', results[0].ref)
+    })
+
+    test('adds new terms to the token set', function () {
+      var results = this.idx.search('scar*')
+
+      assert.lengthOf(results, 1)
+      assert.equal('c', results[0].ref)
+    })
+
+    test('adds new numbers to the number map', function () {
+      var results = this.idx.search('wordCount:>=16')
+
+      assert.sameMembers(['a', 'c'], results.map(function (r) { return r.ref }))
+    })
+
+    test('weighs the added document as a rebuilt index does', function () {
+      assert.deepEqual(this.rebuiltIdx.fieldVectors['title/c'], this.idx.fieldVectors['title/c'])
+      assert.deepEqual(this.rebuiltIdx.fieldVectors['body/c'], this.idx.fieldVectors['body/c'])
+    })
+
+    test('weighs the other documents again', function () {
+      assert.deepEqual(this.weights(this.rebuiltIdx, 'body/a'), this.weights(this.idx, 'body/a'))
+    })
+
+    test('scores match a rebuilt index', function () {
+      assert.deepEqual(this.rebuiltIdx.search('green plant'), this.idx.search('green plant'))
+    })
+
+    test('existing document ref', function () {
+      var idx = this.idx,
+          doc = this.documents[0]
+
+      assert.throws(function () {
+        idx.add(doc)
+      })
+    })
+  })
+
+  suite('#remove', function () {
+    setup(function () {
+      this.idx = this.build(this.documents)
+      this.removed = this.idx.remove('c')
+      this.rebuiltIdx = this.build(this.documents.slice(0, 2))
+    })
+
+    test('returns true', function () {
+      assert.isTrue(this.removed)
+    })
+
+    test('no longer finds the removed document', function () {
+      assert.lengthOf(this.idx.search('scarlett'), 0)
+    })
+
+    test('removes unused terms from the inverted index', function () {
+      assert.notProperty(this.idx.invertedIndex, 'scarlett')
+    })
+
+    test('removes unused terms from the token set', function () {
+      assert.lengthOf(this.idx.search('scar*'), 0)
+    })
+
+    test('removes the stored fields', function () {
+      assert.notProperty(this.idx.documentStore, 'c')
+    })
+
+    test('removes the sort values', function () {
+      assert.notProperty(this.idx.docValues.wordCount, 'c')
+    })
+
+    test('removes the field vectors', function () {
+      assert.notProperty(this.idx.fieldVectors, 'title/c')
+      assert.notProperty(this.idx.fieldVectors, 'body/c')
+    })
+
+    test('weighs the other documents again', function () {
+      assert.deepEqual(this.weights(this.rebuiltIdx, 'body/a'), this.weights(this.idx, 'body/a'))
+    })
+
+    test('scores match a rebuilt index', function () {
+      assert.deepEqual(this.rebuiltIdx.search('green plant'), this.idx.search('green plant'))
+    })
+
+    test('unknown document ref', function () {
+      assert.isFalse(this.idx.remove('z'))
+    })
+  })
+
+  suite('#update', function () {
+    setup(function () {
+      this.updatedDocument = {
+        id: 'b',
+        title: 'Plumb waters orchid',
+        body: 'Professor Plumb has a green orchid in his study',
+        wordCount: 9
+      }
+
+      this.idx = this.build(this.documents)
+      this.idx.update('b', this.updatedDocument)
+      this.rebuiltIdx = this.build([this.documents[0], this.updatedDocument, this.documents[2]])
+    })
+
+    test('finds the updated document by new terms', function () {
+      var results = this.idx.search('orchid')
+
+      assert.lengthOf(results, 1)
+      assert.equal('b', results[0].ref)
+    })
+
+    test('replaces the stored fields', function () {
+      assert.equal('Plumb waters orchid', this.idx.search('orchid')[0].doc.title)
+    })
+
+    test('replaces the sort values', function () {
+      var results = this.idx.search('green', { sort: [{ field: 'wordCount' }] })
+
+      assert.deepEqual(['b', 'c', 'a'], results.map(function (r) { return r.ref }))
+    })
+
+    test('no longer finds the updated document by old terms', function () {
+      var results = this.idx.search('title:plant')
+
+      assert.lengthOf(results, 0)
+    })
+
+    test('weighs the updated document as a rebuilt index does', function () {
+      assert.deepEqual(this.weights(this.rebuiltIdx, 'title/b'), this.weights(this.idx, 'title/b'))
+      assert.deepEqual(this.weights(this.rebuiltIdx, 'body/b'), this.weights(this.idx, 'body/b'))
+    })
+
+    test('scores match a rebuilt index', function () {
+      assert.deepEqual(this.rebuiltIdx.search('green plant'), this.idx.search('green plant'))
+    })
+  })
+
+  suite('.merge', function () {
+    setup(function () {
+      this.first = this.build(this.documents.slice(0, 2))
+      this.second = this.build(this.documents.slice(2))
+      this.idx = lunr.Index.merge(this.first, this.second)
+      this.rebuiltIdx = this.build(this.documents)
+    })
+
+    test('finds documents of every index', function () {
+      var results = this.idx.search('green')
+
+      assert.sameMembers(['a', 'b', 'c'], results.map(function (r) { return r.ref }))
+    })
+
+    test('assigns unique term indexes', function () {
+      var invertedIndex = this.idx.invertedIndex,
+          termIndexes = Object.keys(invertedIndex).map(function (term) {
+            return invertedIndex[term]._index
+          })
+
+      assert.lengthOf(termIndexes, Object.keys(this.rebuiltIdx.invertedIndex).length)
+      assert.sameMembers(Object.keys(termIndexes).map(Number), termIndexes)
+    })
+
+    test('merges the token sets', function () {
+      assert.sameMembers(this.rebuiltIdx.tokenSet.toArray(), this.idx.tokenSet.toArray())
+    })
+
+    test('merges the number maps', function () {
+      var results = this.idx.search('wordCount:>=16')
+
+      assert.sameMembers(['a', 'c'], results.map(function (r) { return r.ref }))
+    })
+
+    test('merges the stored fields and sort values', function () {
+      var results = this.idx.search('green', { sort: [{ field: 'wordCount' }] })
+
+      assert.deepEqual(['b', 'c', 'a'], results.map(function (r) { return r.ref }))
+      assert.equal('Scarlett helps Professor', results[1].doc.title)
+    })
+
+    test('scores match a rebuilt index', function () {
+      assert.deepEqual(this.rebuiltIdx.search('green plant'), this.idx.search('green plant'))
+      assert.deepEqual(this.rebuiltIdx.search('study'), this.idx.search('study'))
+    })
+
+    test('does not change the merged indexes', function () {
+      assert.lengthOf(this.first.search('scarlett'), 0)
+      assert.lengthOf(this.second.search('mustard'), 0)
+    })
+
+    test('merged index can be updated', function () {
+      this.idx.remove('c')
+
+      assert.lengthOf(this.idx.search('scarlett'), 0)
+      assert.lengthOf(this.second.search('scarlett'), 1)
+    })
+
+    test('duplicate document ref', function () {
+      var first = this.first
+
+      assert.throws(function () {
+        lunr.Index.merge(first, first)
+      }, /more than one/)
+    })
+
+    test('different fields', function () {
+      var first = this.first,
+          other = lunr(function () {
+            this.mutable()
+            this.field('title')
+            this.add({ id: 'd', title: 'Peacock' })
+          })
+
+      assert.throws(function () {
+        lunr.Index.merge(first, other)
+      }, /different fields/)
+    })
+
+    test('different field types', function () {
+      var first = this.first,
+          other = lunr(function () {
+            this.mutable()
+            this.field('title', { store: true })
+            this.field('body')
+            this.field('wordCount', { type: 'keyword' })
+            this.add({ id: 'd', title: 'Peacock', body: 'Mrs. Peacock', wordCount: '2' })
+          })
+
+      assert.throws(function () {
+        lunr.Index.merge(first, other)
+      }, /different field types/)
+    })
+
+    test('different pipelines', function () {
+      var first = this.first,
+          other = lunr(function () {
+            this.mutable()
+            this.pipeline.remove(lunr.stemmer)
+            this.field('title', { store: true })
+            this.field('body')
+            this.field('wordCount', { type: 'number', sortable: true })
+            this.add({ id: 'd', title: 'Peacock', body: 'Mrs. Peacock', wordCount: 2 })
+          })
+
+      assert.throws(function () {
+        lunr.Index.merge(first, other)
+      }, /different pipelines/)
+    })
+
+    test('loaded index', function () {
+      var first = this.first,
+          loaded = lunr.Index.load(JSON.parse(JSON.stringify(this.second)))
+
+      assert.throws(function () {
+        lunr.Index.merge(first, loaded)
+      }, /cannot be merged/)
+    })
+  })
+
+  suite('#tune', function () {
+    setup(function () {
+      this.idx = this.build(this.documents)
+    })
+
+    test('recalculates the field vectors', function () {
+      var documents = this.documents,
+          expected = lunr(function () {
+            this.ref('id')
+            this.field('title', { store: true, b: 0.2 })
+            this.field('body')
+            this.field('wordCount', { type: 'number', sortable: true })
+            this.k1(2)
+
+            documents.forEach(function (document) {
+              this.add(document)
+            }, this)
+          })
+
+      this.idx.tune({ k1: 2, fields: { title: { b: 0.2 } } })
+
+      assert.deepEqual(expected.fieldVectors, this.idx.fieldVectors)
+      assert.deepEqual(expected.search('green plant'), this.idx.search('green plant'))
+    })
+
+    test('unknown field', function () {
+      var idx = this.idx
+
+      assert.throws(function () {
+        idx.tune({ fields: { author: { b: 0.2 } } })
+      }, /has not been added/)
+    })
+
+    test('invalid parameters are not applied', function () {
+      var idx = this.idx,
+          fieldVectors = JSON.stringify(idx.fieldVectors)
+
+      assert.throws(function () {
+        idx.tune({ k1: 2, fields: { title: { b: 0.2 }, author: { b: 0.2 } } })
+      }, /has not been added/)
+
+      assert.throws(function () {
+        idx.tune({ k1: 2, fields: { title: { b: 0.2 }, body: { k1: 'high' } } })
+      }, RangeError)
+
+      assert.equal(fieldVectors, JSON.stringify(idx.fieldVectors))
+
+      idx.tune({})
+
+      assert.equal(fieldVectors, JSON.stringify(idx.fieldVectors))
+    })
+
+    test('loaded index', function () {
+      var idx = lunr.Index.load(JSON.parse(JSON.stringify(this.idx)))
+
+      assert.throws(function () {
+        idx.tune({ b: 0.2 })
+      }, /cannot be updated/)
+    })
+  })
+
+  suite('#explain', function () {
+    setup(function () {
+      this.idx = this.build(this.documents)
+      this.fieldScores = function (clauses) {
+        return clauses.reduce(function (sum, clause) {
+          if (clause.clauses) {
+            return sum + this.fieldScores(clause.clauses)
+          }
+
+          return clause.terms.reduce(function (sum, term) {
+            return term.fields.reduce(function (sum, field) {
+              return sum + field.score
+            }, sum)
+          }, sum)
+        }.bind(this), 0)
+      }
+    })
+
+    test('score matches the search result', function () {
+      var result = this.idx.search('green plant^10 study')[0],
+          explanation = this.idx.explain('green plant^10 study', result.ref)
+
+      assert.equal(result.ref, explanation.ref)
+      assert.equal(result.score, explanation.score)
+      assert.closeTo(explanation.score, this.fieldScores(explanation.clauses), 1e-9)
+    })
+
+    test('explains each clause', function () {
+      var explanation = this.idx.explain('green plant^10', 'b')
+
+      assert.deepEqual(['green', 'plant'], explanation.clauses.map(function (c) { return c.term }))
+      assert.equal(10, explanation.clauses[1].boost)
+      assert.equal(lunr.Query.presence.OPTIONAL, explanation.clauses[1].presence)
+    })
+
+    test('explains the expanded terms', function () {
+      var clause = this.idx.explain('plum*', 'c').clauses[0]
+
+      assert.equal('plum*', clause.term)
+      assert.deepEqual(['plumb'], clause.terms.map(function (t) { return t.term }))
+    })
+
+    test('explains the weight of a term in a field', function () {
+      var field = this.idx.explain('title:plant', 'b').clauses[0].terms[0].fields[0],
+          length = 1 - field.b + field.b * field.fieldLength / field.averageFieldLength,
+          weight = field.idf * (field.k1 + 1) * field.tf / (field.k1 * length + field.tf) * field.fieldBoost * field.documentBoost
+
+      assert.equal('title', field.field)
+      assert.equal(1, field.tf)
+      assert.equal(3, field.fieldLength)
+      assert.equal(0.75, field.b)
+      assert.equal(1.2, field.k1)
+      assert.equal(lunr.idf(this.idx.invertedIndex['plant'], 3), field.idf)
+      assert.closeTo(weight, field.weight, 0.001)
+      assert.closeTo(field.boost * field.weight / field.queryNorm, field.score, 1e-9)
+    })
+
+    test('explains groups', function () {
+      var query = '+green (plant OR candlestick^5) -scarlett',
+          result = this.idx.search(query).filter(function (r) { return r.ref == 'b' })[0],
+          explanation = this.idx.explain(query, 'b'),
+          group = explanation.clauses[1]
+
+      assert.lengthOf(group.clauses, 2)
+      assert.equal(group.score, group.clauses[0].score + group.clauses[1].score)
+      assert.equal(0, explanation.clauses[2].score)
+      assert.closeTo(result.score, this.fieldScores(explanation.clauses), 1e-9)
+    })
+
+    test('with a query builder', function () {
+      var explanation = this.idx.explain(function (q) {
+        q.term('study', { fields: ['body'] })
+      }, 'a')
+
+      assert.deepEqual(['body'], explanation.clauses[0].fields)
+      assert.equal('studi', explanation.clauses[0].terms[0].term)
+    })
+
+    test('document that does not match', function () {
+      assert.isUndefined(this.idx.explain('scarlett', 'a'))
+    })
+
+    test('loaded index', function () {
+      var idx = lunr.Index.load(JSON.parse(JSON.stringify(this.idx))),
+          field = idx.explain('plant', 'b').clauses[0].terms[0].fields[0]
+
+      assert.equal(lunr.idf(idx.invertedIndex['plant'], 3), field.idf)
+      assert.isUndefined(field.tf)
+      assert.equal(idx.search('plant')[0].score, idx.explain('plant', 'b').score)
+    })
+  })
+
+  suite('loaded index', function () {
+    setup(function () {
+      this.idx = lunr.Index.load(JSON.parse(JSON.stringify(this.build(this.documents))))
+    })
+
+    test('cannot be updated', function () {
+      var idx = this.idx
+
+      assert.throws(function () {
+        idx.remove('a')
+      })
+    })
+  })
+
+  suite('index that is not mutable', function () {
+    setup(function () {
+      var documents = this.documents
+
+      this.idx = lunr(function () {
+        this.ref('id')
+        this.field('title')
+
+        documents.forEach(function (document) {
+          this.add(document)
+        }, this)
+      })
+    })
+
+    test('cannot be updated', function () {
+      var idx = this.idx,
+          doc = { id: 'd', title: 'Peacock' }
+
+      assert.throws(function () {
+        idx.add(doc)
+      }, /only mutable indexes/)
+    })
+
+    test('cannot be merged', function () {
+      var idx = this.idx
+
+      assert.throws(function () {
+        lunr.Index.merge(idx)
+      }, /only mutable indexes/)
+    })
+  })
+})
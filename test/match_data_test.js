@@ -38,4 +38,34 @@ suite('lunr.MatchData', function () {
       assert.deepEqual(metadata.foo, [1])
     })
   })
+
+  suite('#toJSON', function () {
+    setup(function () {
+      this.match = new lunr.MatchData('foo', 'title', { position: [[0, 3]] })
+      this.match.combine(new lunr.MatchData('bar', 'body', { position: [[4, 3]] }))
+    })
+
+    test('serializes the metadata', function () {
+      assert.deepEqual({
+        foo: { title: { position: [[0, 3]] } },
+        bar: { body: { position: [[4, 3]] } }
+      }, JSON.parse(JSON.stringify(this.match)))
+    })
+
+    test('loads the serialized match data', function () {
+      var loaded = lunr.MatchData.load(this.match.toJSON())
+
+      assert.instanceOf(loaded, lunr.MatchData)
+      assert.deepEqual(this.match.metadata, loaded.metadata)
+    })
+
+    test('loaded match data can be combined', function () {
+      var loaded = lunr.MatchData.load(this.match.toJSON())
+
+      loaded.combine(new lunr.MatchData('foo', 'title', { position: [[8, 3]] }))
+
+      assert.deepEqual([[0, 3], [8, 3]], loaded.metadata.foo.title.position)
+      assert.deepEqual([[0, 3]], this.match.metadata.foo.title.position)
+    })
+  })
 })
@@ -0,0 +1,158 @@
+suite('lunr.MultiIndex', function () {
+  setup(function () {
+    this.build = function (documents) {
+      return lunr(function () {
+        this.mutable()
+        this.ref('id')
+        this.field('title', { store: true })
+        this.field('category', { type: 'keyword', facet: true })
+        this.field('wordCount', { type: 'number', sortable: true })
+
+        documents.forEach(function (document) {
+          this.add(document)
+        }, this)
+      })
+    }
+
+    this.guides = [
+      { id: 'a', title: 'green plant', category: 'garden', wordCount: 10 },
+      { id: 'b', title: 'watering cans', category: 'tools', wordCount: 30 }
+    ]
+
+    this.blog = [
+      { id: 'a', title: 'green plant', category: 'garden', wordCount: 20 },
+      { id: 'c', title: 'green house', category: 'garden', wordCount: 40 },
+      { id: 'd', title: 'green fingers', category: 'people', wordCount: 5 },
+      { id: 'e', title: 'green lawn', category: 'garden', wordCount: 15 }
+    ]
+
+    this.guidesIdx = this.build(this.guides)
+    this.blogIdx = this.build(this.blog)
+    this.multiIndex = new lunr.MultiIndex({ guides: this.guidesIdx, blog: this.blogIdx })
+    this.refs = function (results) {
+      return results.map(function (r) { return r.index + '/' + r.ref })
+    }
+  })
+
+  suite('#search', function () {
+    test('finds documents of every index', function () {
+      var results = this.multiIndex.search('plant')
+
+      assert.sameMembers(['guides/a', 'blog/a'], this.refs(results))
+    })
+
+    test('tags results with their index', function () {
+      var results = this.multiIndex.search('watering')
+
+      assert.lengthOf(results, 1)
+      assert.equal('guides', results[0].index)
+      assert.equal('b', results[0].ref)
+      assert.equal('watering cans', results[0].doc.title)
+    })
+
+    test('scores with the combined document frequencies', function () {
+      var ownScores = [
+            this.guidesIdx.search('green')[0].score,
+            this.blogIdx.search('green').filter(function (r) { return r.ref == 'a' })[0].score
+          ],
+          results = this.multiIndex.search('green'),
+          guidesScore = results.filter(function (r) { return r.index == 'guides' })[0].score,
+          blogScore = results.filter(function (r) { return r.index == 'blog' && r.ref == 'a' })[0].score
+
+      assert.notEqual(ownScores[0], ownScores[1])
+      assert.closeTo(guidesScore, blogScore, 0.001)
+    })
+
+    test('scores match a single index of all documents', function () {
+      var idx = this.build(this.guides.concat(this.blog.slice(1), { id: 'z', title: 'green plant', category: 'garden', wordCount: 20 })),
+          expected = idx.search('green plant').filter(function (r) { return r.ref == 'a' })[0].score,
+          results = this.multiIndex.search('green plant')
+
+      results.filter(function (r) { return r.ref == 'a' }).forEach(function (result) {
+        assert.closeTo(expected, result.score, 0.001)
+      })
+    })
+
+    test('does not change the indexes', function () {
+      var vectors = JSON.stringify(this.blogIdx.fieldVectors)
+
+      this.multiIndex.search('green')
+
+      assert.equal(vectors, JSON.stringify(this.blogIdx.fieldVectors))
+    })
+
+    test('sorts the results of all indexes', function () {
+      var results = this.multiIndex.search('green', { sort: [{ field: 'wordCount' }] })
+
+      assert.deepEqual(['blog/d', 'guides/a', 'blog/e', 'blog/a', 'blog/c'], this.refs(results))
+    })
+
+    test('pages the results of all indexes', function () {
+      var results = this.multiIndex.search('green', { sort: [{ field: 'wordCount' }], offset: 1, limit: 2 })
+
+      assert.deepEqual(['guides/a', 'blog/e'], this.refs(results))
+      assert.equal(5, results.total)
+    })
+
+    test('adds the facet counts of all indexes', function () {
+      var results = this.multiIndex.search('green', { facets: ['category'] })
+
+      assert.deepEqual({ garden: 4, people: 1 }, results.facets.category)
+    })
+
+    test('normalizes the scores by the top score of all indexes', function () {
+      var scores = this.multiIndex.search('green plant').map(function (r) { return r.score }),
+          results = this.multiIndex.search('green plant', { normalizeScores: true, sort: [{ field: 'wordCount' }], limit: 2 })
+
+      assert.deepEqual(['blog/d', 'guides/a'], this.refs(results))
+      assert.closeTo(scores[scores.length - 1] / scores[0], results[0].score, 1e-6)
+      assert.closeTo(1, results[1].score, 1e-6)
+    })
+
+    test('drops results below the minimum relative score of all indexes', function () {
+      var results = this.multiIndex.search('green plant', { minRelativeScore: 0.5, sort: [{ field: 'wordCount' }], limit: 1 })
+
+      assert.deepEqual(['guides/a'], this.refs(results))
+      assert.equal(2, results.total)
+    })
+
+    test('rescales the scores after a document is removed', function () {
+      this.multiIndex.search('green')
+      this.blogIdx.remove('c')
+
+      var multiIndex = new lunr.MultiIndex({ guides: this.guidesIdx, blog: this.blogIdx })
+
+      assert.deepEqual(multiIndex.search('green'), this.multiIndex.search('green'))
+    })
+
+    test('invalid limit', function () {
+      var multiIndex = this.multiIndex
+
+      assert.throws(function () {
+        multiIndex.search('green', { limit: -1 })
+      }, RangeError)
+    })
+
+    test('rescales the scores after an index is updated', function () {
+      this.multiIndex.search('green')
+      this.guidesIdx.add({ id: 'f', title: 'green plant', category: 'garden', wordCount: 25 })
+
+      var results = this.multiIndex.search('green').filter(function (r) { return r.ref == 'a' || r.ref == 'f' })
+
+      assert.lengthOf(results, 3)
+      results.forEach(function (result) {
+        assert.closeTo(results[0].score, result.score, 0.001)
+      })
+    })
+  })
+
+  suite('#query', function () {
+    test('builds the query for every index', function () {
+      var results = this.multiIndex.query(function (q) {
+        q.term('fingers')
+      })
+
+      assert.deepEqual(['blog/d'], this.refs(results))
+    })
+  })
+})
@@ -0,0 +1,70 @@
+suite('lunr.NumberMap', function () {
+  setup(function () {
+    this.numberMap = lunr.NumberMap.load([[10, ['10']], [20, ['20', '20.0']], [30, ['30']]])
+    this.matchComparator = function (comparator, comparand) {
+      return this.numberMap.matchComparator(comparator, comparand).toArray().sort()
+    }
+  })
+
+  suite('#matchComparator', function () {
+    test('greater than a number in the map', function () {
+      assert.deepEqual(['30'], this.matchComparator('>', 20))
+    })
+
+    test('greater than a number between numbers of the map', function () {
+      assert.deepEqual(['20', '20.0', '30'], this.matchComparator('>', 15))
+    })
+
+    test('greater than or equal to a number in the map', function () {
+      assert.deepEqual(['20', '20.0', '30'], this.matchComparator('>=', 20))
+    })
+
+    test('greater than or equal to a number between numbers of the map', function () {
+      assert.deepEqual(['20', '20.0', '30'], this.matchComparator('>=', 15))
+    })
+
+    test('less than a number in the map', function () {
+      assert.deepEqual(['10'], this.matchComparator('<', 20))
+    })
+
+    test('less than a number between numbers of the map', function () {
+      assert.deepEqual(['10', '20', '20.0'], this.matchComparator('<', 25))
+    })
+
+    test('less than or equal to a number in the map', function () {
+      assert.deepEqual(['10', '20', '20.0'], this.matchComparator('<=', 20))
+    })
+
+    test('less than or equal to a number between numbers of the map', function () {
+      assert.deepEqual(['10', '20', '20.0'], this.matchComparator('<=', 25))
+    })
+
+    test('numbers outside of the map', function () {
+      assert.deepEqual(['10', '20', '20.0', '30'], this.matchComparator('>', 5))
+      assert.deepEqual([], this.matchComparator('>', 30))
+      assert.deepEqual([], this.matchComparator('<', 10))
+      assert.deepEqual(['10', '20', '20.0', '30'], this.matchComparator('<=', 35))
+    })
+  })
+
+  suite('#matchRange', function () {
+    setup(function () {
+      this.matchRange = function (start, end) {
+        return this.numberMap.matchRange(start, end).toArray().sort()
+      }
+    })
+
+    test('numbers in the map', function () {
+      assert.deepEqual(['10', '20', '20.0'], this.matchRange(10, 30))
+    })
+
+    test('numbers between numbers of the map', function () {
+      assert.deepEqual(['20', '20.0'], this.matchRange(15, 25))
+    })
+
+    test('unbounded', function () {
+      assert.deepEqual(['10', '20', '20.0'], this.matchRange('*', 25))
+      assert.deepEqual(['20', '20.0', '30'], this.matchRange(15, '*'))
+    })
+  })
+})
@@ -332,6 +332,46 @@ suite('lunr.QueryLexer', function () {
       })
     })
 
+    suite('term with field boost', function () {
+      setup(function () {
+        this.lexer = lex('title^5:foo')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.FIELD_BOOST,
+          lunr.QueryLexer.TERM
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['title', '5', 'foo'])
+      })
+
+      test('#start', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.start }), [0, 6, 8])
+      })
+    })
+
+    suite('phrase with decimal field boost', function () {
+      setup(function () {
+        this.lexer = lex('title^2.5:"foo bar"')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.FIELD_BOOST,
+          lunr.QueryLexer.PHRASE
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['title', '2.5', 'foo bar'])
+      })
+    })
+
     suite('term with presence required', function () {
       setup(function () {
         this.lexer = lex('+foo')
@@ -497,6 +537,384 @@ suite('lunr.QueryLexer', function () {
       })
     })
 
+    suite('phrase', function () {
+      setup(function () {
+        this.lexer = lex('"foo bar"')
+      })
+
+      test('produces 1 lexeme', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+      })
+
+      suite('lexeme', function () {
+        setup(function () {
+          this.lexeme = this.lexer.lexemes[0]
+        })
+
+        test('#type', function () {
+          assert.equal(lunr.QueryLexer.PHRASE, this.lexeme.type)
+        })
+
+        test('#str', function () {
+          assert.equal('foo bar', this.lexeme.str)
+        })
+
+        test('#start', function () {
+          assert.equal(1, this.lexeme.start)
+        })
+
+        test('#end', function () {
+          assert.equal(8, this.lexeme.end)
+        })
+      })
+    })
+
+    suite('phrase with field and boost followed by a term', function () {
+      setup(function () {
+        this.lexer = lex('title:"foo bar"^2 baz')
+      })
+
+      test('produces 4 lexemes', function () {
+        assert.lengthOf(this.lexer.lexemes, 4)
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.PHRASE,
+          lunr.QueryLexer.BOOST,
+          lunr.QueryLexer.TERM
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['title', 'foo bar', '2', 'baz'])
+      })
+    })
+
+    suite('phrase with slop', function () {
+      setup(function () {
+        this.lexer = lex('"foo bar"~2')
+      })
+
+      test('produces 2 lexemes', function () {
+        assert.lengthOf(this.lexer.lexemes, 2)
+      })
+
+      suite('lexemes', function () {
+        setup(function () {
+          this.phraseLexeme = this.lexer.lexemes[0]
+          this.slopLexeme = this.lexer.lexemes[1]
+        })
+
+        test('#type', function () {
+          assert.equal(lunr.QueryLexer.PHRASE, this.phraseLexeme.type)
+          assert.equal(lunr.QueryLexer.SLOP, this.slopLexeme.type)
+        })
+
+        test('#str', function () {
+          assert.equal('foo bar', this.phraseLexeme.str)
+          assert.equal('2', this.slopLexeme.str)
+        })
+
+        test('#start', function () {
+          assert.equal(1, this.phraseLexeme.start)
+          assert.equal(10, this.slopLexeme.start)
+        })
+
+        test('#end', function () {
+          assert.equal(8, this.phraseLexeme.end)
+          assert.equal(11, this.slopLexeme.end)
+        })
+      })
+    })
+
+    suite('phrase with boost and slop followed by a term with edit distance', function () {
+      setup(function () {
+        this.lexer = lex('"foo bar"^3~2 baz~1')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.PHRASE,
+          lunr.QueryLexer.BOOST,
+          lunr.QueryLexer.SLOP,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.EDIT_DISTANCE
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['foo bar', '3', '2', 'baz', '1'])
+      })
+    })
+
+    suite('unterminated phrase', function () {
+      setup(function () {
+        this.lexer = lex('baz "foo bar')
+      })
+
+      test('quote is part of a term', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM
+        ])
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['baz', '"foo', 'bar'])
+      })
+    })
+
+    suite('phrase with escaped quote', function () {
+      setup(function () {
+        this.lexer = lex('"foo \\" bar"')
+      })
+
+      test('produces 1 lexeme', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+        assert.equal('foo " bar', this.lexer.lexemes[0].str)
+      })
+    })
+
+    suite('quote within a term', function () {
+      setup(function () {
+        this.lexer = lex('foo"bar')
+      })
+
+      test('is part of the term', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+        assert.equal(lunr.QueryLexer.TERM, this.lexer.lexemes[0].type)
+        assert.equal('foo"bar', this.lexer.lexemes[0].str)
+      })
+    })
+
+    suite('group with operator', function () {
+      setup(function () {
+        this.lexer = lex('-(foo OR title:bar)^2 AND NOT baz')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.PRESENCE,
+          lunr.QueryLexer.GROUP_START,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.OPERATOR,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.GROUP_END,
+          lunr.QueryLexer.BOOST,
+          lunr.QueryLexer.OPERATOR,
+          lunr.QueryLexer.OPERATOR,
+          lunr.QueryLexer.TERM
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), [
+          '-', '(', 'foo', 'OR', 'title', 'bar', ')', '2', 'AND', 'NOT', 'baz'
+        ])
+      })
+    })
+
+    suite('phrase and range within a group', function () {
+      setup(function () {
+        this.lexer = lex('("foo bar" wordCount:1..5)')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.GROUP_START,
+          lunr.QueryLexer.PHRASE,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.RANGE_START,
+          lunr.QueryLexer.RANGE_END,
+          lunr.QueryLexer.GROUP_END
+        ])
+      })
+    })
+
+    suite('date comparand', function () {
+      setup(function () {
+        this.lexer = lex('published:>=2024-01-31T10:00:00Z foo')
+      })
+
+      test('is lexed as a whole', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.COMPARATOR,
+          lunr.QueryLexer.COMPARAND,
+          lunr.QueryLexer.TERM
+        ])
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), [
+          'published', '>=', '2024-01-31T10:00:00Z', 'foo'
+        ])
+      })
+    })
+
+    suite('relative date comparand', function () {
+      setup(function () {
+        this.lexer = lex('published:>now-30d')
+      })
+
+      test('is lexed as a whole', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['published', '>', 'now-30d'])
+      })
+    })
+
+    suite('range of dates', function () {
+      setup(function () {
+        this.lexer = lex('(published:2024-01..2024-06)')
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.GROUP_START,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.RANGE_START,
+          lunr.QueryLexer.RANGE_END,
+          lunr.QueryLexer.GROUP_END
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), [
+          '(', 'published', '2024-01', '2024-06', ')'
+        ])
+      })
+
+      test('#start', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.start }), [0, 1, 11, 20, 27])
+      })
+    })
+
+    suite('open range of dates', function () {
+      setup(function () {
+        this.lexer = lex('published:*..now-1w')
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['published', '*', 'now-1w'])
+      })
+    })
+
+    suite('date value of a date field', function () {
+      setup(function () {
+        var lexer = new lunr.QueryLexer('published:2024-06-30 title:2024-06-30', [], ['published'])
+        lexer.run()
+        this.lexer = lexer
+      })
+
+      test('is a single term', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['published', '2024-06-30', 'title', '2024', '06', '30'])
+      })
+    })
+
+    suite('date that does not start a range', function () {
+      setup(function () {
+        this.lexer = lex('title:2024-01')
+      })
+
+      test('is lexed as terms', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM
+        ])
+      })
+    })
+
+    suite('keyword field', function () {
+      setup(function () {
+        this.lexer = new lunr.QueryLexer('(sku:node-js^2 tags:C++) sku:"new york" node-js', ['sku', 'tags'])
+        this.lexer.run()
+      })
+
+      test('#type', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.GROUP_START,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.BOOST,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.GROUP_END,
+          lunr.QueryLexer.FIELD,
+          lunr.QueryLexer.PHRASE,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM
+        ])
+      })
+
+      test('#str', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), [
+          '(', 'sku', 'node-js', '2', 'tags', 'C++', ')', 'sku', 'new york', 'node', 'js'
+        ])
+      })
+    })
+
+    suite('lower case operator', function () {
+      setup(function () {
+        this.lexer = lex('foo and bar')
+      })
+
+      test('is a term', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.TERM
+        ])
+      })
+    })
+
+    suite('escaped operator', function () {
+      setup(function () {
+        this.lexer = lex('\\AND')
+      })
+
+      test('is a term', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+        assert.equal(lunr.QueryLexer.TERM, this.lexer.lexemes[0].type)
+        assert.equal('AND', this.lexer.lexemes[0].str)
+      })
+    })
+
+    suite('opening parenthesis within a term', function () {
+      setup(function () {
+        this.lexer = lex('f(x')
+      })
+
+      test('is part of the term', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+        assert.equal(lunr.QueryLexer.TERM, this.lexer.lexemes[0].type)
+        assert.equal('f(x', this.lexer.lexemes[0].str)
+      })
+    })
+
+    suite('closing parenthesis without a group', function () {
+      setup(function () {
+        this.lexer = lex('foo)')
+      })
+
+      test('ends the group', function () {
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.type }), [
+          lunr.QueryLexer.TERM,
+          lunr.QueryLexer.GROUP_END
+        ])
+        assert.deepEqual(this.lexer.lexemes.map(function (l) { return l.str }), ['foo', ')'])
+      })
+    })
+
+    suite('escaped closing parenthesis', function () {
+      setup(function () {
+        this.lexer = lex('f(x\\)')
+      })
+
+      test('is part of the term', function () {
+        assert.lengthOf(this.lexer.lexemes, 1)
+        assert.equal(lunr.QueryLexer.TERM, this.lexer.lexemes[0].type)
+        assert.equal('f(x)', this.lexer.lexemes[0].str)
+      })
+    })
+
     suite('term with presence prohibited', function () {
       setup(function () {
         this.lexer = lex('-foo')
@@ -272,6 +272,190 @@ suite('lunr.QueryParser', function () {
       })
     }
 
+    suite('date fields', function () {
+      setup(function () {
+        this.parse = function (q) {
+          var query = new lunr.Query (['title', 'published'], ['string', 'date']),
+              parser = new lunr.QueryParser(q, query)
+
+          parser.parse()
+
+          return query.clauses
+        }
+      })
+
+      test('range includes the whole period of its end', function () {
+        var term = this.parse('published:2024-01..2024-06')[0].term
+
+        assert.equal(Date.UTC(2024, 0, 1), term.start)
+        assert.equal(Date.UTC(2024, 6, 1), term.end)
+      })
+
+      test('open range', function () {
+        var term = this.parse('published:2024-01-15..*')[0].term
+
+        assert.equal(Date.UTC(2024, 0, 15), term.start)
+        assert.equal('*', term.end)
+      })
+
+      test('greater than is after the period', function () {
+        var term = this.parse('published:>2024-01-15')[0].term
+
+        assert.equal('>=', term.comparator)
+        assert.equal(Date.UTC(2024, 0, 16), term.comparand)
+      })
+
+      test('greater than or equal is from the start of the period', function () {
+        var term = this.parse('published:>=2024-01-15')[0].term
+
+        assert.equal('>=', term.comparator)
+        assert.equal(Date.UTC(2024, 0, 15), term.comparand)
+      })
+
+      test('less than is before the period', function () {
+        var term = this.parse('published:<2024-01-15')[0].term
+
+        assert.equal('<', term.comparator)
+        assert.equal(Date.UTC(2024, 0, 15), term.comparand)
+      })
+
+      test('less than or equal is up to the end of the period', function () {
+        var term = this.parse('published:<=2024-01-15')[0].term
+
+        assert.equal('<', term.comparator)
+        assert.equal(Date.UTC(2024, 0, 16), term.comparand)
+      })
+
+      test('relative date', function () {
+        var before = Date.now() - 30 * 24 * 60 * 60 * 1000,
+            term = this.parse('published:>=now-30d')[0].term,
+            after = Date.now() - 30 * 24 * 60 * 60 * 1000
+
+        assert.isAtLeast(term.comparand, before)
+        assert.isAtMost(term.comparand, after)
+      })
+
+      test('fields', function () {
+        assert.sameMembers(['published'], this.parse('published:>2024-01-15')[0].fields)
+      })
+
+      test('invalid date', function () {
+        var parse = this.parse
+
+        assert.throws(function () {
+          parse('published:>2024-13-01')
+        }, lunr.QueryParseError)
+      })
+
+      test('a date is the range of its period', function () {
+        var clauses = this.parse('published:2024-06-30')
+
+        assert.lengthOf(clauses, 1)
+        assert.deepEqual({ start: Date.UTC(2024, 5, 30), end: Date.UTC(2024, 6, 1) }, clauses[0].term)
+        assert.sameMembers(['published'], clauses[0].fields)
+        assert.isFalse(clauses[0].usePipeline)
+      })
+
+      test('a year is the range of the whole year', function () {
+        var term = this.parse('published:2024')[0].term
+
+        assert.deepEqual({ start: Date.UTC(2024, 0, 1), end: Date.UTC(2025, 0, 1) }, term)
+      })
+
+      test('a date followed by a boost and a term', function () {
+        var clauses = this.parse('published:2024-06^2 title:foo')
+
+        assert.lengthOf(clauses, 2)
+        assert.equal(Date.UTC(2024, 5, 1), clauses[0].term.start)
+        assert.equal(2, clauses[0].boost)
+        assert.equal('foo', clauses[1].term)
+      })
+
+      test('a value that is not a date', function () {
+        var parse = this.parse
+
+        assert.throws(function () {
+          parse('published:yesterday')
+        }, /date fields can only be matched with a date/)
+      })
+
+      test('comparator on a string field', function () {
+        var parse = this.parse
+
+        assert.throws(function () {
+          parse('title:>2024-01-01')
+        }, lunr.QueryParseError)
+      })
+    })
+
+    suite('keyword fields', function () {
+      setup(function () {
+        this.parse = function (q) {
+          var query = new lunr.Query (['title', 'sku'], ['string', 'keyword']),
+              parser = new lunr.QueryParser(q, query)
+
+          parser.parse()
+
+          return query.clauses
+        }
+      })
+
+      test('term is the whole normalized keyword', function () {
+        var clause = this.parse('sku:Node-JS')[0]
+
+        assert.equal('node-js', clause.term)
+        assert.isFalse(clause.usePipeline)
+      })
+
+      test('quoted keyword', function () {
+        var clause = this.parse('sku:"New York"')[0]
+
+        assert.equal('new york', clause.term)
+        assert.isFalse(clause.usePipeline)
+      })
+
+      test('term that is not scoped to the keyword field', function () {
+        var clauses = this.parse('node-js')
+
+        assert.lengthOf(clauses, 2)
+        assert.isTrue(clauses[0].usePipeline)
+      })
+    })
+
+    suite('boolean fields', function () {
+      setup(function () {
+        this.parse = function (q) {
+          var query = new lunr.Query (['title', 'published'], ['string', 'boolean']),
+              parser = new lunr.QueryParser(q, query)
+
+          parser.parse()
+
+          return query.clauses
+        }
+      })
+
+      test('term scoped to the boolean field', function () {
+        var clause = this.parse('published:True')[0]
+
+        assert.equal('true', clause.term)
+        assert.sameMembers(['published'], clause.fields)
+      })
+
+      test('term that is not scoped to the boolean field', function () {
+        var clause = this.parse('true')[0]
+
+        assert.sameMembers(['title'], clause.fields)
+      })
+
+      test('value that is not true or false', function () {
+        var parse = this.parse
+
+        assert.throws(function () {
+          parse('published:yes')
+        }, lunr.QueryParseError)
+      })
+    })
+
     suite('uppercase field with uppercase term', function () {
       setup(function () {
         // Using a different query to the rest of the tests
@@ -479,6 +663,46 @@ suite('lunr.QueryParser', function () {
       })
     })
 
+    suite('term with field boost', function () {
+      setup(function () {
+        this.clauses = parse('title^5:foo^2')
+      })
+
+      test('has 1 clause', function () {
+        assert.lengthOf(this.clauses, 1)
+      })
+
+      test('term', function () {
+        assert.equal('foo', this.clauses[0].term)
+      })
+
+      test('field boosts', function () {
+        assert.deepEqual({ title: 5 }, this.clauses[0].fieldBoosts)
+      })
+
+      test('boost', function () {
+        assert.equal(2, this.clauses[0].boost)
+      })
+
+      test('fields', function () {
+        assert.sameMembers(['title'], this.clauses[0].fields)
+      })
+    })
+
+    suite('field boost without a term', function () {
+      test('fails with lunr.QueryParseError', function () {
+        assert.throws(function () { parse('title^5:') }, lunr.QueryParseError)
+      })
+    })
+
+    suite('field boost too large to be finite', function () {
+      test('fails with lunr.QueryParseError', function () {
+        var query = 'title^' + new Array(400).join('9') + ':foo'
+
+        assert.throws(function () { parse(query) }, lunr.QueryParseError, /finite/)
+      })
+    })
+
     suite('term with presence required', function () {
       setup(function () {
         this.clauses = parse('+foo')
@@ -557,6 +781,256 @@ suite('lunr.QueryParser', function () {
       })
     })
 
+    suite('phrase', function () {
+      setup(function () {
+        this.clauses = parse('"Foo Bar"')
+      })
+
+      test('has 1 clause', function () {
+        assert.lengthOf(this.clauses, 1)
+      })
+
+      test('term', function () {
+        assert.deepEqual({ terms: ['foo', 'bar'] }, this.clauses[0].term)
+      })
+
+      test('fields', function () {
+        assert.sameMembers(['title', 'body', 'wordCount'], this.clauses[0].fields)
+      })
+    })
+
+    suite('phrase scoped by field with presence required and boost', function () {
+      setup(function () {
+        this.clauses = parse('+title:"foo bar"^3 baz')
+      })
+
+      test('has 2 clauses', function () {
+        assert.lengthOf(this.clauses, 2)
+      })
+
+      test('term', function () {
+        assert.deepEqual({ terms: ['foo', 'bar'] }, this.clauses[0].term)
+        assert.equal('baz', this.clauses[1].term)
+      })
+
+      test('boost', function () {
+        assert.equal(3, this.clauses[0].boost)
+      })
+
+      test('fields', function () {
+        assert.sameMembers(['title'], this.clauses[0].fields)
+      })
+
+      test('presence', function () {
+        assert.equal(lunr.Query.presence.REQUIRED, this.clauses[0].presence)
+        assert.equal(lunr.Query.presence.OPTIONAL, this.clauses[1].presence)
+      })
+    })
+
+    suite('term followed by a phrase', function () {
+      setup(function () {
+        this.clauses = parse('foo "bar baz"')
+      })
+
+      test('has 2 clauses', function () {
+        assert.lengthOf(this.clauses, 2)
+        assert.equal('foo', this.clauses[0].term)
+        assert.deepEqual({ terms: ['bar', 'baz'] }, this.clauses[1].term)
+      })
+    })
+
+    suite('phrase with slop and boost', function () {
+      setup(function () {
+        this.clauses = parse('"foo bar"~2^3 baz~1')
+      })
+
+      test('has 2 clauses', function () {
+        assert.lengthOf(this.clauses, 2)
+      })
+
+      test('slop', function () {
+        assert.equal(2, this.clauses[0].slop)
+        assert.notProperty(this.clauses[0], 'editDistance')
+      })
+
+      test('boost', function () {
+        assert.equal(3, this.clauses[0].boost)
+      })
+
+      test('editDistance', function () {
+        assert.equal(1, this.clauses[1].editDistance)
+        assert.notProperty(this.clauses[1], 'slop')
+      })
+    })
+
+    suite('non-numeric slop', function () {
+      test('produces a QueryParseError', function () {
+        assert.throws(function () { parse('"foo bar"~x') }, lunr.QueryParseError)
+      })
+    })
+
+    suite('empty phrase', function () {
+      test('produces a QueryParseError', function () {
+        assert.throws(function () { parse('""') }, lunr.QueryParseError)
+      })
+    })
+
+    suite('group', function () {
+      setup(function () {
+        this.clauses = parse('+(title:foo bar)^2 baz')
+      })
+
+      test('has 2 clauses', function () {
+        assert.lengthOf(this.clauses, 2)
+      })
+
+      test('term', function () {
+        assert.instanceOf(this.clauses[0].term, lunr.Query)
+        assert.equal('baz', this.clauses[1].term)
+      })
+
+      test('group clauses', function () {
+        var groupClauses = this.clauses[0].term.clauses
+
+        assert.lengthOf(groupClauses, 2)
+        assert.equal('foo', groupClauses[0].term)
+        assert.sameMembers(['title'], groupClauses[0].fields)
+        assert.equal('bar', groupClauses[1].term)
+        assert.sameMembers(['title', 'body', 'wordCount'], groupClauses[1].fields)
+      })
+
+      test('boost', function () {
+        assert.equal(2, this.clauses[0].boost)
+      })
+
+      test('presence', function () {
+        assert.equal(lunr.Query.presence.REQUIRED, this.clauses[0].presence)
+        assert.equal(lunr.Query.presence.OPTIONAL, this.clauses[1].presence)
+      })
+    })
+
+    suite('terms joined by AND', function () {
+      setup(function () {
+        this.clauses = parse('foo AND -bar AND baz')
+      })
+
+      test('has 3 clauses', function () {
+        assert.lengthOf(this.clauses, 3)
+      })
+
+      test('presence', function () {
+        assert.equal(lunr.Query.presence.REQUIRED, this.clauses[0].presence)
+        assert.equal(lunr.Query.presence.PROHIBITED, this.clauses[1].presence)
+        assert.equal(lunr.Query.presence.REQUIRED, this.clauses[2].presence)
+      })
+    })
+
+    suite('AND binds tighter than OR', function () {
+      setup(function () {
+        this.clauses = parse('foo OR bar AND baz')
+      })
+
+      test('has 2 clauses', function () {
+        assert.lengthOf(this.clauses, 2)
+      })
+
+      test('optional term', function () {
+        assert.equal('foo', this.clauses[0].term)
+        assert.equal(lunr.Query.presence.OPTIONAL, this.clauses[0].presence)
+      })
+
+      test('optional group of required terms', function () {
+        var groupClauses = this.clauses[1].term.clauses
+
+        assert.equal(lunr.Query.presence.OPTIONAL, this.clauses[1].presence)
+        assert.deepEqual(['bar', 'baz'], groupClauses.map(function (c) { return c.term }))
+        assert.equal(lunr.Query.presence.REQUIRED, groupClauses[0].presence)
+        assert.equal(lunr.Query.presence.REQUIRED, groupClauses[1].presence)
+      })
+    })
+
+    suite('NOT', function () {
+      setup(function () {
+        this.clauses = parse('foo NOT (bar baz)')
+      })
+
+      test('presence', function () {
+        assert.equal(lunr.Query.presence.OPTIONAL, this.clauses[0].presence)
+        assert.equal(lunr.Query.presence.PROHIBITED, this.clauses[1].presence)
+        assert.instanceOf(this.clauses[1].term, lunr.Query)
+      })
+    })
+
+    suite('nested groups', function () {
+      setup(function () {
+        this.clauses = parse('(foo (bar wordCount:>5))')
+      })
+
+      test('clauses', function () {
+        var outer = this.clauses[0].term.clauses,
+            inner = outer[1].term.clauses
+
+        assert.lengthOf(this.clauses, 1)
+        assert.equal('foo', outer[0].term)
+        assert.equal('bar', inner[0].term)
+        assert.deepEqual({ comparator: '>', comparand: 5 }, inner[1].term)
+      })
+    })
+
+    suite('unterminated group', function () {
+      test('produces a QueryParseError', function () {
+        assert.throws(function () { parse('(foo bar') }, lunr.QueryParseError, "unmatched '('")
+      })
+
+      test('at the unmatched parenthesis', function () {
+        try {
+          parse('foo (bar (baz) qux')
+          assert.fail()
+        } catch (err) {
+          assert.instanceOf(err, lunr.QueryParseError)
+          assert.equal(4, err.start)
+          assert.equal(5, err.end)
+        }
+      })
+    })
+
+    suite('unmatched closing parenthesis', function () {
+      test('after a term', function () {
+        assert.throws(function () { parse('foo)') }, lunr.QueryParseError, "unexpected ')'")
+      })
+
+      test('after a group', function () {
+        assert.throws(function () { parse('(a))') }, lunr.QueryParseError, "unexpected ')'")
+      })
+
+      test('at the unmatched parenthesis', function () {
+        try {
+          parse('(a))')
+          assert.fail()
+        } catch (err) {
+          assert.instanceOf(err, lunr.QueryParseError)
+          assert.equal(3, err.start)
+          assert.equal(4, err.end)
+        }
+      })
+    })
+
+    suite('empty group', function () {
+      test('produces a QueryParseError', function () {
+        assert.throws(function () { parse('foo ()') }, lunr.QueryParseError)
+        assert.throws(function () { parse('foo (') }, lunr.QueryParseError)
+      })
+    })
+
+    suite('operator without a clause', function () {
+      test('produces a QueryParseError', function () {
+        assert.throws(function () { parse('AND foo') }, lunr.QueryParseError)
+        assert.throws(function () { parse('foo OR') }, lunr.QueryParseError)
+        assert.throws(function () { parse('foo AND OR bar') }, lunr.QueryParseError)
+        assert.throws(function () { parse('(foo AND) bar') }, lunr.QueryParseError)
+      })
+    })
+
     suite('term scoped by field with presence prohibited', function () {
       setup(function () {
         this.clauses = parse('-title:foo')
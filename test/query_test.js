@@ -76,6 +76,94 @@ suite('lunr.Query', function () {
     })
   })
 
+  suite('#phrase', function () {
+    setup(function () {
+      this.query = new lunr.Query (allFields)
+      this.query.phrase(['foo', new lunr.Token('bar')], { boost: 2 })
+    })
+
+    test('adds a single clause', function () {
+      assert.equal(this.query.clauses.length, 1)
+    })
+
+    test('clause has the phrase terms', function () {
+      assert.deepEqual(this.query.clauses[0].term, { terms: ['foo', 'bar'] })
+    })
+
+    test('clause has all fields', function () {
+      assert.sameMembers(this.query.clauses[0].fields, allFields)
+    })
+
+    test('clause has the options', function () {
+      assert.equal(this.query.clauses[0].boost, 2)
+    })
+  })
+
+  suite('#group', function () {
+    setup(function () {
+      this.query = new lunr.Query (allFields)
+      this.query.group(function (q) {
+        q.term('foo')
+        q.term('bar', { presence: lunr.Query.presence.PROHIBITED })
+      }, { presence: lunr.Query.presence.REQUIRED })
+    })
+
+    test('adds a single clause', function () {
+      assert.equal(this.query.clauses.length, 1)
+    })
+
+    test('clause term is a query with the group clauses', function () {
+      var group = this.query.clauses[0].term
+
+      assert.instanceOf(group, lunr.Query)
+      assert.deepEqual(group.clauses.map(function (c) { return c.term }), ['foo', 'bar'])
+      assert.sameMembers(group.allFields, allFields)
+    })
+
+    test('clause has the options', function () {
+      assert.equal(this.query.clauses[0].presence, lunr.Query.presence.REQUIRED)
+    })
+  })
+
+  suite('#geoDistance', function () {
+    setup(function () {
+      this.query = new lunr.Query (['title', 'location'], ['string', 'geo'])
+      this.query.geoDistance({ lat: 51.5, lon: -0.12 }, 10, { decay: 2 })
+    })
+
+    test('clause has the point and distance', function () {
+      assert.deepEqual(this.query.clauses[0].term, { point: { lat: 51.5, lon: -0.12 }, distance: 10 })
+    })
+
+    test('clause has the geo fields', function () {
+      assert.sameMembers(this.query.clauses[0].fields, ['location'])
+    })
+
+    test('clause has the options', function () {
+      assert.equal(this.query.clauses[0].decay, 2)
+    })
+  })
+
+  suite('#geoBoundingBox', function () {
+    setup(function () {
+      this.query = new lunr.Query (['title', 'location'], ['string', 'geo'])
+      this.query.geoBoundingBox({ top: 52, left: -1, bottom: 51, right: 1 })
+      this.query.term('foo')
+    })
+
+    test('clause has the bounding box', function () {
+      assert.deepEqual(this.query.clauses[0].term, { top: 52, left: -1, bottom: 51, right: 1 })
+    })
+
+    test('clause has the geo fields', function () {
+      assert.sameMembers(this.query.clauses[0].fields, ['location'])
+    })
+
+    test('term clause does not have the geo fields', function () {
+      assert.sameMembers(this.query.clauses[1].fields, ['title'])
+    })
+  })
+
   suite('#clause', function () {
     setup(function () {
       this.query = new lunr.Query (allFields)
@@ -0,0 +1,221 @@
+suite('lunr.ScoringModel', function () {
+  setup(function () {
+    this.documents = [{
+      id: 'a',
+      title: 'green plant',
+      body: 'a green plant in the study'
+    },{
+      id: 'b',
+      title: 'watering can',
+      body: 'watering the green plant with a green watering can'
+    },{
+      id: 'c',
+      title: 'house',
+      body: 'a house full of plants'
+    }]
+
+    this.build = function (model) {
+      var documents = this.documents
+
+      return lunr(function () {
+        this.mutable()
+        this.ref('id')
+        this.field('title', { boost: 2 })
+        this.field('body')
+
+        if (model !== undefined) {
+          this.scoringModel(model)
+        }
+
+        documents.forEach(function (document) {
+          this.add(document)
+        }, this)
+      })
+    }
+
+    this.weight = function (idx, term, fieldRef) {
+      var vector = idx.fieldVectors[fieldRef],
+          position = vector.positionForIndex(idx.invertedIndex[term]._index)
+
+      return vector.elements[position + 1]
+    }
+  })
+
+  suite('bm25', function () {
+    test('is the default model', function () {
+      var idx = this.build()
+
+      assert.equal(lunr.ScoringModel.bm25, idx.scoringModel)
+      assert.deepEqual(this.build('bm25').search('green plant'), idx.search('green plant'))
+    })
+  })
+
+  suite('bm25+', function () {
+    test('adds to the weight of every term', function () {
+      var bm25 = this.build('bm25'),
+          bm25plus = this.build('bm25+'),
+          idf = lunr.idf(bm25.invertedIndex['green'], 3)
+
+      assert.closeTo(this.weight(bm25, 'green', 'body/b') + idf, this.weight(bm25plus, 'green', 'body/b'), 0.002)
+    })
+  })
+
+  suite('tfidf', function () {
+    test('weighs terms by frequency, idf and field length', function () {
+      var idx = this.build('tfidf'),
+          idf = lunr.idf(idx.invertedIndex['green'], 3)
+
+      assert.closeTo(Math.sqrt(2) * idf / Math.sqrt(5), this.weight(idx, 'green', 'body/b'), 0.001)
+      assert.closeTo(2 * idf / Math.sqrt(2), this.weight(idx, 'green', 'title/a'), 0.001)
+    })
+  })
+
+  suite('bm25f', function () {
+    test('combines the fields of a document before saturation', function () {
+      var idx = this.build('bm25f'),
+          bm25 = this.build('bm25'),
+          combined = this.weight(idx, 'green', 'title/a') + this.weight(idx, 'green', 'body/a'),
+          separate = this.weight(bm25, 'green', 'title/a') + this.weight(bm25, 'green', 'body/a')
+
+      assert.isBelow(combined, separate)
+    })
+
+    test('splits the weight of a term by the boost of the fields', function () {
+      var idx = this.build('bm25f'),
+          title = this.weight(idx, 'plant', 'title/a'),
+          body = this.weight(idx, 'plant', 'body/a')
+
+      assert.isAbove(title, body)
+    })
+
+    test('finds the same documents', function () {
+      var refs = function (results) {
+        return results.map(function (r) { return r.ref }).sort()
+      }
+
+      assert.deepEqual(refs(this.build().search('green')), refs(this.build('bm25f').search('green')))
+    })
+  })
+
+  suite('custom model', function () {
+    setup(function () {
+      this.model = {
+        name: 'binary',
+        weigh: function (document) {
+          var weights = {}
+
+          Object.keys(document.fields).forEach(function (field) {
+            weights[field] = {}
+
+            Object.keys(document.fields[field].termFrequencies).forEach(function (term) {
+              weights[field][term] = 1
+            })
+          })
+
+          return weights
+        },
+        queryNorm: function () {
+          return 1
+        }
+      }
+    })
+
+    test('weighs the terms', function () {
+      var idx = this.build(this.model)
+
+      assert.equal(1, this.weight(idx, 'green', 'body/b'))
+      assert.equal(2, idx.search('green plant').filter(function (r) { return r.ref == 'b' })[0].score)
+    })
+
+    test('is passed the statistics of a document', function () {
+      var documents = []
+
+      this.model.weigh = function (document) {
+        documents.push(document)
+        return {}
+      }
+
+      this.build(this.model)
+
+      assert.equal('b', documents[1].ref)
+      assert.equal(2, documents[1].fields.title.boost)
+      assert.equal(5, documents[1].fields.body.length)
+      assert.equal(2, documents[1].fields.body.termFrequencies['green'])
+      assert.equal(0.75, documents[1].fields.body.b)
+      assert.equal(1.2, documents[1].k1)
+    })
+
+    test('cannot be loaded unless registered', function () {
+      var serialized = JSON.parse(JSON.stringify(this.build(this.model)))
+
+      assert.throws(function () {
+        lunr.Index.load(serialized)
+      }, /unregistered scoring model: binary/)
+    })
+
+    test('can be loaded when registered', function () {
+      var serialized = JSON.parse(JSON.stringify(this.build(this.model)))
+
+      lunr.ScoringModel.register(this.model)
+
+      try {
+        assert.equal(this.model, lunr.Index.load(serialized).scoringModel)
+      } finally {
+        delete lunr.ScoringModel.registeredModels['binary']
+      }
+    })
+  })
+
+  suite('serialization', function () {
+    test('records the model', function () {
+      assert.equal('bm25f', this.build('bm25f').toJSON().scoringModel)
+    })
+
+    test('loaded index scores identically', function () {
+      var idx = this.build('tfidf'),
+          loaded = lunr.Index.load(JSON.parse(JSON.stringify(idx)))
+
+      assert.equal(lunr.ScoringModel.tfidf, loaded.scoringModel)
+      assert.deepEqual(idx.search('green plant'), loaded.search('green plant'))
+    })
+
+    test('binary index', function () {
+      var idx = this.build('bm25+'),
+          loaded = lunr.Index.loadBinary(idx.toBinary())
+
+      assert.equal(lunr.ScoringModel.bm25plus, loaded.scoringModel)
+    })
+
+    test('index without a recorded model', function () {
+      var serialized = JSON.parse(JSON.stringify(this.build()))
+
+      delete serialized.scoringModel
+
+      assert.equal(lunr.ScoringModel.bm25, lunr.Index.load(serialized).scoringModel)
+    })
+  })
+
+  test('unregistered model name', function () {
+    var builder = new lunr.Builder
+
+    assert.throws(function () {
+      builder.scoringModel('unknown')
+    }, /unregistered scoring model/)
+  })
+
+  test('indexes with different models cannot be merged', function () {
+    var first = this.build('bm25'),
+        second = lunr(function () {
+          this.mutable()
+          this.ref('id')
+          this.field('title', { boost: 2 })
+          this.field('body')
+          this.scoringModel('bm25f')
+          this.add({ id: 'z', title: 'other', body: 'other' })
+        })
+
+    assert.throws(function () {
+      lunr.Index.merge(first, second)
+    }, /different scoring models/)
+  })
+})
@@ -632,6 +632,203 @@ suite('search', function () {
       })
     })
 
+    suite('query-time field boosts', function () {
+      setup(function () {
+        this.score = function (results, ref) {
+          return results.filter(function (r) { return r.ref == ref })[0].score
+        }
+      })
+
+      test('option multiplies the score of a field', function () {
+        var title = this.score(this.idx.search('title:green'), 'a'),
+            body = this.score(this.idx.search('body:green'), 'a'),
+            results = this.idx.search('green', { fieldBoosts: { title: 5, body: 1 } })
+
+        assert.closeTo(5 * title + body, this.score(results, 'a'), 1e-6)
+      })
+
+      test('option boost of 0 ignores a field', function () {
+        var body = this.score(this.idx.search('body:green'), 'a'),
+            results = this.idx.search('green', { fieldBoosts: { title: 0 } })
+
+        assert.closeTo(body, this.score(results, 'a'), 1e-6)
+        assert.lengthOf(results, 3)
+      })
+
+      test('query syntax boosts the field of a clause', function () {
+        var syntax = this.idx.search('title^5:green body:green'),
+            option = this.idx.search('title:green body:green', { fieldBoosts: { title: 5 } })
+
+        assert.closeTo(this.score(option, 'a'), this.score(syntax, 'a'), 1e-6)
+        assert.closeTo(this.score(option, 'b'), this.score(syntax, 'b'), 1e-6)
+      })
+
+      test('query syntax only boosts its own clause', function () {
+        var plain = this.idx.search('title:green title:mustard'),
+            boosted = this.idx.search('title^5:green title:mustard')
+
+        assert.isAbove(this.score(boosted, 'a'), this.score(plain, 'a'))
+        assert.isBelow(this.score(boosted, 'a'), 5 * this.score(plain, 'a'))
+      })
+
+      test('explain includes the field boosts', function () {
+        var options = { fieldBoosts: { title: 2 } },
+            explanation = this.idx.explain('title^3:green body:green', 'a', options),
+            title = explanation.clauses[0].terms[0].fields[0]
+
+        assert.closeTo(this.score(this.idx.search('title^3:green body:green', options), 'a'), explanation.score, 1e-6)
+        assert.equal(6, title.queryFieldBoost)
+        assert.closeTo(explanation.score, explanation.clauses[0].score + explanation.clauses[1].score, 1e-6)
+      })
+
+      test('unknown field', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { fieldBoosts: { unknown: 2 } })
+        }, /Cannot boost field 'unknown'/)
+      })
+
+      test('negative boost', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { fieldBoosts: { title: -1 } })
+        }, RangeError)
+      })
+
+      test('infinite boost', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { fieldBoosts: { title: Infinity } })
+        }, RangeError)
+      })
+    })
+
+    suite('field combination', function () {
+      setup(function () {
+        this.score = function (results, ref) {
+          return results.filter(function (r) { return r.ref == ref })[0].score
+        }
+
+        this.title = this.score(this.idx.search('title:green'), 'a')
+        this.body = this.score(this.idx.search('body:green'), 'a')
+      })
+
+      test('sum by default', function () {
+        assert.closeTo(this.title + this.body, this.score(this.idx.search('green'), 'a'), 1e-6)
+        assert.deepEqual(this.idx.search('green'), this.idx.search('green', { combineFields: 'sum' }))
+      })
+
+      test('max scores a document by its best field', function () {
+        var results = this.idx.search('green', { combineFields: 'max' })
+
+        assert.closeTo(Math.max(this.title, this.body), this.score(results, 'a'), 1e-6)
+        assert.lengthOf(results, 3)
+      })
+
+      test('max adds the other fields with the tie breaker', function () {
+        var results = this.idx.search('green', { combineFields: 'max', tieBreaker: 0.3 })
+
+        assert.closeTo(Math.max(this.title, this.body) + 0.3 * Math.min(this.title, this.body), this.score(results, 'a'), 1e-6)
+      })
+
+      test('tie breaker of 1 is the same as sum', function () {
+        var results = this.idx.search('green', { combineFields: 'max', tieBreaker: 1 })
+
+        assert.closeTo(this.title + this.body, this.score(results, 'a'), 1e-6)
+      })
+
+      test('explain weighs the other fields by the tie breaker', function () {
+        var explanation = this.idx.explain('green', 'a', { combineFields: 'max', tieBreaker: 0.3 }),
+            fields = explanation.clauses[0].terms[0].fields,
+            weaker = this.title < this.body ? 'title' : 'body'
+
+        assert.closeTo(this.score(this.idx.search('green', { combineFields: 'max', tieBreaker: 0.3 }), 'a'), explanation.clauses[0].score, 1e-6)
+        assert.deepEqual([weaker], fields.filter(function (f) { return f.tieBreaker === 0.3 }).map(function (f) { return f.field }))
+      })
+
+      test('unknown combination', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { combineFields: 'min' })
+        }, /Field combination 'min' is invalid/)
+      })
+
+      test('tie breaker out of range', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { combineFields: 'max', tieBreaker: 2 })
+        }, RangeError)
+      })
+    })
+
+    suite('score thresholds', function () {
+      setup(function () {
+        this.scores = this.idx.search('green plant').map(function (r) { return r.score })
+      })
+
+      test('normalizes the scores by the top score', function () {
+        var scores = this.scores,
+            results = this.idx.search('green plant', { normalizeScores: true })
+
+        assert.closeTo(1, results[0].score, 1e-6)
+        results.forEach(function (result, i) {
+          assert.closeTo(scores[i] / scores[0], result.score, 1e-6)
+        })
+      })
+
+      test('normalizes scores of 0', function () {
+        var results = this.idx.search('-candlestick', { normalizeScores: true })
+
+        assert.deepEqual([0, 0], results.map(function (r) { return r.score }))
+      })
+
+      test('drops results below the minimum score', function () {
+        var results = this.idx.search('green plant', { minScore: this.scores[1] })
+
+        assert.lengthOf(results, 2)
+        assert.equal(2, results.total)
+      })
+
+      test('drops results below the minimum relative score', function () {
+        var minRelativeScore = (this.scores[2] / this.scores[0] + this.scores[1] / this.scores[0]) / 2,
+            results = this.idx.search('green plant', { minRelativeScore: minRelativeScore, limit: 1 })
+
+        assert.lengthOf(results, 1)
+        assert.equal(2, results.total)
+      })
+
+      test('minimum score applies before normalizing', function () {
+        var results = this.idx.search('green plant', { minScore: this.scores[0], normalizeScores: true })
+
+        assert.deepEqual([1], results.map(function (r) { return r.score }))
+      })
+
+      test('explain is not normalized', function () {
+        assert.closeTo(this.scores[0], this.idx.explain('green plant', this.idx.search('green plant')[0].ref, { normalizeScores: true }).score, 1e-6)
+      })
+
+      test('invalid minimum score', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { minScore: 'high' })
+        }, RangeError)
+      })
+
+      test('minimum relative score out of range', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { minRelativeScore: 1.5 })
+        }, /between 0 and 1/)
+      })
+    })
+
     suite('typeahead style search', function () {
       suite('no results found', function () {
         setup(function () {
@@ -1098,30 +1295,1148 @@ suite('search', function () {
       })
     })
 
-  //   suite('quoted term', function () {
-  //     suite.only('#search', function () {
-  //       setup(function () {
-  //         this.results = this.idx.search('"plumb water"');
-  //       })
-  //       test('one result found', function () {
-  //         assert.lengthOf(this.results, 1);
-  //       })
-  //     })
-  //   })
+    suite('phrase', function () {
+      setup(function () {
+        var documents = this.documents
 
-    suite('relational term', function () {
-      suite('#search', function () {
-        test('wordCount:>9', function () {
-          assert.lengthOf(this.idx.search('wordCount:>9'), 2)
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.metadataWhitelist = ['index']
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
         })
-        test('wordCount:>=9', function () {
-          assert.lengthOf(this.idx.search('wordCount:>=9'), 3)
+      })
+
+      suite('one match', function () {
+        var assertions = function () {
+          test('one result found', function () {
+            assert.lengthOf(this.results, 1)
+            assert.equal('b', this.results[0].ref)
+          })
+
+          test('matching terms returned', function () {
+            assert.sameMembers(['plumb', 'water'], Object.keys(this.results[0].matchData.metadata))
+          })
+        }
+
+        suite('#query', function () {
+          setup(function () {
+            this.results = this.idx.query(function (q) {
+              q.phrase(['plumb', 'waters'])
+            })
+          })
+
+          assertions()
         })
-        test('wordCount:<16', function () {
-          assert.lengthOf(this.idx.search('wordCount:<16'), 1)
+
+        suite('#search', function () {
+          setup(function () {
+            this.results = this.idx.search('"plumb waters"')
+          })
+
+          assertions()
         })
-        test('wordCount:<=16', function () {
-          assert.lengthOf(this.idx.search('wordCount:<=16'), 2)
+      })
+
+      suite('terms not adjacent', function () {
+        setup(function () {
+          this.results = this.idx.search('"green study"')
+        })
+
+        test('no results found', function () {
+          assert.lengthOf(this.results, 0)
+        })
+      })
+
+      suite('terms in the wrong order', function () {
+        setup(function () {
+          this.results = this.idx.search('"plant green"')
+        })
+
+        test('no results found', function () {
+          assert.lengthOf(this.results, 0)
+        })
+      })
+
+      suite('stop words leave a gap', function () {
+        setup(function () {
+          this.results = this.idx.search('"green plant in his study"')
+        })
+
+        test('one result found', function () {
+          assert.lengthOf(this.results, 1)
+          assert.equal('b', this.results[0].ref)
+        })
+      })
+
+      suite('indexed without the stop word filter', function () {
+        setup(function () {
+          var documents = this.documents
+
+          this.idx = lunr(function () {
+            this.ref('id')
+            this.field('title')
+            this.field('body')
+            this.metadataWhitelist = ['index']
+            this.pipeline.remove(lunr.stopWordFilter)
+
+            documents.forEach(function (document) {
+              this.add(document)
+            }, this)
+          })
+        })
+
+        test('stop words are matched', function () {
+          var results = this.idx.search('"plant in his study"')
+
+          assert.sameMembers(['b'], results.map(function (r) { return r.ref }))
+        })
+
+        test('stop words do not leave a gap', function () {
+          assert.lengthOf(this.idx.search('"green plant in the study"'), 0)
+        })
+
+        test('loaded index', function () {
+          var indexes = [
+            lunr.Index.load(JSON.parse(JSON.stringify(this.idx))),
+            lunr.Index.loadBinary(this.idx.toBinary())
+          ]
+
+          indexes.forEach(function (idx) {
+            assert.lengthOf(idx.search('"plant in his study"'), 1)
+            assert.lengthOf(idx.search('"green plant in the study"'), 0)
+          })
+        })
+      })
+
+      suite('scoped to a field', function () {
+        setup(function () {
+          this.results = this.idx.search('title:"green plant"')
+        })
+
+        test('no results found', function () {
+          assert.lengthOf(this.results, 0)
+        })
+      })
+
+      suite('prohibited', function () {
+        setup(function () {
+          this.results = this.idx.search('green -"green plant"')
+        })
+
+        test('only documents without the phrase are found', function () {
+          assert.lengthOf(this.results, 1)
+          assert.equal('a', this.results[0].ref)
+        })
+      })
+
+      suite('required with an optional term', function () {
+        setup(function () {
+          this.results = this.idx.search('+"green plant" scarlett')
+        })
+
+        test('documents with the phrase are found', function () {
+          assert.sameMembers(['b', 'c'], this.results.map(function (r) { return r.ref }))
+        })
+
+        test('document with the optional term ranks higher', function () {
+          assert.equal('c', this.results[0].ref)
+        })
+      })
+
+      suite('with slop', function () {
+        suite('terms within slop', function () {
+          var assertions = function () {
+            test('one result found', function () {
+              assert.lengthOf(this.results, 1)
+              assert.equal('b', this.results[0].ref)
+            })
+          }
+
+          suite('#query', function () {
+            setup(function () {
+              this.results = this.idx.query(function (q) {
+                q.phrase(['green', 'study'], { slop: 3 })
+              })
+            })
+
+            assertions()
+          })
+
+          suite('#search', function () {
+            setup(function () {
+              this.results = this.idx.search('"green study"~3')
+            })
+
+            assertions()
+          })
+        })
+
+        suite('closer terms score higher', function () {
+          setup(function () {
+            this.results = this.idx.search('"green study"~5')
+          })
+
+          test('two results found', function () {
+            assert.lengthOf(this.results, 2)
+          })
+
+          test('document with closer terms ranks highest', function () {
+            assert.equal('b', this.results[0].ref)
+            assert.equal('a', this.results[1].ref)
+          })
+        })
+
+        suite('terms in the wrong order', function () {
+          test('need a slop of two', function () {
+            assert.lengthOf(this.idx.search('"plant green"~1'), 0)
+            assert.lengthOf(this.idx.search('"plant green"~2'), 2)
+          })
+        })
+
+        suite('exact match scores are unchanged', function () {
+          test('same scores as without slop', function () {
+            assert.deepEqual(this.idx.search('"green plant"'), this.idx.search('"green plant"~1'))
+          })
+        })
+      })
+
+      suite('index metadata not whitelisted', function () {
+        setup(function () {
+          var documents = this.documents
+
+          this.idx = lunr(function () {
+            this.ref('id')
+            this.field('title')
+            this.field('body')
+
+            documents.forEach(function (document) {
+              this.add(document)
+            }, this)
+          })
+        })
+
+        test('matches documents containing all of the terms', function () {
+          var results = this.idx.search('"plant green"')
+
+          assert.sameMembers(['b', 'c'], results.map(function (r) { return r.ref }))
+        })
+
+        test('does not match documents missing a term', function () {
+          assert.lengthOf(this.idx.search('"plumb scarlett"'), 1)
+          assert.lengthOf(this.idx.search('"plumb candlestick"'), 0)
+        })
+
+        test('unterminated quote is part of a term', function () {
+          var results = this.idx.search('candlestick "plumb')
+
+          assert.sameMembers(['a'], results.map(function (r) { return r.ref }))
+        })
+      })
+
+      suite('term missing from the index', function () {
+        test('within the phrase', function () {
+          assert.lengthOf(this.idx.search('"plumb xyzzy waters"'), 0)
+        })
+
+        test('at the end of the phrase', function () {
+          assert.lengthOf(this.idx.search('"green xyzzy"'), 0)
+        })
+      })
+    })
+
+    suite('boolean grouping', function () {
+      suite('required group', function () {
+        var assertions = function () {
+          test('two results found', function () {
+            assert.lengthOf(this.results, 2)
+          })
+
+          test('only documents matching the group are returned', function () {
+            assert.equal('c', this.results[0].ref)
+            assert.equal('b', this.results[1].ref)
+          })
+        }
+
+        suite('#query', function () {
+          setup(function () {
+            this.results = this.idx.query(function (q) {
+              q.group(function (g) {
+                g.term('plant', { fields: ['title'] })
+                g.term('scarlett', { fields: ['title'] })
+              }, { presence: lunr.Query.presence.REQUIRED })
+              q.term('green', { presence: lunr.Query.presence.REQUIRED })
+            })
+          })
+
+          assertions()
+        })
+
+        suite('#search', function () {
+          setup(function () {
+            this.results = this.idx.search('(title:plant OR title:scarlett) AND green')
+          })
+
+          assertions()
+        })
+      })
+
+      suite('group with NOT', function () {
+        setup(function () {
+          this.results = this.idx.search('(plant OR candlestick) AND NOT office')
+        })
+
+        test('prohibited document is not returned', function () {
+          assert.deepEqual(['a', 'b'], this.results.map(function (r) { return r.ref }))
+        })
+      })
+
+      suite('AND binds tighter than OR', function () {
+        setup(function () {
+          this.results = this.idx.search('mustard OR plumb AND office')
+        })
+
+        test('documents matching either side are returned', function () {
+          assert.deepEqual(['c', 'a'], this.results.map(function (r) { return r.ref }))
+        })
+      })
+
+      suite('prohibited group', function () {
+        var assertions = function () {
+          test('documents matching the group are not returned', function () {
+            assert.lengthOf(this.results, 1)
+            assert.equal('a', this.results[0].ref)
+          })
+        }
+
+        suite('#query', function () {
+          setup(function () {
+            this.results = this.idx.query(function (q) {
+              q.term('green')
+              q.group(function (g) {
+                g.term('plant', { fields: ['title'] })
+                g.term('scarlett', { fields: ['title'] })
+              }, { presence: lunr.Query.presence.PROHIBITED })
+            })
+          })
+
+          assertions()
+        })
+
+        suite('#search', function () {
+          setup(function () {
+            this.results = this.idx.search('green -(title:plant OR title:scarlett)')
+          })
+
+          assertions()
+        })
+      })
+
+      suite('negated group', function () {
+        setup(function () {
+          this.results = this.idx.search('plant OR (NOT professor)')
+        })
+
+        test('documents only matching the negated group are returned', function () {
+          assert.deepEqual(['b', 'c', 'a'], this.results.map(function (r) { return r.ref }))
+        })
+
+        test('documents only matching the negated group have no score', function () {
+          assert.equal(0, this.results[2].score)
+          assert.deepEqual({}, this.results[2].matchData.metadata)
+        })
+      })
+
+      suite('required negated group', function () {
+        setup(function () {
+          this.results = this.idx.search('+(plant study) +(-plumb)')
+        })
+
+        test('only documents without the negated term are returned', function () {
+          assert.lengthOf(this.results, 1)
+          assert.equal('a', this.results[0].ref)
+        })
+      })
+
+      suite('group with relational term', function () {
+        setup(function () {
+          this.results = this.idx.search('(wordCount:>10 OR plant) AND -scarlett')
+        })
+
+        test('documents matching the group are returned', function () {
+          assert.deepEqual(['a', 'b'], this.results.map(function (r) { return r.ref }))
+        })
+      })
+
+      suite('group boost', function () {
+        test('applies to the terms of the group', function () {
+          assert.equal('a', this.idx.search('(candlestick)^10 plant')[0].ref)
+          assert.equal('b', this.idx.search('candlestick (plant)^10')[0].ref)
+        })
+      })
+    })
+
+    suite('facets', function () {
+      setup(function () {
+        var documents = this.documents,
+            categories = { a: 'crime', b: 'garden', c: 'garden' }
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.field('category', {
+            facet: true,
+            extractor: function (doc) { return categories[doc.id] }
+          })
+          this.field('wordCount', { type: 'number', facet: true })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+      })
+
+      suite('all facet fields', function () {
+        var assertions = function () {
+          test('counts the terms of matching documents', function () {
+            assert.deepEqual({ garden: 2 }, this.results.facets.category)
+            assert.deepEqual({ '9': 1, '16': 1 }, this.results.facets.wordCount)
+          })
+
+          test('results are unchanged', function () {
+            assert.lengthOf(this.results, 2)
+          })
+        }
+
+        suite('#query', function () {
+          setup(function () {
+            this.results = this.idx.query(function (q) {
+              q.term('plant')
+            }, { facets: true })
+          })
+
+          assertions()
+        })
+
+        suite('#search', function () {
+          setup(function () {
+            this.results = this.idx.search('plant', { facets: true })
+          })
+
+          assertions()
+        })
+      })
+
+      suite('named facet fields', function () {
+        setup(function () {
+          this.results = this.idx.search('green', { facets: ['category'] })
+        })
+
+        test('only counts the named fields', function () {
+          assert.deepEqual({ category: { crime: 1, garden: 2 } }, this.results.facets)
+        })
+      })
+
+      suite('values of string fields', function () {
+        setup(function () {
+          var documents = this.documents,
+              categories = { a: 'Plumbing', b: ['Home & Garden', 'Plumbing'], c: ' Home & Garden ' }
+
+          this.idx = lunr(function () {
+            this.ref('id')
+            this.field('title')
+            this.field('body')
+            this.field('category', {
+              facet: true,
+              extractor: function (doc) { return categories[doc.id] }
+            })
+
+            documents.forEach(function (document) {
+              this.add(document)
+            }, this)
+          })
+        })
+
+        test('counts the values as they are given in the documents', function () {
+          var results = this.idx.search('green', { facets: ['category'] })
+
+          assert.deepEqual({ 'Plumbing': 2, 'Home & Garden': 2 }, results.facets.category)
+        })
+
+        test('counts the values of the matching documents', function () {
+          var results = this.idx.search('scarlett', { facets: ['category'] })
+
+          assert.deepEqual({ 'Home & Garden': 1 }, results.facets.category)
+        })
+      })
+
+      suite('number ranges', function () {
+        setup(function () {
+          this.results = this.idx.search('green', {
+            facets: {
+              wordCount: { ranges: [{ start: '*', end: 10 }, { start: 10, end: 19 }, { start: 19, end: '*' }, { start: 20, end: 30 }] }
+            }
+          })
+        })
+
+        test('counts the documents in each range', function () {
+          assert.deepEqual({ '*..10': 1, '10..19': 1, '19..*': 1, '20..30': 0 }, this.results.facets.wordCount)
+        })
+      })
+
+      suite('without facets', function () {
+        test('results have no facets', function () {
+          assert.notProperty(this.idx.search('green'), 'facets')
+        })
+      })
+
+      suite('field that is not a facet field', function () {
+        test('throws an error', function () {
+          var idx = this.idx
+
+          assert.throws(function () {
+            idx.search('green', { facets: ['title'] })
+          })
+        })
+      })
+
+      suite('ranges on a string field', function () {
+        test('throws an error', function () {
+          var idx = this.idx
+
+          assert.throws(function () {
+            idx.search('green', { facets: { category: { ranges: [{ start: 1, end: 2 }] } } })
+          })
+        })
+      })
+    })
+
+    suite('stored fields', function () {
+      setup(function () {
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title', { store: true })
+          this.field('body')
+          this.field('summary', {
+            store: true,
+            extractor: function (doc) { return doc.body.split(' ').slice(0, 3).join(' ') }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.results = this.idx.search('candlestick')
+      })
+
+      test('results have the stored fields of the document', function () {
+        assert.deepEqual({
+          title: 'Mr. Green kills Colonel Mustard',
+          summary: 'Mr. Green killed'
+        }, this.results[0].doc)
+      })
+
+      test('fields that are not stored are left out', function () {
+        assert.notProperty(this.results[0].doc, 'body')
+      })
+
+      test('results have no doc without stored fields', function () {
+        var documents = this.documents,
+            idx = lunr(function () {
+              this.ref('id')
+              this.field('title')
+
+              documents.forEach(function (document) {
+                this.add(document)
+              }, this)
+            })
+
+        assert.notProperty(idx.search('green')[0], 'doc')
+      })
+    })
+
+    suite('sorting', function () {
+      setup(function () {
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title', { sortable: true })
+          this.field('body')
+          this.field('wordCount', { type: 'number', sortable: true })
+          this.field('edition', {
+            type: 'number',
+            sortable: true,
+            extractor: function (doc) { return doc.id == 'b' ? undefined : 1 }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref })
+        }
+      })
+
+      test('sorts by a number field in ascending order', function () {
+        var results = this.idx.search('green', { sort: [{ field: 'wordCount', order: 'asc' }] })
+
+        assert.deepEqual(['b', 'c', 'a'], this.refs(results))
+      })
+
+      test('sorts by a number field in descending order', function () {
+        var results = this.idx.search('green', { sort: [{ field: 'wordCount', order: 'desc' }] })
+
+        assert.deepEqual(['a', 'c', 'b'], this.refs(results))
+      })
+
+      test('sorts in ascending order by default', function () {
+        var results = this.idx.search('green', { sort: [{ field: 'title' }] })
+
+        assert.deepEqual(['a', 'b', 'c'], this.refs(results))
+      })
+
+      test('sorts by a string field in descending order', function () {
+        var results = this.idx.search('green', { sort: [{ field: 'title', order: 'desc' }] })
+
+        assert.deepEqual(['c', 'b', 'a'], this.refs(results))
+      })
+
+      test('sorts documents without a value last', function () {
+        var ascending = this.idx.search('green', { sort: [{ field: 'edition', order: 'asc' }] }),
+            descending = this.idx.search('green', { sort: [{ field: 'edition', order: 'desc' }] })
+
+        assert.equal('b', ascending[2].ref)
+        assert.equal('b', descending[2].ref)
+      })
+
+      test('breaks ties with the next field', function () {
+        var results = this.idx.search('green', {
+          sort: [{ field: 'edition' }, { field: 'wordCount', order: 'desc' }]
+        })
+
+        assert.deepEqual(['a', 'c', 'b'], this.refs(results))
+      })
+
+      test('breaks ties with the score', function () {
+        var scored = this.idx.search('green -title:plumb'),
+            sorted = this.idx.search('green -title:plumb', { sort: [{ field: 'edition' }] })
+
+        assert.deepEqual(this.refs(scored), this.refs(sorted))
+      })
+
+      test('sorts the results of #query', function () {
+        var results = this.idx.query(function (q) {
+          q.term('green')
+        }, { sort: [{ field: 'wordCount' }] })
+
+        assert.deepEqual(['b', 'c', 'a'], this.refs(results))
+      })
+
+      test('field that is not sortable', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { sort: [{ field: 'body' }] })
+        })
+      })
+
+      test('invalid sort order', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { sort: [{ field: 'title', order: 'up' }] })
+        })
+      })
+    })
+
+    suite('pagination', function () {
+      setup(function () {
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title', { facet: true })
+          this.field('body')
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref })
+        }
+
+        this.allResults = this.idx.search('green')
+      })
+
+      test('limits the number of results', function () {
+        var results = this.idx.search('green', { limit: 2 })
+
+        assert.deepEqual(this.refs(this.allResults).slice(0, 2), this.refs(results))
+      })
+
+      test('skips the offset results', function () {
+        var results = this.idx.search('green', { offset: 1, limit: 1 })
+
+        assert.deepEqual(this.refs(this.allResults).slice(1, 2), this.refs(results))
+      })
+
+      test('offset without a limit', function () {
+        var results = this.idx.search('green', { offset: 2 })
+
+        assert.deepEqual(this.refs(this.allResults).slice(2), this.refs(results))
+      })
+
+      test('offset beyond the results', function () {
+        assert.lengthOf(this.idx.search('green', { offset: 5, limit: 10 }), 0)
+      })
+
+      test('total includes results outside of the page', function () {
+        assert.equal(3, this.allResults.total)
+        assert.equal(3, this.idx.search('green', { offset: 1, limit: 1 }).total)
+      })
+
+      test('facets are counted over all results', function () {
+        var results = this.idx.search('green', { limit: 1, facets: ['title'] })
+
+        assert.equal(1, results.facets.title['Mr. Green kills Colonel Mustard'])
+        assert.equal(1, results.facets.title['Plumb waters plant'])
+        assert.equal(1, results.facets.title['Scarlett helps Professor'])
+      })
+
+      test('limits the results of #query', function () {
+        var results = this.idx.query(function (q) {
+          q.term('green')
+        }, { limit: 1 })
+
+        assert.deepEqual(this.refs(this.allResults).slice(0, 1), this.refs(results))
+      })
+
+      test('invalid limit', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { limit: -1 })
+        }, RangeError)
+      })
+
+      test('invalid offset', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('green', { offset: 1.5 })
+        }, RangeError)
+      })
+    })
+
+    suite('date fields', function () {
+      setup(function () {
+        var published = {
+          a: '2024-01-15',
+          b: new Date(Date.UTC(2024, 5, 30, 12)),
+          c: Date.now() - 10 * 24 * 60 * 60 * 1000
+        }
+
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.field('published', {
+            type: 'date',
+            facet: true,
+            sortable: true,
+            extractor: function (doc) { return published[doc.id] }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref }).sort()
+        }
+      })
+
+      test('greater than or equal to a date', function () {
+        assert.deepEqual(['b', 'c'], this.refs(this.idx.search('published:>=2024-06-30')))
+      })
+
+      test('greater than a date', function () {
+        assert.deepEqual(['c'], this.refs(this.idx.search('published:>2024-06-30')))
+      })
+
+      test('less than or equal to a date', function () {
+        assert.deepEqual(['a', 'b'], this.refs(this.idx.search('published:<=2024-06-30')))
+      })
+
+      test('range of months', function () {
+        assert.deepEqual(['a', 'b'], this.refs(this.idx.search('published:2024-01..2024-06')))
+      })
+
+      test('range that ends before a date', function () {
+        assert.deepEqual(['a'], this.refs(this.idx.search('published:2024-01..2024-05')))
+      })
+
+      test('relative date', function () {
+        assert.deepEqual(['c'], this.refs(this.idx.search('published:>now-30d')))
+      })
+
+      test('a single day', function () {
+        assert.deepEqual(['b'], this.refs(this.idx.search('published:2024-06-30')))
+      })
+
+      test('a whole month', function () {
+        assert.deepEqual(['a'], this.refs(this.idx.search('published:2024-01')))
+      })
+
+      test('a whole year', function () {
+        assert.deepEqual(['a', 'b'], this.refs(this.idx.search('published:2024')))
+      })
+
+      suite('before 1970', function () {
+        setup(function () {
+          var published = { a: '1950-05-01', b: '1960-05-01', c: '1970-05-01' }
+
+          this.idx = lunr(function () {
+            this.ref('id')
+            this.field('published', {
+              type: 'date',
+              extractor: function (doc) { return published[doc.id] }
+            })
+
+            this.add({ id: 'a' })
+            this.add({ id: 'b' })
+            this.add({ id: 'c' })
+          })
+        })
+
+        test('range', function () {
+          assert.deepEqual(['a', 'b'], this.refs(this.idx.search('published:1950..1965')))
+        })
+
+        test('greater than', function () {
+          assert.deepEqual(['c'], this.refs(this.idx.search('published:>1965')))
+        })
+
+        test('less than', function () {
+          assert.deepEqual(['a'], this.refs(this.idx.search('published:<1960')))
+        })
+
+        test('a single day', function () {
+          assert.deepEqual(['b'], this.refs(this.idx.search('published:1960-05-01')))
+        })
+
+        test('years before 100', function () {
+          assert.deepEqual([], this.refs(this.idx.search('published:<0051-01-01')))
+          assert.deepEqual(['a', 'b', 'c'], this.refs(this.idx.search('published:>0051')))
+        })
+      })
+
+      test('the parts of a date are not searched for in other fields', function () {
+        assert.deepEqual(['a'], this.refs(this.idx.search('+published:2024-01-15 +green')))
+      })
+
+      test('combined with terms', function () {
+        assert.deepEqual(['b'], this.refs(this.idx.search('+plant +published:<now-30d')))
+      })
+
+      test('#query with times', function () {
+        var results = this.idx.query(function (q) {
+          q.range(Date.UTC(2024, 0, 1), Date.UTC(2024, 1, 1))
+        })
+
+        assert.deepEqual(['a'], this.refs(results))
+      })
+
+      test('sorting', function () {
+        var results = this.idx.search('green', { sort: [{ field: 'published', order: 'desc' }] })
+
+        assert.deepEqual(['c', 'b', 'a'], results.map(function (result) { return result.ref }))
+      })
+
+      test('facet ranges', function () {
+        var results = this.idx.search('green', {
+          facets: { published: { ranges: [{ start: '*', end: Date.UTC(2024, 6, 1) }] } }
+        })
+
+        assert.equal(2, results.facets.published['*..' + Date.UTC(2024, 6, 1)])
+      })
+    })
+
+    suite('keyword fields', function () {
+      setup(function () {
+        var tags = {
+          a: ['node-js', 'murder'],
+          b: ['C++', 'Gardening'],
+          c: ['node', 'js', 'gardening']
+        }
+
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.field('tags', {
+            type: 'keyword',
+            facet: true,
+            extractor: function (doc) { return tags[doc.id] }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref }).sort()
+        }
+      })
+
+      test('matches the whole keyword', function () {
+        assert.deepEqual(['a'], this.refs(this.idx.search('tags:node-js')))
+      })
+
+      test('matches keywords with special characters', function () {
+        assert.deepEqual(['b'], this.refs(this.idx.search('tags:c++')))
+      })
+
+      test('ignores case', function () {
+        assert.deepEqual(['b', 'c'], this.refs(this.idx.search('tags:GARDENING')))
+      })
+
+      test('does not match part of a keyword', function () {
+        assert.deepEqual(['c'], this.refs(this.idx.search('tags:node')))
+      })
+
+      test('keywords are not stemmed', function () {
+        assert.lengthOf(this.idx.search('tags:garden'), 0)
+      })
+
+      test('required keyword', function () {
+        assert.deepEqual(['c'], this.refs(this.idx.search('+tags:gardening +scarlett')))
+      })
+
+      test('unscoped term matches keyword and other fields', function () {
+        assert.deepEqual(['a'], this.refs(this.idx.search('+murder +green')))
+      })
+
+      test('#query without the pipeline', function () {
+        var results = this.idx.query(function (q) {
+          q.term('C++', { fields: ['tags'] })
+        })
+
+        assert.deepEqual(['b'], this.refs(results))
+      })
+
+      test('facets count whole keywords', function () {
+        var results = this.idx.search('green', { facets: ['tags'] })
+
+        assert.deepEqual({ 'node-js': 1, murder: 1, 'c++': 1, gardening: 2, node: 1, js: 1 }, results.facets.tags)
+      })
+    })
+
+    suite('boolean fields', function () {
+      setup(function () {
+        var published = { a: true, b: false, c: 'True' }
+
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.field('published', {
+            type: 'boolean',
+            facet: true,
+            extractor: function (doc) { return published[doc.id] }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref }).sort()
+        }
+      })
+
+      test('matches true values', function () {
+        assert.deepEqual(['a', 'c'], this.refs(this.idx.search('published:true')))
+      })
+
+      test('matches false values', function () {
+        assert.deepEqual(['b'], this.refs(this.idx.search('published:FALSE')))
+      })
+
+      test('filters without contributing to the score', function () {
+        var filtered = this.idx.search('green +published:true'),
+            unfiltered = this.idx.search('green').filter(function (result) {
+              return result.ref != 'b'
+            })
+
+        assert.deepEqual(unfiltered.map(function (r) { return [r.ref, r.score] }), filtered.map(function (r) { return [r.ref, r.score] }))
+      })
+
+      test('prohibited value', function () {
+        assert.deepEqual(['b'], this.refs(this.idx.search('green -published:true')))
+      })
+
+      test('#query with a boolean term', function () {
+        var results = this.idx.query(function (q) {
+          q.term(true, { fields: ['published'] })
+        })
+
+        assert.deepEqual(['a', 'c'], this.refs(results))
+      })
+
+      test('unscoped term does not match boolean fields', function () {
+        assert.lengthOf(this.idx.search('true'), 0)
+      })
+
+      test('other values', function () {
+        var idx = this.idx
+
+        assert.throws(function () {
+          idx.search('published:yes')
+        }, lunr.QueryParseError)
+      })
+
+      test('facets count true and false', function () {
+        var results = this.idx.search('green', { facets: ['published'] })
+
+        assert.deepEqual({ true: 2, false: 1 }, results.facets.published)
+      })
+    })
+
+    suite('geo fields', function () {
+      setup(function () {
+        var locations = {
+          a: { lat: 51.5074, lon: -0.1278 },
+          b: '48.8566,2.3522',
+          c: [{ lat: 50.8225, lon: -0.1372 }, { lat: 51.752, lon: -1.2577 }]
+        }
+
+        var documents = this.documents
+
+        this.idx = lunr(function () {
+          this.ref('id')
+          this.field('title')
+          this.field('body')
+          this.field('location', {
+            type: 'geo',
+            extractor: function (doc) { return locations[doc.id] }
+          })
+
+          documents.forEach(function (document) {
+            this.add(document)
+          }, this)
+        })
+
+        this.london = { lat: 51.5074, lon: -0.1278 }
+        this.refs = function (results) {
+          return results.map(function (result) { return result.ref }).sort()
+        }
+      })
+
+      test('within a distance', function () {
+        var london = this.london,
+            results = this.idx.query(function (q) {
+              q.geoDistance(london, 100)
+            })
+
+        assert.deepEqual(['a', 'c'], this.refs(results))
+      })
+
+      test('matches any of the points of a document', function () {
+        var results = this.idx.query(function (q) {
+          q.geoDistance({ lat: 51.75, lon: -1.25 }, 5)
+        })
+
+        assert.deepEqual(['c'], this.refs(results))
+      })
+
+      test('within a bounding box', function () {
+        var results = this.idx.query(function (q) {
+          q.geoBoundingBox({ top: 50, left: 2, bottom: 48, right: 3 })
+        })
+
+        assert.deepEqual(['b'], this.refs(results))
+      })
+
+      test('filters without contributing to the score', function () {
+        var london = this.london,
+            filtered = this.idx.query(function (q) {
+              q.term('green')
+              q.geoDistance(london, 100, { presence: lunr.Query.presence.REQUIRED })
+            }),
+            unfiltered = this.idx.search('green').filter(function (result) {
+              return result.ref != 'b'
+            })
+
+        assert.deepEqual(unfiltered.map(function (r) { return [r.ref, r.score] }), filtered.map(function (r) { return [r.ref, r.score] }))
+      })
+
+      test('distance decay scores nearer matches higher', function () {
+        var london = this.london,
+            results = this.idx.query(function (q) {
+              q.geoDistance(london, 500, { decay: 50 })
+            })
+
+        assert.deepEqual(['a', 'c', 'b'], results.map(function (r) { return r.ref }))
+        assert.approximately(results[0].score, 1, 1e-3)
+        assert.approximately(results[1].score, Math.pow(0.5, 75.8 / 50), 1e-2)
+      })
+
+      test('text terms do not match geo fields', function () {
+        assert.lengthOf(this.idx.search('location:51'), 0)
+      })
+    })
+
+    suite('relational term', function () {
+      suite('#search', function () {
+        test('wordCount:>9', function () {
+          assert.lengthOf(this.idx.search('wordCount:>9'), 2)
+        })
+        test('wordCount:>=9', function () {
+          assert.lengthOf(this.idx.search('wordCount:>=9'), 3)
+        })
+        test('wordCount:<16', function () {
+          assert.lengthOf(this.idx.search('wordCount:<16'), 1)
+        })
+        test('wordCount:<=16', function () {
+          assert.lengthOf(this.idx.search('wordCount:<=16'), 2)
+        })
+        test('wordCount:>10', function () {
+          assert.lengthOf(this.idx.search('wordCount:>10'), 2)
+        })
+        test('wordCount:>=10', function () {
+          assert.lengthOf(this.idx.search('wordCount:>=10'), 2)
+        })
+        test('wordCount:<10', function () {
+          assert.lengthOf(this.idx.search('wordCount:<10'), 1)
+        })
+        test('wordCount:<=10', function () {
+          assert.lengthOf(this.idx.search('wordCount:<=10'), 1)
+        })
+        test('wordCount:10..17', function () {
+          assert.lengthOf(this.idx.search('wordCount:10..17'), 1)
         })
       })
     })
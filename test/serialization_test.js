@@ -24,8 +24,9 @@ suite('serialization', function () {
 
     this.idx = lunr(function () {
       this.ref('id')
-      this.field('title')
+      this.field('title', { store: true, facet: true })
       this.field('body')
+      this.field('wordCount', { type: 'number', facet: true, sortable: true })
 
       documents.forEach(function (document) {
         this.add(document)
@@ -43,6 +44,60 @@ suite('serialization', function () {
     assert.deepEqual(idxResults, serializedResults)
   })
 
+  test('stored fields', function () {
+    var serializedResults = this.loadedIdx.search('green')
+
+    assert.equal('Mr. Green kills Colonel Mustard', serializedResults[0].doc.title)
+  })
+
+  test('facets', function () {
+    var idxResults = this.idx.search('green', { facets: true }),
+        serializedResults = this.loadedIdx.search('green', { facets: true })
+
+    assert.deepEqual(idxResults.facets, serializedResults.facets)
+    assert.equal(1, serializedResults.facets.title['Plumb waters plant'])
+  })
+
+  test('sorting', function () {
+    var idxResults = this.idx.search('green', { sort: [{ field: 'wordCount' }] }),
+        serializedResults = this.loadedIdx.search('green', { sort: [{ field: 'wordCount' }] })
+
+    assert.deepEqual(idxResults, serializedResults)
+  })
+
+  suite('with the token set and number map', function () {
+    setup(function () {
+      this.serialized = JSON.parse(JSON.stringify(this.idx.toJSON({ tokenSet: true, numberMap: true })))
+      this.loadedIdx = lunr.Index.load(this.serialized)
+    })
+
+    test('includes them', function () {
+      assert.deepEqual(this.idx.tokenSet.toJSON(), this.serialized.tokenSet)
+      assert.deepEqual(this.idx.numberMap.toJSON(), this.serialized.numberMap)
+    })
+
+    test('are not included by default', function () {
+      var serialized = JSON.parse(JSON.stringify(this.idx))
+
+      assert.notProperty(serialized, 'tokenSet')
+      assert.notProperty(serialized, 'numberMap')
+    })
+
+    test('search', function () {
+      assert.deepEqual(this.idx.search('green pl*'), this.loadedIdx.search('green pl*'))
+    })
+
+    test('number search', function () {
+      assert.deepEqual(this.idx.search('wordCount:>10'), this.loadedIdx.search('wordCount:>10'))
+    })
+
+    test('loads the serialized number map', function () {
+      this.serialized.numberMap = []
+
+      assert.lengthOf(lunr.Index.load(this.serialized).search('wordCount:>10'), 0)
+    })
+  })
+
   test('__proto__ double serialization', function () {
     var doubleLoadedIdx = lunr.Index.load(JSON.parse(JSON.stringify(this.loadedIdx))),
         idxResults = this.idx.search('__proto__'),
@@ -51,3 +106,148 @@ suite('serialization', function () {
     assert.deepEqual(idxResults, doubleSerializedResults)
   })
 })
+
+suite('binary serialization', function () {
+  setup(function () {
+    var documents = [{
+      id: 'a',
+      title: 'Mr. Green kills Colonel Mustard',
+      body: 'Mr. Green killed Colonel Mustard in the study with the candlestick. Mr. Green is not a very nice fellow.',
+      wordCount: 19
+    },{
+      id: 'b',
+      title: 'Plumb waters plant',
+      body: 'Professor Plumb has a green plant in his study',
+      wordCount: 9
+    },{
+      id: 'c',
+      title: 'Scarlett helps Professor',
+      body: 'Miss Scarlett watered Professor Plumbs green plant while he was away from his office last week.',
+      wordCount: 16
+    },{
+      id: 'd',
+      title: 'All about JavaScript',
+      body: 'JavaScript objects have a special __proto__ property, and so do naïve unicorns',
+      wordCount: 7
+    }]
+
+    this.idx = lunr(function () {
+      this.ref('id')
+      this.field('title', { store: true, facet: true })
+      this.field('body')
+      this.field('wordCount', { type: 'number', facet: true, sortable: true })
+      this.metadataWhitelist = ['position']
+
+      documents.forEach(function (document) {
+        this.add(document)
+      }, this)
+    })
+
+    this.binary = this.idx.toBinary()
+    this.loadedIdx = lunr.Index.loadBinary(this.binary)
+
+    this.assertSameResults = function (queryString, options) {
+      var idxResults = this.idx.search(queryString, options),
+          binaryResults = this.loadedIdx.search(queryString, options)
+
+      assert.deepEqual(
+        idxResults.map(function (r) { return [r.ref, r.matchData, r.doc] }),
+        binaryResults.map(function (r) { return [r.ref, r.matchData, r.doc] })
+      )
+
+      idxResults.forEach(function (result, i) {
+        assert.approximately(result.score, binaryResults[i].score, 1e-6)
+      })
+    }
+  })
+
+  test('is an ArrayBuffer', function () {
+    assert.instanceOf(this.binary, ArrayBuffer)
+  })
+
+  test('is smaller than the JSON', function () {
+    assert.isBelow(this.binary.byteLength, JSON.stringify(this.idx).length / 2)
+  })
+
+  test('search', function () {
+    this.assertSameResults('green plant')
+  })
+
+  test('wildcard and fuzzy search', function () {
+    this.assertSameResults('pl* scarlet~1')
+  })
+
+  test('number search', function () {
+    this.assertSameResults('wordCount:>10')
+  })
+
+  test('unicode terms', function () {
+    this.assertSameResults('naïve')
+    assert.lengthOf(this.loadedIdx.search('naïve'), 1)
+  })
+
+  test('__proto__', function () {
+    this.assertSameResults('__proto__')
+  })
+
+  test('facets', function () {
+    var idxResults = this.idx.search('green', { facets: true }),
+        binaryResults = this.loadedIdx.search('green', { facets: true })
+
+    assert.deepEqual(idxResults.facets, binaryResults.facets)
+    assert.equal(1, binaryResults.facets.title['Plumb waters plant'])
+  })
+
+  test('sorting', function () {
+    this.assertSameResults('green', { sort: [{ field: 'wordCount' }] })
+  })
+
+  test('same results as the JSON form', function () {
+    var jsonIdx = lunr.Index.load(JSON.parse(JSON.stringify(this.idx))),
+        queries = ['green study', 'green', 'plant', 'pl* scarlet~1', 'professor -plumb', 'title:green^10 body:plant', 'wordCount:>5'],
+        refsAndScores = function (results) {
+          return results.map(function (r) { return [r.ref, r.score] })
+        }
+
+    queries.forEach(function (queryString) {
+      assert.deepEqual(
+        refsAndScores(jsonIdx.search(queryString)),
+        refsAndScores(this.loadedIdx.search(queryString)),
+        queryString
+      )
+    }, this)
+  })
+
+  test('same tie order as the JSON form', function () {
+    var idx = lunr(function () {
+      this.ref('id')
+      this.field('title')
+
+      ;['10', '9', 'b', 'a', '2'].forEach(function (id) {
+        this.add({ id: id, title: 'green plant' })
+      }, this)
+    })
+
+    var jsonIdx = lunr.Index.load(JSON.parse(JSON.stringify(idx))),
+        binaryIdx = lunr.Index.loadBinary(idx.toBinary())
+
+    assert.deepEqual(jsonIdx.search('green'), binaryIdx.search('green'))
+  })
+
+  test('loads a typed array', function () {
+    var loadedIdx = lunr.Index.loadBinary(new Uint8Array(this.binary))
+
+    assert.deepEqual(
+      this.loadedIdx.search('green'),
+      loadedIdx.search('green')
+    )
+  })
+
+  test('buffer that is not a serialized index', function () {
+    var buffer = new Uint8Array([1, 2, 3, 4, 5]).buffer
+
+    assert.throws(function () {
+      lunr.Index.loadBinary(buffer)
+    })
+  })
+})
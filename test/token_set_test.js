@@ -103,6 +103,66 @@ suite('lunr.TokenSet', function () {
     })
   })
 
+  suite('#insert', function () {
+    test('adds the word', function () {
+      var tokenSet = lunr.TokenSet.fromArray(['bat', 'cat'])
+
+      tokenSet.insert('cab')
+      tokenSet.insert('ba')
+
+      assert.sameMembers(['ba', 'bat', 'cab', 'cat'], tokenSet.toArray())
+    })
+
+    test('does not change words sharing its nodes', function () {
+      var tokenSet = lunr.TokenSet.fromArray(['bat', 'cat'])
+
+      tokenSet.insert('bats')
+
+      assert.sameMembers(['bat', 'bats', 'cat'], tokenSet.toArray())
+    })
+  })
+
+  suite('#remove', function () {
+    test('removes the word', function () {
+      var tokenSet = lunr.TokenSet.fromArray(['bat', 'bats', 'cat'])
+
+      assert.isTrue(tokenSet.remove('bats'))
+      assert.sameMembers(['bat', 'cat'], tokenSet.toArray())
+    })
+
+    test('does not change words sharing its nodes', function () {
+      var tokenSet = lunr.TokenSet.fromArray(['bat', 'cat'])
+
+      tokenSet.remove('bat')
+
+      assert.sameMembers(['cat'], tokenSet.toArray())
+      assert.notProperty(tokenSet.edges, 'b')
+    })
+
+    test('word that is not in the set', function () {
+      var tokenSet = lunr.TokenSet.fromArray(['bat', 'cat'])
+
+      assert.isFalse(tokenSet.remove('ba'))
+      assert.isFalse(tokenSet.remove('dog'))
+      assert.sameMembers(['bat', 'cat'], tokenSet.toArray())
+    })
+  })
+
+  suite('#toJSON', function () {
+    test('shares nodes', function () {
+      var serialized = lunr.TokenSet.fromArray(['bat', 'cat']).toJSON()
+
+      assert.deepEqual([[0, 'b', 1, 'c', 1], [0, 'a', 2], [0, 't', 3], [1]], serialized)
+    })
+
+    test('loads the same words', function () {
+      var words = ['bat', 'bats', 'cat', 'cats', 'plant'],
+          tokenSet = lunr.TokenSet.load(JSON.parse(JSON.stringify(lunr.TokenSet.fromArray(words))))
+
+      assert.sameMembers(words, tokenSet.toArray())
+    })
+  })
+
   suite('#intersect', function () {
     test('no intersection', function () {
       var x = lunr.TokenSet.fromString('cat'),
@@ -74,4 +74,91 @@ suite('lunr.utils', function () {
       })
     })
   })
+
+  suite('#selectFirst', function () {
+    setup(function () {
+      this.compare = function (a, b) { return a.value - b.value }
+      this.items = [5, 3, 8, 1, 9, 3, 7, 2].map(function (value, i) {
+        return { value: value, i: i }
+      })
+    })
+
+    test('selects the first items in order', function () {
+      var selected = lunr.utils.selectFirst(this.items, 3, this.compare)
+
+      assert.deepEqual([1, 2, 3], selected.map(function (item) { return item.value }))
+    })
+
+    test('matches the sorted items', function () {
+      var sorted = this.items.slice().sort(this.compare)
+
+      for (var k = 0; k <= this.items.length + 1; k++) {
+        assert.deepEqual(sorted.slice(0, k), lunr.utils.selectFirst(this.items, k, this.compare))
+      }
+    })
+
+    test('keeps the order of equal items', function () {
+      var selected = lunr.utils.selectFirst(this.items, 4, this.compare)
+
+      assert.deepEqual([3, 7, 1, 5], selected.map(function (item) { return item.i }))
+    })
+  })
+
+  suite('#parseDate', function () {
+    test('day', function () {
+      assert.deepEqual([Date.UTC(2024, 1, 29), Date.UTC(2024, 2, 1)], lunr.utils.parseDate('2024-02-29'))
+    })
+
+    test('month', function () {
+      assert.deepEqual([Date.UTC(2024, 11, 1), Date.UTC(2025, 0, 1)], lunr.utils.parseDate('2024-12'))
+    })
+
+    test('year', function () {
+      assert.deepEqual([Date.UTC(2024, 0, 1), Date.UTC(2025, 0, 1)], lunr.utils.parseDate('2024'))
+    })
+
+    test('time', function () {
+      assert.deepEqual([Date.UTC(2024, 0, 1, 10, 30), Date.UTC(2024, 0, 1, 10, 31)], lunr.utils.parseDate('2024-01-01T10:30'))
+    })
+
+    test('time with milliseconds', function () {
+      var time = Date.UTC(2024, 0, 1, 10, 30, 15, 250)
+      assert.deepEqual([time, time + 1], lunr.utils.parseDate('2024-01-01T10:30:15.25Z'))
+    })
+
+    test('time zone offset', function () {
+      var time = Date.UTC(2024, 0, 1, 8, 30, 15)
+      assert.deepEqual([time, time + 1000], lunr.utils.parseDate('2024-01-01T10:30:15+02:00'))
+    })
+
+    test('relative date', function () {
+      var now = Date.UTC(2024, 2, 31, 12)
+
+      assert.deepEqual([now, now + 1], lunr.utils.parseDate('now', now))
+      assert.equal(Date.UTC(2024, 2, 1, 12), lunr.utils.parseDate('now-30d', now)[0])
+      assert.equal(Date.UTC(2024, 3, 1, 14), lunr.utils.parseDate('now+1d+2h', now)[0])
+      assert.equal(Date.UTC(2023, 2, 31, 12), lunr.utils.parseDate('now-1y', now)[0])
+    })
+
+    test('years before 100', function () {
+      var start = new Date(0),
+          end = new Date(0)
+
+      start.setUTCFullYear(50, 0, 1)
+      end.setUTCFullYear(50, 0, 2)
+
+      assert.deepEqual([start.getTime(), end.getTime()], lunr.utils.parseDate('0050-01-01'))
+
+      start.setUTCFullYear(99, 0, 1)
+      end.setUTCFullYear(100, 0, 1)
+
+      assert.deepEqual([start.getTime(), end.getTime()], lunr.utils.parseDate('0099'))
+    })
+
+    test('invalid dates', function () {
+      assert.isUndefined(lunr.utils.parseDate('2024-02-30'))
+      assert.isUndefined(lunr.utils.parseDate('2024-13'))
+      assert.isUndefined(lunr.utils.parseDate('yesterday'))
+    })
+  })
 })
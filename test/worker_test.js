@@ -0,0 +1,282 @@
+suite('lunr.WorkerClient', function () {
+  setup(function () {
+    var documents = [{
+      id: 'a',
+      title: 'Mr. Green kills Colonel Mustard',
+      body: 'Mr. Green killed Colonel Mustard in the study with the candlestick. Mr. Green is not a very nice fellow.',
+      wordCount: 19
+    },{
+      id: 'b',
+      title: 'Plumb waters plant',
+      body: 'Professor Plumb has a green plant in his study',
+      wordCount: 9
+    },{
+      id: 'c',
+      title: 'Scarlett helps Professor',
+      body: 'Miss Scarlett watered Professor Plumbs green plant while he was away from his office last week.',
+      wordCount: 16
+    }]
+
+    this.idx = lunr(function () {
+      this.ref('id')
+      this.field('title', { store: true })
+      this.field('body')
+      this.field('wordCount', { type: 'number', facet: true })
+      this.metadataWhitelist = ['position']
+
+      documents.forEach(function (document) {
+        this.add(document)
+      }, this)
+    })
+
+    this.channel = new MessageChannel
+    this.host = new lunr.WorkerHost(this.channel.port1)
+    this.client = new lunr.WorkerClient(this.channel.port2)
+    this.loaded = this.client.load(this.idx.toJSON())
+    this.refs = function (results) {
+      return results.map(function (r) { return r.ref })
+    }
+  })
+
+  teardown(function () {
+    this.channel.port1.close()
+    this.channel.port2.close()
+  })
+
+  suite('#load', function () {
+    test('loads the index in the host', function () {
+      var host = this.host
+
+      return this.loaded.then(function () {
+        assert.instanceOf(host.index, lunr.Index)
+      })
+    })
+
+    test('loads a JSON string', function () {
+      var client = this.client
+
+      return client.load(JSON.stringify(this.idx)).then(function () {
+        return client.search('scarlett')
+      }).then(function (results) {
+        assert.deepEqual(['c'], results.map(function (r) { return r.ref }))
+      })
+    })
+
+    test('loads a binary index', function () {
+      var client = this.client
+
+      return client.load(this.idx.toBinary()).then(function () {
+        return client.search('scarlett')
+      }).then(function (results) {
+        assert.deepEqual(['c'], results.map(function (r) { return r.ref }))
+      })
+    })
+
+    test('invalid index', function () {
+      return this.client.load({ version: lunr.version }).then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.instanceOf(err, Error)
+      })
+    })
+  })
+
+  suite('#search', function () {
+    test('returns the results of the index', function () {
+      var expected = this.idx.search('green plant', { facets: true })
+
+      return this.client.search('green plant', { facets: true }).then(function (results) {
+        assert.deepEqual(expected.map(function (r) { return r.ref }), results.map(function (r) { return r.ref }))
+        assert.deepEqual(expected.map(function (r) { return r.score }), results.map(function (r) { return r.score }))
+        assert.equal(expected.total, results.total)
+        assert.deepEqual(expected.facets, results.facets)
+      })
+    })
+
+    test('returns the match data', function () {
+      var expected = this.idx.search('scarlett')[0].matchData
+
+      return this.client.search('scarlett').then(function (results) {
+        assert.instanceOf(results[0].matchData, lunr.MatchData)
+        assert.deepEqual(expected.metadata, results[0].matchData.metadata)
+      })
+    })
+
+    test('returns the stored fields', function () {
+      return this.client.search('scarlett').then(function (results) {
+        assert.equal('Scarlett helps Professor', results[0].doc.title)
+      })
+    })
+
+    test('query parse error', function () {
+      return this.client.search('foo:bar').then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.instanceOf(err, lunr.QueryParseError)
+        assert.equal(0, err.start)
+      })
+    })
+
+    test('before an index is loaded', function () {
+      var channel = new MessageChannel,
+          client = new lunr.WorkerClient(channel.port2)
+
+      new lunr.WorkerHost(channel.port1)
+
+      return client.search('green').then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /No index/)
+      }).then(function () {
+        channel.port1.close()
+        channel.port2.close()
+      })
+    })
+  })
+
+  suite('#query', function () {
+    test('sends the clauses of the query', function () {
+      var refs = this.refs
+
+      return this.client.query(function (q) {
+        q.term('green', { presence: lunr.Query.presence.REQUIRED })
+        q.comparator('>', 10, { fields: ['wordCount'], presence: lunr.Query.presence.REQUIRED })
+      }).then(function (results) {
+        assert.sameMembers(['a', 'c'], refs(results))
+      })
+    })
+
+    test('sends groups', function () {
+      var refs = this.refs
+
+      return this.client.query(function (q) {
+        q.group(function (g) {
+          g.term('scarlett')
+          g.term('mustard')
+        }, { presence: lunr.Query.presence.REQUIRED })
+        q.range(15, 17, { presence: lunr.Query.presence.REQUIRED })
+      }).then(function (results) {
+        assert.deepEqual(['c'], refs(results))
+      })
+    })
+
+    test('scores match the index', function () {
+      var build = function (q) {
+            q.term('plant', { boost: 10 })
+            q.term('study')
+          },
+          expected = this.idx.query(build)
+
+      return this.client.query(build).then(function (results) {
+        assert.deepEqual(expected.map(function (r) { return r.score }), results.map(function (r) { return r.score }))
+      })
+    })
+
+    test('requests the fields again after the request failed', function () {
+      var channel = new MessageChannel,
+          client = new lunr.WorkerClient(channel.port2),
+          host = new lunr.WorkerHost(channel.port1),
+          idx = this.idx,
+          refs = this.refs,
+          build = function (q) {
+            q.term('scarlett')
+          }
+
+      return client.query(build).then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /No index/)
+        host.index = idx
+
+        return client.query(build)
+      }).then(function (results) {
+        assert.deepEqual(['c'], refs(results))
+      }).then(function () {
+        channel.port1.close()
+        channel.port2.close()
+      })
+    })
+
+    test('with an index passed to the host', function () {
+      var channel = new MessageChannel,
+          client = new lunr.WorkerClient(channel.port2),
+          refs = this.refs
+
+      new lunr.WorkerHost(channel.port1, this.idx)
+
+      return client.query(function (q) {
+        q.term('scarlett')
+      }).then(function (results) {
+        assert.deepEqual(['c'], refs(results))
+      }).then(function () {
+        channel.port1.close()
+        channel.port2.close()
+      })
+    })
+  })
+
+  suite('#terminate', function () {
+    test('rejects pending and later requests', function () {
+      var client = this.client,
+          pending = client.search('green')
+
+      client.terminate()
+
+      return pending.then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /terminated/)
+        return client.search('green')
+      }).then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /terminated/)
+      })
+    })
+  })
+
+  suite('worker failure', function () {
+    setup(function () {
+      if (typeof require != 'function') {
+        this.skip()
+      }
+
+      // a worker that never responds, so that requests are in flight when it fails
+      this.createWorker = function (onMessage) {
+        var Worker = require('worker_threads').Worker
+
+        return new Worker("require('worker_threads').parentPort.on('message', " + onMessage + ")", { eval: true })
+      }
+    })
+
+    test('worker exits while a request is in flight', function () {
+      var worker = this.createWorker('function () {}'),
+          client = new lunr.WorkerClient(worker),
+          pending = client.search('green')
+
+      worker.terminate()
+
+      return pending.then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /exited/)
+        return client.search('green')
+      }).then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.match(err.message, /exited/)
+      })
+    })
+
+    test('worker throws an error', function () {
+      var worker = this.createWorker("function () { throw new Error('out of memory') }"),
+          client = new lunr.WorkerClient(worker)
+
+      return client.search('green').then(function () {
+        assert.fail()
+      }, function (err) {
+        assert.equal('out of memory', err.message)
+      })
+    })
+  })
+})